@@ -0,0 +1,112 @@
+﻿// scripts/supercommit/adf.js
+// Node 20+, ESM. Pure: no network, no env.
+// Lightweight markup -> Atlassian Document Format for Jira comments.
+//
+// Supported in COMMENT text:
+//   **bold**            strong
+//   `code`              inline code (no markup inside)
+//   [label](https://…)  link;  bare https://… URLs are linked too
+//   @<accountId>        mention (24-hex legacy ids or 557058:<uuid> style ids)
+//   ABC-123             inline card to the issue (needs the Jira base URL)
+
+// Shared with wiki.js, which renders the same markup for Jira Data Center
+export const INLINE_PATTERN = [
+    String.raw`\x60([^\x60]+)\x60`,                                   // 1 code
+    String.raw`\*\*(.+?)\*\*`,                                         // 2 bold
+    String.raw`\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)`,                  // 3 label, 4 href
+    String.raw`(https?:\/\/[^\s<>()]*[^\s<>().,;:!?'"])`,              // 5 bare url
+    String.raw`@(\d+:[0-9a-fA-F]{8}(?:-[0-9a-fA-F]{4}){3}-[0-9a-fA-F]{12}|[0-9a-fA-F]{24})\b`, // 6 account id
+    String.raw`(?<![A-Za-z0-9-])([A-Z][A-Z0-9]{1,9}-\d+)(?![A-Za-z0-9-])`, // 7 issue key
+].join("|");
+const INLINE_RE = new RegExp(INLINE_PATTERN, "g");
+
+const text = (t, marks = []) => (marks.length ? { type: "text", text: t, marks } : { type: "text", text: t });
+
+/** Inline ADF nodes for one line of markup. `marks` are applied to every text node (used for bold). */
+export function markupToInline(source, { jiraBaseUrl = "", marks = [] } = {}) {
+    const base = String(jiraBaseUrl || "").replace(/\/+$/, "");
+    const nodes = [];
+    const src = String(source ?? "");
+    let last = 0;
+    let m;
+
+    INLINE_RE.lastIndex = 0;
+    while ((m = INLINE_RE.exec(src))) {
+        if (m.index > last) nodes.push(text(src.slice(last, m.index), marks));
+        const [whole, code, bold, label, href, url, accountId, issueKey] = m;
+
+        if (code != null) {
+            // ADF does not allow code together with strong/em
+            nodes.push(text(code, [{ type: "code" }]));
+        } else if (bold != null) {
+            // recurse so links and keys inside bold still work; the regex is shared, so save our place
+            const resume = INLINE_RE.lastIndex;
+            nodes.push(...markupToInline(bold, { jiraBaseUrl, marks: [...marks, { type: "strong" }] }));
+            INLINE_RE.lastIndex = resume;
+        } else if (href != null) {
+            nodes.push(text(label, [...marks, { type: "link", attrs: { href } }]));
+        } else if (url != null) {
+            nodes.push(text(url, [...marks, { type: "link", attrs: { href: url } }]));
+        } else if (accountId != null) {
+            nodes.push({ type: "mention", attrs: { id: accountId } });
+        } else if (issueKey != null && base) {
+            nodes.push({ type: "inlineCard", attrs: { url: `${base}/browse/${issueKey}` } });
+        } else {
+            nodes.push(text(whole, marks));
+        }
+        last = m.index + whole.length;
+    }
+    if (last < src.length) nodes.push(text(src.slice(last), marks));
+
+    // merge neighbouring plain text nodes with identical marks
+    return nodes.reduce((out, n) => {
+        const prev = out[out.length - 1];
+        if (prev?.type === "text" && n.type === "text" && JSON.stringify(prev.marks) === JSON.stringify(n.marks)) {
+            prev.text += n.text;
+        } else {
+            out.push({ ...n });
+        }
+        return out;
+    }, []);
+}
+
+/**
+ * Footer paragraph: "<sha> on <branch> by <author>", with the short SHA linked to the commit.
+ * With authorAccountId the author is a mention of their Jira user. Every part is optional;
+ * returns null when there is nothing to show.
+ */
+export function commitFooter({ sha = "", url = "", branch = "", author = "", authorAccountId = "" } = {}) {
+    const content = [];
+    const muted = [{ type: "em" }];
+    if (sha) {
+        const short = sha.slice(0, 7);
+        content.push(text("Commit ", muted));
+        content.push(url ? text(short, [{ type: "code" }, { type: "link", attrs: { href: url } }]) : text(short, [{ type: "code" }]));
+    }
+    if (branch) {
+        content.push(text(content.length ? " on " : "On ", muted));
+        content.push(text(branch, [{ type: "code" }]));
+    }
+    if (authorAccountId) {
+        content.push(text(content.length ? " by " : "By ", muted));
+        content.push({ type: "mention", attrs: { id: authorAccountId, ...(author ? { text: `@${author}` } : {}) } });
+    } else if (author) {
+        content.push(text(`${content.length ? " by " : "By "}${author}`, muted));
+    }
+    return content.length ? { type: "paragraph", content } : null;
+}
+
+/** Full comment document: one paragraph per line of markup, then a rule and the commit footer. */
+export function buildCommentDoc(markup, { jiraBaseUrl = "", commit = null } = {}) {
+    const content = String(markup ?? "")
+        .split(/\r?\n/)
+        .filter(line => line.trim())
+        .map(line => ({ type: "paragraph", content: markupToInline(line, { jiraBaseUrl }) }));
+    if (!content.length) content.push({ type: "paragraph", content: [] });
+
+    const footer = commit ? commitFooter(commit) : null;
+    if (footer) content.push({ type: "rule" }, footer);
+    return { type: "doc", version: 1, content };
+}
+
+export default { buildCommentDoc, markupToInline, commitFooter };
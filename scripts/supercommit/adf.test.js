@@ -0,0 +1,66 @@
+﻿// scripts/supercommit/adf.test.js
+// Node 20+, ESM using node:test
+import test from "node:test";
+import assert from "node:assert/strict";
+import { markupToInline, buildCommentDoc, commitFooter } from "./adf.js";
+
+const BASE = { jiraBaseUrl: "https://acme.atlassian.net/" };
+
+test("plain text stays a single text node", () => {
+    assert.deepEqual(markupToInline("Started payment flow"), [{ type: "text", text: "Started payment flow" }]);
+});
+
+test("bold, code and links", () => {
+    assert.deepEqual(markupToInline("**Fixed** `retry()` see [runbook](https://wiki.example.com/r)"), [
+        { type: "text", text: "Fixed", marks: [{ type: "strong" }] },
+        { type: "text", text: " " },
+        { type: "text", text: "retry()", marks: [{ type: "code" }] },
+        { type: "text", text: " see " },
+        { type: "text", text: "runbook", marks: [{ type: "link", attrs: { href: "https://wiki.example.com/r" } }] },
+    ]);
+});
+
+test("bare URLs are linked without trailing punctuation", () => {
+    const nodes = markupToInline("logs at https://ci.example.com/run/42.");
+    assert.deepEqual(nodes[1], { type: "text", text: "https://ci.example.com/run/42", marks: [{ type: "link", attrs: { href: "https://ci.example.com/run/42" } }] });
+    assert.deepEqual(nodes[2], { type: "text", text: "." });
+});
+
+test("mentions and issue keys", () => {
+    const nodes = markupToInline("cc @557058:f58131cb-b67d-43c7-b30d-6b58d40bd077 about PAY-102", BASE);
+    assert.deepEqual(nodes, [
+        { type: "text", text: "cc " },
+        { type: "mention", attrs: { id: "557058:f58131cb-b67d-43c7-b30d-6b58d40bd077" } },
+        { type: "text", text: " about " },
+        { type: "inlineCard", attrs: { url: "https://acme.atlassian.net/browse/PAY-102" } },
+    ]);
+    // no base URL -> keys stay text; keys inside words are not cards
+    assert.deepEqual(markupToInline("PAY-102 and xPAY-1"), [{ type: "text", text: "PAY-102 and xPAY-1" }]);
+});
+
+test("comment document gets a rule and a commit footer", () => {
+    const doc = buildCommentDoc("Done", {
+        ...BASE,
+        commit: { sha: "0123456789abcdef", url: "https://github.com/o/r/commit/0123456789abcdef", branch: "feature/pay", author: "Ana" },
+    });
+    assert.equal(doc.content.length, 3);
+    assert.equal(doc.content[1].type, "rule");
+    const footer = doc.content[2].content;
+    assert.deepEqual(footer[1], {
+        type: "text",
+        text: "0123456",
+        marks: [{ type: "code" }, { type: "link", attrs: { href: "https://github.com/o/r/commit/0123456789abcdef" } }],
+    });
+    assert.deepEqual(footer.map(n => n.text).join(""), "Commit 0123456 on feature/pay by Ana");
+});
+
+test("a mapped author is mentioned in the footer", () => {
+    const footer = commitFooter({ branch: "main", author: "Ana", authorAccountId: "557058:ana" }).content;
+    assert.deepEqual(footer.at(-1), { type: "mention", attrs: { id: "557058:ana", text: "@Ana" } });
+    assert.equal(footer.at(-2).text, " by ");
+});
+
+test("footer is omitted when nothing is known about the commit", () => {
+    assert.equal(commitFooter({}), null);
+    assert.equal(buildCommentDoc("Done", { commit: {} }).content.length, 1);
+});
@@ -0,0 +1,100 @@
+﻿// scripts/supercommit/attributes.js
+// Node 20+, ESM. Pure: no network, no env.
+// Tempo work attributes for a worklog: config defaults, the PHASE/CAT category and ATTR
+// tokens (later sources win), checked and normalized against the tenant's /work-attributes.
+//
+// Attribute types (Tempo):
+//   STATIC_LIST    value or display name of an option -> option value
+//   CHECKBOX       yes/no, true/false, 1/0 -> "true" / "false"
+//   ACCOUNT        account key or name -> account key (needs the /accounts listing)
+//   INPUT_NUMERIC  a number
+//   INPUT_FIELD    any text
+// Required attributes that end up without a value are reported too.
+
+const norm = (s) => String(s ?? "").trim().toLowerCase();
+
+/** Options of a static list as [{ value, name }]; handles the v4 (values/names) and older (staticListValues) shapes. */
+export function listOptions(def) {
+    if (Array.isArray(def?.values)) return def.values.map(v => ({ value: String(v), name: String(def.names?.[v] ?? v) }));
+    return (def?.staticListValues ?? def?.options ?? []).map(o => ({ value: String(o.value), name: String(o.name ?? o.value) }));
+}
+
+/** Definition for a key as written in a commit: exact key, key or name case-insensitively, or "Billable" for "_Billable_". */
+export function findDefinition(definitions, key) {
+    const k = norm(key);
+    return (
+        definitions.find(d => d.key === key) ||
+        definitions.find(d => norm(d.key) === k || norm(d.name) === k) ||
+        definitions.find(d => norm(d.key) === `_${k}_`) ||
+        null
+    );
+}
+
+/** True when one of the requested (or required) attributes is an ACCOUNT, so the caller must load accounts. */
+export function needsAccounts(requested, definitions) {
+    return definitions.some(d => d.type === "ACCOUNT" && (d.required || requested.some(r => findDefinition([d], r.key))));
+}
+
+const shortList = (items, max = 15) => (items.length > max ? `${items.slice(0, max).join(", ")}, …` : items.join(", "));
+
+function normalizeValue(def, raw, accounts) {
+    const value = String(raw ?? "").trim();
+    switch (def.type) {
+        case "STATIC_LIST": {
+            const options = listOptions(def);
+            const hit = options.find(o => o.value === value) || options.find(o => norm(o.value) === norm(value) || norm(o.name) === norm(value));
+            return hit ? { value: hit.value } : { error: `"${value}" is not an option (${shortList(options.map(o => o.name))})` };
+        }
+        case "CHECKBOX": {
+            if (["true", "yes", "y", "1"].includes(norm(value))) return { value: "true" };
+            if (["false", "no", "n", "0"].includes(norm(value))) return { value: "false" };
+            return { error: `"${value}" is not a yes/no value (true, false)` };
+        }
+        case "ACCOUNT": {
+            if (!accounts) return { value };
+            const open = accounts.filter(a => !a.status || a.status === "OPEN");
+            const hit = open.find(a => a.key === value) || open.find(a => norm(a.key) === norm(value) || norm(a.name) === norm(value));
+            return hit ? { value: hit.key } : { error: `"${value}" is not an open account (${shortList(open.map(a => a.key))})` };
+        }
+        case "INPUT_NUMERIC":
+            return Number.isFinite(Number(value)) && value !== "" ? { value } : { error: `"${value}" is not a number` };
+        default:
+            return { value };
+    }
+}
+
+/**
+ * @param {Array<{ key, value, source }>} requested  lowest precedence first (defaults, category, ATTR)
+ * @param {Array} definitions                      Tempo /work-attributes results
+ * @param {object} [opts]
+ * @param {Array|null} [opts.accounts]             Tempo /accounts results, for ACCOUNT attributes
+ * @param {string[]} [opts.later]                  keys the caller fills in afterwards (the account lookup)
+ * @returns {{ attributes: Object<string, string>, errors: string[] }}
+ */
+export function resolveWorkAttributes(requested, definitions, { accounts = null, later = [] } = {}) {
+    const attributes = {};
+    const errors = [];
+    const known = () => shortList(definitions.map(d => d.key));
+
+    for (const r of requested) {
+        const def = findDefinition(definitions, r.key);
+        if (!def) {
+            errors.push(`${r.key} (${r.source}): no such Tempo work attribute (known: ${known()})`);
+            continue;
+        }
+        const res = normalizeValue(def, r.value, accounts);
+        if (res.error) errors.push(`${def.key} (${r.source}): ${res.error}`);
+        else attributes[def.key] = res.value;
+    }
+
+    const filledLater = (def) => later.some(k => findDefinition([def], k));
+    for (const def of definitions.filter(d => d.required && !(d.key in attributes) && !filledLater(d))) {
+        const options = def.type === "STATIC_LIST" ? ` (${shortList(listOptions(def).map(o => o.name))})` : "";
+        if (!errors.some(e => e.startsWith(`${def.key} `))) {
+            errors.push(`${def.key}: required by Tempo; add ATTR:${def.key}=… or attributes.defaults${options}`);
+        }
+    }
+    return { attributes, errors };
+}
+
+export default { resolveWorkAttributes, findDefinition, listOptions, needsAccounts };
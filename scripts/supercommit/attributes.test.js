@@ -0,0 +1,51 @@
+﻿// scripts/supercommit/attributes.test.js
+// Node 20+, ESM using node:test
+import test from "node:test";
+import assert from "node:assert/strict";
+import { resolveWorkAttributes, needsAccounts } from "./attributes.js";
+
+const definitions = [
+    { key: "_Category_", name: "Category", type: "STATIC_LIST", required: false, values: ["Dev", "Test"], names: { Dev: "Development", Test: "Testing" } },
+    { key: "_Billable_", name: "Billable", type: "CHECKBOX", required: true },
+    { key: "_Activity_", name: "Activity", type: "STATIC_LIST", required: false, staticListValues: [{ value: "Coding", name: "Coding" }, { value: "Review", name: "Code review" }] },
+    { key: "_Account_", name: "Account", type: "ACCOUNT", required: false },
+    { key: "_Hours_", name: "Hours", type: "INPUT_NUMERIC", required: false },
+];
+const accounts = [{ key: "ACME-01", name: "Acme", status: "OPEN" }, { key: "OLD-01", name: "Old", status: "CLOSED" }];
+
+test("values are normalized by type and later sources win", () => {
+    const { attributes, errors } = resolveWorkAttributes([
+        { key: "_Billable_", value: "true", source: "attributes.defaults" },
+        { key: "_Category_", value: "Development", source: "PHASE/CAT" },
+        { key: "Billable", value: "no", source: "ATTR" },
+        { key: "activity", value: "code review", source: "ATTR" },
+        { key: "_Account_", value: "acme", source: "ATTR" },
+    ], definitions, { accounts });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(attributes, { _Billable_: "false", _Category_: "Dev", _Activity_: "Review", _Account_: "ACME-01" });
+});
+
+test("bad values, unknown keys and missing required attributes list the options", () => {
+    const { errors } = resolveWorkAttributes([
+        { key: "_Activity_", value: "Sleeping", source: "ATTR" },
+        { key: "_Location_", value: "Home", source: "ATTR" },
+        { key: "_Account_", value: "OLD-01", source: "ATTR" },
+        { key: "_Hours_", value: "many", source: "ATTR" },
+    ], definitions, { accounts });
+    assert.deepEqual(errors, [
+        "_Activity_ (ATTR): \"Sleeping\" is not an option (Coding, Code review)",
+        "_Location_ (ATTR): no such Tempo work attribute (known: _Category_, _Billable_, _Activity_, _Account_, _Hours_)",
+        "_Account_ (ATTR): \"OLD-01\" is not an open account (ACME-01)",
+        "_Hours_ (ATTR): \"many\" is not a number",
+        "_Billable_: required by Tempo; add ATTR:_Billable_=… or attributes.defaults",
+    ]);
+});
+
+test("attributes filled in later are not reported as missing", () => {
+    assert.deepEqual(resolveWorkAttributes([{ key: "_Billable_", value: "yes", source: "ATTR" }], [...definitions, { key: "_Account_", type: "ACCOUNT", required: true }], { later: ["_Account_"] }).errors, []);
+});
+
+test("accounts are only needed for account attributes", () => {
+    assert.equal(needsAccounts([{ key: "Account" }], definitions), true);
+    assert.equal(needsAccounts([{ key: "_Billable_" }], definitions), false);
+});
@@ -0,0 +1,95 @@
+﻿// scripts/supercommit/authors.js
+// Node 20+, ESM.
+// Commit author (email) -> Jira accountId, used for Tempo worklogs and comment attribution.
+//
+// Lookup order, first hit wins:
+//   authors.map        in .supercommit.json, { "dev@acme.io": "557058:…" }
+//   authors.file       mapping file of the same shape, kept out of the config
+//   authors.cacheFile  earlier search results (written back after each new hit)
+//   Jira user search   only an unambiguous, active Atlassian account is accepted
+// Results, misses included, are remembered for the rest of the run.
+
+import fs from "node:fs";
+import path from "node:path";
+
+const norm = (email) => String(email ?? "").trim().toLowerCase();
+
+function readJson(file, what) {
+    if (!file) return {};
+    try {
+        return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (e) {
+        if (e.code !== "ENOENT") console.warn(`[SuperCommit][WARN] Could not read ${what} ${file}: ${e.message}. Ignoring it.`);
+        return {};
+    }
+}
+
+const byEmail = (obj) => Object.fromEntries(Object.entries(obj ?? {}).map(([k, v]) => [norm(k), v]));
+
+/**
+ * The one user a search for `email` means, or why there is none.
+ * Users whose email is visible must match it exactly; hidden emails are accepted only
+ * when the search found a single candidate.
+ * @returns {{ accountId, displayName } | { error: string }}
+ */
+export function pickUser(users, email) {
+    const candidates = (users ?? []).filter(u => u.accountType === "atlassian" && u.active !== false);
+    const exact = candidates.filter(u => norm(u.emailAddress) === norm(email));
+    const pool = exact.length ? exact : candidates.filter(u => !u.emailAddress);
+    if (pool.length === 1) return { accountId: pool[0].accountId, displayName: pool[0].displayName ?? "" };
+    if (!pool.length) return { error: `no active Jira user found for ${email}` };
+    return { error: `${pool.length} Jira users match ${email} (${pool.map(u => u.displayName || u.accountId).join(", ")})` };
+}
+
+/**
+ * @param {object} opts
+ * @param {Object<string, string>} [opts.map]  config authors.map
+ * @param {string} [opts.file]                 mapping file path ("" = none)
+ * @param {string} [opts.cacheFile]            search cache path ("" = this run only)
+ * @param {boolean} [opts.search=true]         use the Jira user search
+ * @param {Function} opts.searchUsers          (query) => Promise<Array> (Jira /user/search)
+ * @returns {{ resolve(email): Promise<{ accountId, displayName, source } | { error }> }}
+ */
+export function createAuthorResolver({ map = {}, file = "", cacheFile = "", search = true, searchUsers }) {
+    const inline = byEmail(map);
+    const fromFile = byEmail(readJson(file, "author mapping"));
+    const cache = byEmail(readJson(cacheFile, "author cache"));
+    const memo = new Map();
+
+    async function lookUp(email) {
+        if (inline[email]) return { accountId: inline[email], displayName: "", source: "authors.map" };
+        if (fromFile[email]) return { accountId: fromFile[email], displayName: "", source: file };
+        if (cache[email]?.accountId) return { ...cache[email], source: cacheFile };
+        if (!search) return { error: `${email} is not in authors.map${file ? ` or ${file}` : ""} and the user search is off` };
+
+        let users;
+        try {
+            users = await searchUsers(email);
+        } catch (e) {
+            return { error: `the Jira user search failed (${e.message})` };
+        }
+        const picked = pickUser(users, email);
+        if (picked.error) return picked;
+        if (cacheFile) {
+            cache[email] = { ...picked, at: new Date().toISOString() };
+            try {
+                fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+                fs.writeFileSync(cacheFile, JSON.stringify(cache, null, 2));
+            } catch (e) {
+                console.warn(`[SuperCommit][WARN] Could not write the author cache ${cacheFile}: ${e.message}`);
+            }
+        }
+        return { ...picked, source: "Jira user search" };
+    }
+
+    return {
+        resolve(email) {
+            const key = norm(email);
+            if (!key) return Promise.resolve({ error: "the commit has no author email" });
+            if (!memo.has(key)) memo.set(key, lookUp(key));
+            return memo.get(key);
+        },
+    };
+}
+
+export default { createAuthorResolver, pickUser };
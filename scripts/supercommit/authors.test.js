@@ -0,0 +1,40 @@
+﻿// scripts/supercommit/authors.test.js
+// Node 20+, ESM using node:test
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createAuthorResolver, pickUser } from "./authors.js";
+
+const ana = { accountId: "557058:ana", displayName: "Ana", accountType: "atlassian", active: true, emailAddress: "ana@acme.io" };
+
+test("a search result is accepted only when it is unambiguous", () => {
+    assert.deepEqual(pickUser([ana, { ...ana, accountId: "bot", accountType: "app" }], "Ana@Acme.io"), { accountId: "557058:ana", displayName: "Ana" });
+    assert.deepEqual(pickUser([{ ...ana, emailAddress: undefined }], "ana@acme.io"), { accountId: "557058:ana", displayName: "Ana" });
+    assert.match(pickUser([{ ...ana, emailAddress: undefined }, { ...ana, accountId: "557058:ann", displayName: "Ann", emailAddress: undefined }], "ana@acme.io").error, /2 Jira users match/);
+    assert.match(pickUser([{ ...ana, active: false }], "ana@acme.io").error, /no active Jira user/);
+});
+
+test("overrides win, searches are cached, misses are reported", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sc-authors-"));
+    const file = path.join(dir, "authors.json");
+    const cacheFile = path.join(dir, "cache", "authors.json");
+    fs.writeFileSync(file, JSON.stringify({ "Bo@acme.io": "557058:bo" }));
+    const searched = [];
+    const searchUsers = async (q) => (searched.push(q), q === "ana@acme.io" ? [ana] : []);
+
+    const authors = createAuthorResolver({ map: { "cy@acme.io": "557058:cy" }, file, cacheFile, searchUsers });
+    assert.equal((await authors.resolve("cy@acme.io")).source, "authors.map");
+    assert.equal((await authors.resolve("bo@acme.io")).accountId, "557058:bo");
+    assert.equal((await authors.resolve("ana@acme.io")).source, "Jira user search");
+    await authors.resolve("ANA@acme.io");
+    assert.match((await authors.resolve("eve@acme.io")).error, /no active Jira user/);
+    assert.deepEqual(searched, ["ana@acme.io", "eve@acme.io"]);
+
+    // the next run finds Ana in the cache without searching
+    const next = createAuthorResolver({ cacheFile, search: false, searchUsers });
+    assert.equal((await next.resolve("ana@acme.io")).accountId, "557058:ana");
+    assert.match((await next.resolve("eve@acme.io")).error, /user search is off/);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
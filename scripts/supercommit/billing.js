@@ -0,0 +1,55 @@
+﻿// scripts/supercommit/billing.js
+// Node 20+, ESM. Pure: no network, no env.
+// Billable time and the Tempo account of a worklog.
+//
+// Billable share, first match wins:
+//   BILL:<time> in the commit     its share of the LOG time (BILL:0 = non-billable)
+//   billing.projects[<PROJECT>]   ratio for the issue's project, e.g. { "PAY": 0.5 }
+//   billing.ratio                 ratio for every other project; at 1 Tempo's default applies
+//
+// Account: the issue's Tempo Account field, else the project's default account link.
+
+/**
+ * @param {{ billHours: number|null, logHours: number|null }} parsed
+ * @param {object} billing       config.billing
+ * @param {string} projectKey    e.g. "PAY"
+ * @returns {{ ratio: number, source: string } | null}  null = leave billable time to Tempo
+ */
+export function billableRatio({ billHours, logHours }, billing = {}, projectKey = "") {
+    if (billHours != null && logHours > 0) return { ratio: Math.min(1, billHours / logHours), source: "BILL" };
+    const project = billing.projects?.[projectKey];
+    if (project != null) return { ratio: project, source: `billing.projects.${projectKey}` };
+    if (billing.ratio != null && billing.ratio !== 1) return { ratio: billing.ratio, source: "billing.ratio" };
+    return null;
+}
+
+/** Billable and non-billable seconds of a worklog; they always add up to `seconds`. */
+export function splitSeconds(seconds, ratio) {
+    const billableSeconds = Math.max(0, Math.min(seconds, Math.round(seconds * ratio)));
+    return { billableSeconds, nonBillableSeconds: seconds - billableSeconds };
+}
+
+const sameRef = (a, ref) =>
+    ref != null && [a.id, a.key].some(v => v != null && String(v) === String(ref));
+
+/**
+ * Tempo account for an issue.
+ * @param {object} opts
+ * @param {*} [opts.field]      value of the issue's Account field ({ id, value }, or an id/key)
+ * @param {Array} [opts.links]  Tempo account links of the issue's project ({ account, default })
+ * @param {Array} opts.accounts Tempo /accounts results ({ id, key, name, status })
+ * @returns {{ key, name, status, source: "issue"|"project" } | null}
+ */
+export function accountForIssue({ field = null, links = [], accounts = [] }) {
+    const ref = field && typeof field === "object" ? field.id ?? field.key ?? null : field;
+    let account = ref != null ? accounts.find(a => sameRef(a, ref)) : null;
+    if (account) return { key: account.key, name: account.name ?? account.key, status: account.status ?? "OPEN", source: "issue" };
+
+    const link = links.find(l => l.default) ?? null;
+    const linked = link?.account;
+    account = linked ? accounts.find(a => sameRef(a, linked.id) || sameRef(a, linked.key)) : null;
+    if (account) return { key: account.key, name: account.name ?? account.key, status: account.status ?? "OPEN", source: "project" };
+    return null;
+}
+
+export default { billableRatio, splitSeconds, accountForIssue };
@@ -0,0 +1,32 @@
+﻿// scripts/supercommit/billing.test.js
+// Node 20+, ESM using node:test
+import test from "node:test";
+import assert from "node:assert/strict";
+import { billableRatio, splitSeconds, accountForIssue } from "./billing.js";
+
+const billing = { ratio: 1, projects: { PAY: 0.5, OPS: 0 } };
+
+test("BILL wins over the project ratio, which wins over the default", () => {
+    assert.deepEqual(billableRatio({ billHours: 1.5, logHours: 2 }, billing, "PAY"), { ratio: 0.75, source: "BILL" });
+    assert.deepEqual(billableRatio({ billHours: 0, logHours: 2 }, billing, "PAY"), { ratio: 0, source: "BILL" });
+    assert.deepEqual(billableRatio({ billHours: null, logHours: 2 }, billing, "OPS"), { ratio: 0, source: "billing.projects.OPS" });
+    assert.equal(billableRatio({ billHours: null, logHours: 2 }, billing, "WEB"), null);
+    assert.deepEqual(billableRatio({ billHours: null, logHours: 2 }, { ...billing, ratio: 0.8 }, "WEB"), { ratio: 0.8, source: "billing.ratio" });
+});
+
+test("the split always adds up to the time spent", () => {
+    assert.deepEqual(splitSeconds(7200, 0.75), { billableSeconds: 5400, nonBillableSeconds: 1800 });
+    assert.deepEqual(splitSeconds(1000, 1 / 3), { billableSeconds: 333, nonBillableSeconds: 667 });
+    assert.deepEqual(splitSeconds(3600, 0), { billableSeconds: 0, nonBillableSeconds: 3600 });
+});
+
+test("the account comes from the issue field, else the project's default link", () => {
+    const accounts = [
+        { id: 1, key: "ACME-01", name: "Acme", status: "OPEN" },
+        { id: 2, key: "INT-01", name: "Internal", status: "CLOSED" },
+    ];
+    const links = [{ account: { id: 2 }, default: false }, { account: { key: "ACME-01" }, default: true }];
+    assert.deepEqual(accountForIssue({ field: { id: 2, value: "Internal" }, links, accounts }), { key: "INT-01", name: "Internal", status: "CLOSED", source: "issue" });
+    assert.equal(accountForIssue({ field: null, links, accounts }).key, "ACME-01");
+    assert.equal(accountForIssue({ field: { id: 99 }, links: [], accounts }), null);
+});
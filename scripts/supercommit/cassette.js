@@ -0,0 +1,125 @@
+﻿// scripts/supercommit/cassette.js
+// Node 20+, ESM.
+// Record/replay of the Jira and Tempo HTTP traffic of a run, to debug it offline.
+//
+//   record  wraps fetch and keeps every request/response pair, credentials redacted; saved
+//           with the run's commits, effective config and non-secret settings as a cassette
+//   replay  a fetch that answers from a cassette instead of the network. A request takes the
+//           first unused interaction with the same method, URL and body, else the same method
+//           and URL (bodies with timestamps, such as the ledger, differ between runs). A GET
+//           asked for more often than recorded gets its last recorded answer again.
+//
+// index.js installs either over globalThis.fetch (--record <file>, --replay <file>), which is
+// the fetch jira.js (and so updateJira.js) and logTempo.js use. In tests, hand
+// replayFetch(loadCassette(file)) to createJiraClient({ fetch }) or stub globalThis.fetch with it.
+
+import fs from "node:fs";
+import path from "node:path";
+
+export const CASSETTE_VERSION = 1;
+export const REDACTED = "[redacted]";
+
+const SECRET_HEADERS = /^(authorization|proxy-authorization|cookie|set-cookie)$/i;
+const SECRET_KEYS = /token|secret|password|authorization/i;
+
+/** Copy of a JSON value with secret-looking keys (token, secret, password...) redacted. */
+export function redact(value) {
+    if (Array.isArray(value)) return value.map(redact);
+    if (!value || typeof value !== "object") return value;
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, SECRET_KEYS.test(k) ? REDACTED : redact(v)]));
+}
+
+function headersOf(headers) {
+    const out = {};
+    for (const [k, v] of new Headers(headers ?? {})) out[k] = SECRET_HEADERS.test(k) ? REDACTED : v;
+    return out;
+}
+
+function parseBody(text) {
+    if (text == null || text === "") return null;
+    try {
+        return JSON.parse(text);
+    } catch {
+        return String(text);
+    }
+}
+
+const requestOf = (input, init = {}) => ({
+    method: String(init.method || input?.method || "GET").toUpperCase(),
+    url: String(input?.url ?? input),
+    ...(init.body != null ? { body: redact(parseBody(String(init.body))) } : {}),
+});
+
+/**
+ * fetch that records what `realFetch` sends and receives.
+ * @returns {{ fetch: Function, interactions: Array<{ request, response? , error? }> }}
+ */
+export function createRecorder(realFetch = globalThis.fetch) {
+    const interactions = [];
+    async function fetch(input, init = {}) {
+        const request = { ...requestOf(input, init), headers: headersOf(init.headers) };
+        let res;
+        try {
+            res = await realFetch(input, init);
+        } catch (err) {
+            interactions.push({ request, error: { name: err?.name ?? "Error", message: String(err?.message ?? err) } });
+            throw err;
+        }
+        const text = await res.clone().text().catch(() => "");
+        interactions.push({
+            request,
+            response: { status: res.status, statusText: res.statusText, headers: headersOf(res.headers), body: redact(parseBody(text)) },
+        });
+        return res;
+    }
+    return { fetch, interactions };
+}
+
+/** fetch that answers from `cassette.interactions`; a request with no recorded answer throws like a network error. */
+export function replayFetch(cassette) {
+    const pending = [...(cassette?.interactions ?? [])];
+    const used = [];
+    return async (input, init = {}) => {
+        const { method, url, body } = requestOf(input, init);
+        const same = (i) => i.request.method === method && i.request.url === url;
+        let at = pending.findIndex(i => same(i) && JSON.stringify(i.request.body) === JSON.stringify(body));
+        if (at < 0) at = pending.findIndex(same);
+        let hit;
+        if (at >= 0) {
+            [hit] = pending.splice(at, 1);
+            used.push(hit);
+        } else if (method === "GET") {
+            hit = used.findLast(same);
+        }
+        if (!hit) {
+            console.warn(`[Cassette][WARN] No recorded response for ${method} ${url}.`);
+            throw new TypeError(`fetch failed: ${method} ${url} is not in the cassette`);
+        }
+        if (hit.error) {
+            const e = new Error(hit.error.message);
+            e.name = hit.error.name;
+            throw e;
+        }
+        const { status, statusText, headers, body: recorded } = hit.response;
+        const text = recorded == null ? null : typeof recorded === "string" ? recorded : JSON.stringify(recorded);
+        return new Response([101, 204, 205, 304].includes(status) ? null : text, { status, statusText, headers });
+    };
+}
+
+/** Write a cassette: { version, recordedAt, ...run (commits, config, env), interactions }. */
+export function saveCassette(file, { interactions, ...run }) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    const cassette = { version: CASSETTE_VERSION, recordedAt: new Date().toISOString(), ...run, interactions };
+    fs.writeFileSync(file, JSON.stringify(cassette, null, 2));
+    return cassette;
+}
+
+export function loadCassette(file) {
+    const cassette = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (cassette?.version !== CASSETTE_VERSION || !Array.isArray(cassette.interactions)) {
+        throw new Error(`${file} is not a Super Commit cassette (version ${CASSETTE_VERSION}).`);
+    }
+    return cassette;
+}
+
+export default { createRecorder, replayFetch, saveCassette, loadCassette, redact, REDACTED, CASSETTE_VERSION };
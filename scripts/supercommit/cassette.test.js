@@ -0,0 +1,49 @@
+// scripts/supercommit/cassette.test.js
+// Node 20+, ESM using node:test
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createJiraClient } from "./jira.js";
+import { createRecorder, replayFetch, saveCassette, loadCassette, REDACTED } from "./cassette.js";
+
+// the "live" Jira: one issue that moves from Build to Validate Test
+function liveJira() {
+    let status = "Build";
+    return async (url, init) => {
+        const p = new URL(url).pathname;
+        if (init.method === "POST") {
+            status = "Validate Test";
+            return new Response(null, { status: 204 });
+        }
+        const body = p.endsWith("/transitions") ? { transitions: [{ id: "21", name: "To Validate", to: { name: "Validate Test" } }] } : { id: "10001", fields: { status: { name: status } } };
+        return new Response(JSON.stringify(body), { status: 200, headers: { "content-type": "application/json", "set-cookie": "s=1" } });
+    };
+}
+
+test("a recorded run replays offline, with credentials redacted", async () => {
+    const recorder = createRecorder(liveJira());
+    const live = createJiraClient({ baseUrl: "https://x.atlassian.net", email: "a@b.c", token: "sekrit", fetch: recorder.fetch });
+    assert.equal((await live.getIssue("PAY-1")).status, "Build");
+    await live.transition("PAY-1", "21", { fields: { resolution: { name: "Done" } } });
+    assert.equal((await live.getIssue("PAY-1")).status, "Validate Test");
+
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "sc-cassette-")), "run.json");
+    saveCassette(file, { commits: [{ sha: "abc", message: "PAY-1 STATUS:ValidateTest" }], interactions: recorder.interactions });
+    const text = fs.readFileSync(file, "utf8");
+    assert.ok(!text.includes("sekrit") && !text.includes(Buffer.from("a@b.c:sekrit").toString("base64")));
+    const cassette = loadCassette(file);
+    assert.equal(cassette.interactions[0].request.headers.authorization, REDACTED);
+    assert.equal(cassette.interactions[0].response.headers["set-cookie"], REDACTED);
+    assert.deepEqual(cassette.interactions[1].request.body, { transition: { id: "21" }, fields: { resolution: { name: "Done" } } });
+
+    // same calls, same answers, in order; then the last GET answer again; unknown requests fail like the network
+    const offline = createJiraClient({ baseUrl: "https://x.atlassian.net", token: "", fetch: replayFetch(cassette), maxRetries: 0 });
+    assert.equal((await offline.getIssue("PAY-1")).status, "Build");
+    await offline.transition("PAY-1", "21", { fields: { resolution: { name: "Done" } } });
+    assert.equal((await offline.getIssue("PAY-1")).status, "Validate Test");
+    assert.equal((await offline.getIssue("PAY-1")).status, "Validate Test");
+    await assert.rejects(offline.getTransitions("PAY-2"), (e) => e.code === "NETWORK");
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+});
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+// scripts/supercommit/cli.js
+// Node 20+, ESM. Offline developer tooling around the Super Commit parser.
+//
+//   node scripts/supercommit/cli.js lint "PAY-101 LOG:2h"     lint a message given as argument
+//   node scripts/supercommit/cli.js lint --file <path>        lint a message file
+//   git log -1 --format=%B | node scripts/supercommit/cli.js lint
+//   node scripts/supercommit/cli.js install-hook [--force]   install the git commit-msg hook
+//   node scripts/supercommit/cli.js config doctor            show the effective config and its sources
+//
+// Exit codes: 0 valid (or nothing to lint), 1 invalid, 2 usage error.
+
+import fs from "node:fs";
+import path from "node:path";
+import { execFileSync } from "node:child_process";
+import { lintCommitMessage, formatLintReport, isLintable } from "./lint.js";
+import { formatDoctorReport, loadConfig } from "./config.js";
+import { workDay } from "./dates.js";
+
+const HOOK_MARKER = "# supercommit commit-msg hook";
+
+const USAGE = `Usage:
+  supercommit lint [--hook] [--file <path>] [message]
+  supercommit install-hook [--force]
+  supercommit config doctor`;
+
+function takeOption(args, name) {
+    const i = args.indexOf(name);
+    if (i < 0) return undefined;
+    const value = args[i + 1];
+    args.splice(i, 2);
+    return value;
+}
+
+function takeFlag(args, name) {
+    const i = args.indexOf(name);
+    if (i < 0) return false;
+    args.splice(i, 1);
+    return true;
+}
+
+/** Drop git's comment lines and everything below the scissors line, as `git commit` does. */
+function stripGitComments(text) {
+    const lines = String(text).replace(/\r/g, "").split("\n");
+    const cut = lines.findIndex(l => /^# -+ >8 -+$/.test(l));
+    return (cut >= 0 ? lines.slice(0, cut) : lines).filter(l => !l.startsWith("#")).join("\n").trim();
+}
+
+function cmdLint(args) {
+    const hook = takeFlag(args, "--hook");
+    const file = takeOption(args, "--file");
+
+    let message;
+    if (file) message = stripGitComments(fs.readFileSync(file, "utf8"));
+    else if (args.length) message = args.join(" ");
+    else message = fs.readFileSync(0, "utf8");
+
+    const { config } = loadConfig();
+    const mode = config.parser.mode;
+
+    // In the hook, ordinary commits (no key, no tokens, merges, fixups) pass untouched.
+    if (hook && !isLintable(message, { mode })) return 0;
+
+    // relative dates as they would resolve for a commit made now
+    const result = lintCommitMessage(message, { mode, today: workDay({ zone: config.time.timezone }) });
+    const report = formatLintReport(result);
+    if (result.ok) {
+        if (!hook) console.log(report);
+        return 0;
+    }
+    console.error(report);
+    if (hook) console.error("\n  Commit aborted. Fix the first line, or commit with --no-verify to skip this check.");
+    return 1;
+}
+
+function git(args) {
+    return execFileSync("git", args, { encoding: "utf8" }).trim();
+}
+
+function cmdInstallHook(args) {
+    const force = takeFlag(args, "--force");
+
+    let hooksDir;
+    try {
+        hooksDir = git(["config", "--get", "core.hooksPath"]);
+    } catch {
+        hooksDir = "";
+    }
+    const top = git(["rev-parse", "--show-toplevel"]);
+    hooksDir = hooksDir ? path.resolve(top, hooksDir) : path.resolve(git(["rev-parse", "--git-path", "hooks"]));
+    if (fs.existsSync(hooksDir) && !fs.statSync(hooksDir).isDirectory()) {
+        console.error(`[SuperCommit] core.hooksPath points to ${hooksDir}, which is not a directory; git hooks are disabled here.`);
+        return 1;
+    }
+    const hookPath = path.join(hooksDir, "commit-msg");
+
+    if (fs.existsSync(hookPath) && !fs.readFileSync(hookPath, "utf8").includes(HOOK_MARKER) && !force) {
+        console.error(`[SuperCommit] ${hookPath} already exists and was not installed by supercommit. Re-run with --force to replace it.`);
+        return 1;
+    }
+
+    const script = [
+        "#!/bin/sh",
+        HOOK_MARKER,
+        "# Installed by: node scripts/supercommit/cli.js install-hook",
+        'exec node "$(git rev-parse --show-toplevel)/scripts/supercommit/cli.js" lint --hook --file "$1"',
+        "",
+    ].join("\n");
+
+    fs.mkdirSync(hooksDir, { recursive: true });
+    fs.writeFileSync(hookPath, script, { mode: 0o755 });
+    fs.chmodSync(hookPath, 0o755);
+    console.log(`[SuperCommit] commit-msg hook installed at ${hookPath}`);
+    return 0;
+}
+
+function cmdConfig(args) {
+    const sub = args.shift();
+    if (sub !== "doctor") {
+        console.error(`Unknown config command "${sub ?? ""}".\n${USAGE}`);
+        return 2;
+    }
+    const { ok, text } = formatDoctorReport();
+    (ok ? console.log : console.error)(text);
+    return ok ? 0 : 1;
+}
+
+function main(argv) {
+    const args = [...argv];
+    const cmd = args.shift();
+    switch (cmd) {
+        case "lint":
+            return cmdLint(args);
+        case "install-hook":
+            return cmdInstallHook(args);
+        case "config":
+            return cmdConfig(args);
+        case undefined:
+        case "-h":
+        case "--help":
+            console.log(USAGE);
+            return cmd ? 0 : 2;
+        default:
+            console.error(`Unknown command "${cmd}".\n${USAGE}`);
+            return 2;
+    }
+}
+
+try {
+    process.exitCode = main(process.argv.slice(2));
+} catch (e) {
+    console.error(`[SuperCommit][FATAL] ${e?.message || String(e)}`);
+    process.exitCode = 2;
+}
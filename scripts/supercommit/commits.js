@@ -0,0 +1,93 @@
+﻿// scripts/supercommit/commits.js
+// Node 20+, ESM.
+// Resolves the list of commits a Super Commit run should process, oldest first.
+//
+// Sources, in order of precedence:
+//   1) a git range "base..head" (COMMIT_RANGE or --range)
+//   2) a single COMMIT_MESSAGE (legacy / synthetic messages such as PR approval)
+//   3) the GitHub push payload's commits[] (GITHUB_EVENT_PATH)
+//
+// Each commit: { sha, message, authorName, authorEmail, authorDate }
+
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+
+// A push that creates a branch reports an all-zero "before" SHA.
+const NULL_SHA_RE = /^0+$/;
+
+const FIELD_SEP = "\x1f";
+const RECORD_SEP = "\x1e";
+
+/** Split "base..head" into its two ends; returns null if the range is unusable. */
+export function splitRange(range) {
+    const m = /^\s*([^.\s]+)\.\.([^.\s]+)\s*$/.exec(String(range ?? ""));
+    if (!m) return null;
+    return { base: m[1], head: m[2] };
+}
+
+/** Read commits from git, oldest first. `revs` is passed to git log as-is (e.g. ["a..b"] or ["-1", "HEAD"]). */
+export function commitsFromGit(revs, { cwd = process.cwd() } = {}) {
+    const out = execFileSync(
+        "git",
+        ["log", "--reverse", `--format=%H${FIELD_SEP}%an${FIELD_SEP}%ae${FIELD_SEP}%aI${FIELD_SEP}%B${RECORD_SEP}`, ...revs],
+        { cwd, encoding: "utf8", maxBuffer: 32 * 1024 * 1024 }
+    );
+    return out
+        .split(RECORD_SEP)
+        .map(r => r.replace(/^\s+/, ""))
+        .filter(Boolean)
+        .map(r => {
+            const [sha, authorName, authorEmail, authorDate, message] = r.split(FIELD_SEP);
+            return { sha, message: (message ?? "").replace(/\r/g, "").trimEnd(), authorName, authorEmail, authorDate };
+        });
+}
+
+/** Map a GitHub push payload to commits. Payload commits are already oldest first. */
+export function commitsFromPushEvent(event) {
+    return (event?.commits ?? []).map(c => ({
+        sha: c?.id ?? "",
+        message: String(c?.message ?? "").replace(/\r/g, "").trimEnd(),
+        authorName: c?.author?.name ?? "",
+        authorEmail: c?.author?.email ?? "",
+        authorDate: c?.timestamp ?? "",
+    }));
+}
+
+function readEvent(eventPath) {
+    if (!eventPath || !fs.existsSync(eventPath)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(eventPath, "utf8"));
+    } catch (e) {
+        console.warn(`[SuperCommit][WARN] Could not read GitHub event payload: ${e.message}`);
+        return null;
+    }
+}
+
+/**
+ * Resolve commits to process. Throws if no source is available. `cwd` is the repository git reads.
+ */
+export function loadCommits({ range, message, sha, eventPath, cwd = process.cwd() } = {}) {
+    const r = splitRange(range);
+    if (range && !r) throw new Error(`COMMIT_RANGE must look like base..head (got "${range}").`);
+
+    if (r && !NULL_SHA_RE.test(r.base)) {
+        return commitsFromGit([`${r.base}..${r.head}`], { cwd });
+    }
+
+    if (message && message.trim()) {
+        return [{ sha: sha ?? "", message, authorName: "", authorEmail: "", authorDate: "" }];
+    }
+
+    // New branch (before=000…) or no range: fall back to the push payload.
+    const event = readEvent(eventPath);
+    const fromEvent = commitsFromPushEvent(event);
+    if (fromEvent.length) return fromEvent;
+
+    if (r) {
+        // Nothing in the payload (e.g. workflow_dispatch); take the head commit alone.
+        return commitsFromGit(["-1", r.head], { cwd });
+    }
+    throw new Error("No commits to process: set COMMIT_RANGE, COMMIT_MESSAGE or run on a push event.");
+}
+
+export default { loadCommits, commitsFromGit, commitsFromPushEvent, splitRange };
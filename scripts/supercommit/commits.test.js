@@ -0,0 +1,100 @@
+// scripts/supercommit/commits.test.js
+// Node 20+, ESM using node:test
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { splitRange, commitsFromGit, commitsFromPushEvent, loadCommits } from "./commits.js";
+
+const ZERO = "0".repeat(40);
+const dirs = [];
+test.after(() => dirs.forEach(d => fs.rmSync(d, { recursive: true, force: true })));
+
+function tmpDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "supercommit-commits-"));
+    dirs.push(dir);
+    return dir;
+}
+
+// a repository with one commit per message, oldest first; returns its dir and the SHAs
+function tmpRepo(messages) {
+    const cwd = tmpDir();
+    const git = (...args) => execFileSync("git", args, { cwd, encoding: "utf8" }).trim();
+    git("init", "-q");
+    const shas = messages.map((message, i) => {
+        fs.writeFileSync(path.join(cwd, "f.txt"), String(i));
+        git("add", "f.txt");
+        git("-c", "user.name=Asha Rao", "-c", "user.email=asha@acme.io", "commit", "-q", "-m", message);
+        return git("rev-parse", "HEAD");
+    });
+    return { cwd, git, shas };
+}
+
+function eventFile(event) {
+    const file = path.join(tmpDir(), "event.json");
+    fs.writeFileSync(file, JSON.stringify(event));
+    return file;
+}
+
+const pushEvent = {
+    commits: [
+        { id: "a1", message: "PAY-1 LOG:1h\r\n\r\nbody\n", author: { name: "Asha", email: "asha@acme.io" }, timestamp: "2025-10-06T10:00:00+05:30" },
+        { id: "b2", message: "PAY-2 STATUS:Done" },
+    ],
+};
+
+test("splitRange takes base..head and refuses anything else", () => {
+    assert.deepEqual(splitRange(" abc123..def456 "), { base: "abc123", head: "def456" });
+    assert.equal(splitRange("abc123...def456"), null);
+    assert.equal(splitRange("abc123"), null);
+    assert.equal(splitRange(undefined), null);
+});
+
+test("push payload commits keep their order; messages lose CRs and trailing whitespace", () => {
+    assert.deepEqual(commitsFromPushEvent(pushEvent), [
+        { sha: "a1", message: "PAY-1 LOG:1h\n\nbody", authorName: "Asha", authorEmail: "asha@acme.io", authorDate: "2025-10-06T10:00:00+05:30" },
+        { sha: "b2", message: "PAY-2 STATUS:Done", authorName: "", authorEmail: "", authorDate: "" },
+    ]);
+    assert.deepEqual(commitsFromPushEvent(null), []);
+});
+
+test("git commits come oldest first with author and full message", () => {
+    const { cwd, shas } = tmpRepo(["PAY-1 first", "PAY-2 second\n\nJira-Status: Done", "PAY-3 third"]);
+    const commits = commitsFromGit([`${shas[0]}..${shas[2]}`], { cwd });
+    assert.deepEqual(commits.map(c => c.sha), shas.slice(1));
+    assert.equal(commits[0].message, "PAY-2 second\n\nJira-Status: Done");
+    assert.equal(commits[0].authorEmail, "asha@acme.io");
+    assert.match(commits[0].authorDate, /^\d{4}-\d{2}-\d{2}T/);
+});
+
+test("a range wins over the message and the payload", () => {
+    const { cwd, shas } = tmpRepo(["PAY-1 first", "PAY-2 second"]);
+    const commits = loadCommits({ cwd, range: `${shas[0]}..${shas[1]}`, message: "PAY-9 ignored", eventPath: eventFile(pushEvent) });
+    assert.deepEqual(commits.map(c => c.message), ["PAY-2 second"]);
+    assert.throws(() => loadCommits({ cwd, range: shas[1] }), /base\.\.head/);
+});
+
+test("a force-push range lists the new commits, not the ones it replaced", () => {
+    const { cwd, git, shas } = tmpRepo(["PAY-1 base", "PAY-2 old tip"]);
+    git("reset", "-q", "--hard", shas[0]);
+    fs.writeFileSync(path.join(cwd, "f.txt"), "rewritten");
+    git("-c", "user.name=Asha Rao", "-c", "user.email=asha@acme.io", "commit", "-q", "-am", "PAY-2 rewritten");
+    const head = git("rev-parse", "HEAD");
+    assert.deepEqual(loadCommits({ cwd, range: `${shas[1]}..${head}` }).map(c => c.message), ["PAY-2 rewritten"]);
+});
+
+test("a new branch (zero base) uses the payload, else the head commit alone", () => {
+    const { cwd, shas } = tmpRepo(["PAY-1 first", "PAY-2 second"]);
+    assert.deepEqual(loadCommits({ cwd, range: `${ZERO}..${shas[1]}`, eventPath: eventFile(pushEvent) }).map(c => c.sha), ["a1", "b2"]);
+    assert.deepEqual(loadCommits({ cwd, range: `${ZERO}..${shas[1]}`, eventPath: eventFile({}) }).map(c => c.sha), [shas[1]]);
+});
+
+test("without a range: COMMIT_MESSAGE, then the payload, else an error", () => {
+    assert.deepEqual(loadCommits({ message: "PAY-1 READY:Yes", sha: "c3", eventPath: eventFile(pushEvent) }), [
+        { sha: "c3", message: "PAY-1 READY:Yes", authorName: "", authorEmail: "", authorDate: "" },
+    ]);
+    assert.deepEqual(loadCommits({ message: "  ", eventPath: eventFile(pushEvent) }).map(c => c.sha), ["a1", "b2"]);
+    assert.throws(() => loadCommits({ eventPath: path.join(tmpDir(), "missing.json") }), /No commits to process/);
+});
@@ -0,0 +1,566 @@
+﻿// scripts/supercommit/config.js
+// Node 20+, ESM.
+// Repository configuration for Super Commit: `.supercommit.json` at the repo root
+// (or SUPERCOMMIT_CONFIG), merged over built-in defaults and validated at startup.
+//
+// Secrets (JIRA_EMAIL, JIRA_API_TOKEN, TEMPO_TOKEN, ...) and per-environment values
+// (JIRA_BASE_URL, TEMPO_AUTHOR_ACCOUNT_ID) stay in env vars. The legacy behavior env
+// vars listed in ENV_OVERRIDES still work and win over the file when non-empty.
+
+import fs from "node:fs";
+import path from "node:path";
+import { isTimeZone } from "./dates.js";
+import { GUARD_ACTIONS } from "./guard.js";
+import { REPORT_ACTIONS, FAILURE_POLICIES } from "./report.js";
+import { OUTPUT_NAME, RESERVED_OUTPUTS, describeActions } from "./rules.js";
+
+export const CONFIG_FILE_NAME = ".supercommit.json";
+
+export const DEFAULT_CONFIG = Object.freeze({
+    // STATUS token -> Jira status name
+    statusAliases: {
+        Analyze: "Analyze and Size",
+        AnalyzeAndSize: "Analyze and Size",
+        Build: "Build",
+        ValidateTest: "Validate Test",
+        EndToEndTest: "End to End Testing",
+        RegressionTest: "Regression Testing",
+        CertifyRelease: "Certify and Release",
+    },
+    categories: {
+        attributeKey: "_Category_",   // Tempo work attribute; "" disables the category
+        default: "",                  // used when the commit has no PHASE/CAT
+        allowed: [],                  // empty = accept any value
+        aliases: {
+            dev: "Development",
+            development: "Development",
+            build: "Development",
+            test: "Testing",
+            testing: "Testing",
+            qa: "Testing",
+            docs: "Documentation",
+            doc: "Documentation",
+            document: "Documentation",
+            ops: "Operations",
+            deploy: "Deployment",
+            release: "Deployment",
+            bugfix: "Bug Fixing",
+            bug: "Bug Fixing",
+            analysis: "Analysis",
+            analyze: "Analysis",
+        },
+        // parser.mode "conventional": category for the commit type when there is no PHASE/CAT
+        byType: {
+            feat: "Development",
+            fix: "Bug Fixing",
+            perf: "Development",
+            refactor: "Development",
+            docs: "Documentation",
+            test: "Testing",
+            build: "Operations",
+            ci: "Operations",
+        },
+    },
+    // Tempo work attributes on every worklog; ATTR:key=value in a commit overrides a default.
+    // With validate on, keys and values are checked against Tempo's /work-attributes first.
+    attributes: {
+        defaults: {},
+        validate: true,
+    },
+    // Billable time: BILL: in a commit wins, then the ratio for the issue's project
+    // (e.g. { "PAY": 0.5 }), then ratio; at 1 the billable time is left to Tempo.
+    billing: {
+        ratio: 1,
+        projects: {},
+        accountAttribute: "_Account_", // Tempo work attribute for the account; "" disables the lookup
+        accountField: "",              // Jira field id of Tempo's Account field; "" = find it by type
+    },
+    fields: {
+        ready: { id: "", type: "", yesValue: "Yes", noValue: "No" },
+    },
+    // Board order of statuses. STATUS: may move several hops forward along it; moving to an
+    // earlier status is refused unless allowBackward is true. Only the first hop of such a move
+    // can be planned (see plan.js): unplannedHops "apply" lets the later hops be chosen as they
+    // are applied (the plan names them as unplanned), "refuse" leaves the issue where it is.
+    workflow: {
+        order: ["Analyze and Size", "Build", "Validate Test", "End to End Testing", "Regression Testing", "Certify and Release"],
+        maxHops: 4,
+        allowBackward: false,
+        unplannedHops: "apply",
+    },
+    // Defaults for transition screen fields, by field id or name (e.g. "resolution": "Done").
+    // RESOLUTION:/FIXVERSION: tokens in the commit win over these.
+    transitionFields: {},
+    // "strict": issue key at the start of the subject. "conventional": also accept
+    // type(scope)!: subjects, with the key in the scope, a Refs: footer or the subject.
+    parser: { mode: "strict" },
+    // Transitions that ask the Auto PR workflow to open a pull request
+    prTriggers: [{ from: "Build", to: "Validate Test" }],
+    // What follows an applied transition (see rules.js). A rule matches on from, to, branch
+    // (glob) and project, each optional, and asks for: pr, labels, reviewers (of the pull
+    // request), outputs (step outputs) and dispatch (repository_dispatch event types).
+    automation: { rules: [] },
+    // split: how a plain LOG is shared between several issues. dayStart: start of worklogs without
+    // a start time. overlap: "warn", "shift" (to the next free slot) or "off" (see timesheet.js).
+    // backend: "tempo", "jira" (Jira's own worklogs) or "auto" (Tempo when a Tempo token is set).
+    // adjustEstimate: Jira worklogs lower the remaining estimate ("auto") or "leave" it.
+    log: { split: "split", dayStart: "09:00", overlap: "warn", backend: "auto", adjustEstimate: "auto" },
+    // Pre-flight checks before booking time (see guard.js). action: "off", "warn", "block",
+    // or "cap" (hour rules: book only what the rule allows).
+    guard: {
+        perEntry: { action: "warn", hours: 10 },
+        perDay: { action: "warn", hours: 12 },
+        future: { action: "block" },
+        weekend: { action: "warn", days: ["sat", "sun"] },
+        holidays: { action: "warn", dates: [] },
+        backdate: { action: "warn", days: 30 },
+    },
+    ledger: { store: "jira", file: ".supercommit/ledger.json" },
+    // `git revert` of a Super Commit: delete the Tempo worklogs and Jira comments it created,
+    // and optionally move the issue back to the status it had before the commit.
+    revert: { enabled: true, worklogs: true, comments: true, transitionBack: false },
+    // Jira comments: add a footer with the linked short SHA, branch and author
+    comments: { footer: true },
+    // Run report (see report.js): JSON file ("" = none) and a table in the GitHub step summary
+    report: { file: ".supercommit/report.json", summary: true },
+    // Per action, what a failure does to the run: "fail" (exit code 1), "warn" or "ignore"
+    failurePolicy: { ready: "warn", transition: "fail", tempo: "fail", comment: "warn", revert: "warn" },
+    // Commit author email -> Jira accountId for worklogs and the comment footer: map, then the
+    // mapping file, then the cache of earlier searches, then Jira's user search (see authors.js).
+    // unmapped: "fail" books no time for the author; "default" books it as TEMPO_AUTHOR_ACCOUNT_ID.
+    authors: {
+        map: {},
+        file: ".supercommit/authors.json",
+        cacheFile: ".supercommit/authors-cache.json",
+        search: true,
+        unmapped: "fail",
+    },
+    // Day that LOG/DATE (and relative dates such as @yesterday) refer to: "author" uses the offset
+    // git recorded with each commit; otherwise an IANA zone ("Asia/Kolkata") or offset ("+05:30").
+    // authors: commit author email -> zone, for teams spread across zones.
+    time: { timezone: "author", authors: {} },
+    // "cloud": Jira Cloud (REST v3, email + API token, ADF comments) and Tempo Cloud (api.tempo.io).
+    // "datacenter": Jira Data Center/Server (REST v2, personal access token, wiki markup comments)
+    // and Tempo Timesheets Server under the Jira base URL.
+    deployment: "cloud",
+    // Jira REST client: per-attempt timeout and retries for 429/5xx (see jira.js)
+    jira: { timeoutMs: 30000, maxRetries: 3 },
+    dryRun: false,
+});
+
+// ---- Schema -----------------------------------------------------------------
+
+const str = { type: "string" };
+const nonEmpty = { type: "string", minLength: 1 };
+const guardRule = (properties, actions = GUARD_ACTIONS.filter(a => a !== "cap")) => ({
+    type: "object",
+    properties: { action: { type: "string", enum: actions }, ...properties },
+});
+
+export const CONFIG_SCHEMA = {
+    type: "object",
+    properties: {
+        $schema: str,
+        statusAliases: { type: "map", values: nonEmpty },
+        categories: {
+            type: "object",
+            properties: {
+                attributeKey: str,
+                default: str,
+                allowed: { type: "array", items: nonEmpty },
+                aliases: { type: "map", values: nonEmpty },
+                byType: { type: "map", values: nonEmpty },
+            },
+        },
+        attributes: {
+            type: "object",
+            properties: {
+                defaults: { type: "map", values: nonEmpty },
+                validate: { type: "boolean" },
+            },
+        },
+        billing: {
+            type: "object",
+            properties: {
+                ratio: { type: "number", format: "ratio" },
+                projects: { type: "map", values: { type: "number", format: "ratio" } },
+                accountAttribute: str,
+                accountField: str,
+            },
+        },
+        fields: {
+            type: "object",
+            properties: {
+                ready: {
+                    type: "object",
+                    properties: {
+                        id: str,
+                        type: { type: "string", enum: ["", "string", "option", "array"] },
+                        yesValue: nonEmpty,
+                        noValue: nonEmpty,
+                    },
+                },
+            },
+        },
+        workflow: {
+            type: "object",
+            properties: {
+                order: { type: "array", items: nonEmpty },
+                maxHops: { type: "number", minimum: 1 },
+                allowBackward: { type: "boolean" },
+                unplannedHops: { type: "string", enum: ["refuse", "apply"] },
+            },
+        },
+        transitionFields: { type: "map", values: nonEmpty },
+        parser: { type: "object", properties: { mode: { type: "string", enum: ["strict", "conventional"] } } },
+        prTriggers: {
+            type: "array",
+            items: { type: "object", required: ["from", "to"], properties: { from: nonEmpty, to: nonEmpty } },
+        },
+        automation: {
+            type: "object",
+            properties: {
+                rules: {
+                    type: "array",
+                    items: {
+                        type: "object",
+                        properties: {
+                            name: nonEmpty,
+                            from: nonEmpty,
+                            to: nonEmpty,
+                            branch: nonEmpty,
+                            project: nonEmpty,
+                            pr: { type: "boolean" },
+                            labels: { type: "array", items: nonEmpty },
+                            reviewers: { type: "array", items: nonEmpty },
+                            outputs: { type: "map", keyFormat: "output", values: str },
+                            dispatch: { type: "array", items: nonEmpty },
+                        },
+                    },
+                },
+            },
+        },
+        log: {
+            type: "object",
+            properties: {
+                split: { type: "string", enum: ["split", "duplicate"] },
+                dayStart: { type: "string", format: "time" },
+                overlap: { type: "string", enum: ["warn", "shift", "off"] },
+                backend: { type: "string", enum: ["auto", "tempo", "jira"] },
+                adjustEstimate: { type: "string", enum: ["auto", "leave"] },
+            },
+        },
+        guard: {
+            type: "object",
+            properties: {
+                perEntry: guardRule({ hours: { type: "number" } }, GUARD_ACTIONS),
+                perDay: guardRule({ hours: { type: "number" } }, GUARD_ACTIONS),
+                future: guardRule({}),
+                weekend: guardRule({ days: { type: "array", items: { type: "string", enum: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"] } } }),
+                holidays: guardRule({ dates: { type: "array", items: { type: "string", format: "date" } } }),
+                backdate: guardRule({ days: { type: "number", minimum: 0 } }),
+            },
+        },
+        ledger: {
+            type: "object",
+            properties: { store: { type: "string", enum: ["jira", "file", "off"] }, file: nonEmpty },
+        },
+        revert: {
+            type: "object",
+            properties: {
+                enabled: { type: "boolean" },
+                worklogs: { type: "boolean" },
+                comments: { type: "boolean" },
+                transitionBack: { type: "boolean" },
+            },
+        },
+        comments: { type: "object", properties: { footer: { type: "boolean" } } },
+        report: { type: "object", properties: { file: str, summary: { type: "boolean" } } },
+        failurePolicy: {
+            type: "object",
+            properties: Object.fromEntries(REPORT_ACTIONS.map(a => [a, { type: "string", enum: FAILURE_POLICIES }])),
+        },
+        authors: {
+            type: "object",
+            properties: {
+                map: { type: "map", values: nonEmpty },
+                file: str,
+                cacheFile: str,
+                search: { type: "boolean" },
+                unmapped: { type: "string", enum: ["fail", "default"] },
+            },
+        },
+        time: {
+            type: "object",
+            properties: { timezone: { type: "string", format: "timezone" }, authors: { type: "map", values: { type: "string", format: "timezone" } } },
+        },
+        deployment: { type: "string", enum: ["cloud", "datacenter"] },
+        jira: {
+            type: "object",
+            properties: { timeoutMs: { type: "number", minimum: 1000 }, maxRetries: { type: "number", minimum: 0 } },
+        },
+        dryRun: { type: "boolean" },
+    },
+};
+
+const typeOf = (v) => (v === null ? "null" : Array.isArray(v) ? "array" : typeof v);
+
+/** Validate `value` against a CONFIG_SCHEMA node; returns a list of "path: problem" strings. */
+export function validateConfig(value, schema = CONFIG_SCHEMA, at = "") {
+    const errors = [];
+    const where = at || "(root)";
+    const want = schema.type === "map" ? "object" : schema.type;
+
+    if (typeOf(value) !== want) {
+        errors.push(`${where}: expected ${want}, got ${typeOf(value)}`);
+        return errors;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${where}: must be one of ${schema.enum.filter(Boolean).map(e => `"${e}"`).join(", ")} (got "${value}")`);
+    }
+    if (schema.minLength && value.length < schema.minLength) {
+        errors.push(`${where}: must not be empty`);
+    }
+    if (schema.format === "timezone" && !isTimeZone(value)) {
+        errors.push(`${where}: unknown timezone "${value}" (use "author", an IANA name such as "Asia/Kolkata", or an offset such as "+05:30")`);
+    }
+    if (schema.format === "date" && !(/^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)))) {
+        errors.push(`${where}: must be a date yyyy-mm-dd (got "${value}")`);
+    }
+    if (schema.format === "time" && !/^([01]\d|2[0-3]):[0-5]\d$/.test(value)) {
+        errors.push(`${where}: must be a time of day hh:mm (got "${value}")`);
+    }
+    if (schema.format === "ratio" && !(value >= 0 && value <= 1)) {
+        errors.push(`${where}: must be a ratio between 0 and 1 (got ${value})`);
+    }
+    if (schema.minimum != null && !(Number.isInteger(value) && value >= schema.minimum)) {
+        errors.push(`${where}: must be a whole number >= ${schema.minimum} (got ${value})`);
+    }
+    if (schema.type === "object") {
+        for (const key of Object.keys(value)) {
+            if (!schema.properties[key]) {
+                const known = Object.keys(schema.properties).filter(k => k !== "$schema").join(", ");
+                errors.push(`${at ? `${at}.` : ""}${key}: unknown setting (known: ${known})`);
+            }
+        }
+        for (const key of schema.required ?? []) {
+            if (value[key] === undefined) errors.push(`${at ? `${at}.` : ""}${key}: is required`);
+        }
+        for (const [key, sub] of Object.entries(schema.properties)) {
+            if (value[key] !== undefined) errors.push(...validateConfig(value[key], sub, at ? `${at}.${key}` : key));
+        }
+    }
+    if (schema.type === "map") {
+        for (const [key, v] of Object.entries(value)) {
+            if (schema.keyFormat === "output" && (!OUTPUT_NAME.test(key) || RESERVED_OUTPUTS.includes(key))) {
+                errors.push(`${at}.${key}: ${OUTPUT_NAME.test(key) ? "reserved for Super Commit's own step outputs" : "not a valid step output name (letters, digits, _ and -)"}`);
+            }
+            errors.push(...validateConfig(v, schema.values, `${at}.${key}`));
+        }
+    }
+    if (schema.type === "array") {
+        value.forEach((v, i) => errors.push(...validateConfig(v, schema.items, `${at}[${i}]`)));
+    }
+    return errors;
+}
+
+/** Thrown when the config file cannot be read or does not match the schema. */
+export class SuperCommitConfigError extends Error {
+    constructor(file, errors) {
+        super(`Invalid Super Commit config ${file}:\n  - ${errors.join("\n  - ")}`);
+        this.name = "SuperCommitConfigError";
+        this.file = file;
+        this.errors = errors;
+    }
+}
+
+// ---- Env overrides (backward compatibility) ---------------------------------
+
+const csv = (s) => s.split(",").map(x => x.trim()).filter(Boolean);
+const lower = (s) => s.trim().toLowerCase();
+const bool = (s) => s.trim().toLowerCase() === "true";
+
+export const ENV_OVERRIDES = [
+    ["TEMPO_CATEGORY_ATTRIBUTE_KEY", "categories.attributeKey", (s) => s.trim()],
+    ["TEMPO_CATEGORY_KEY", "categories.default", (s) => s.trim()],
+    ["TEMPO_CATEGORY_ALLOWED", "categories.allowed", csv],
+    ["JIRA_READY_FIELD_ID", "fields.ready.id", (s) => s.trim()],
+    ["JIRA_READY_FIELD_TYPE", "fields.ready.type", lower],
+    ["JIRA_READY_YES_VALUE", "fields.ready.yesValue", (s) => s.trim()],
+    ["TEMPO_LOG_SPLIT", "log.split", lower],
+    ["SUPERCOMMIT_WORKLOG_BACKEND", "log.backend", lower],
+    ["SUPERCOMMIT_LEDGER", "ledger.store", lower],
+    ["SUPERCOMMIT_LEDGER_FILE", "ledger.file", (s) => s.trim()],
+    ["JIRA_DEPLOYMENT", "deployment", lower],
+    ["DRY_RUN", "dryRun", bool],
+];
+
+const isPlainObject = (v) => typeOf(v) === "object";
+
+function deepMerge(base, over) {
+    const out = { ...base };
+    for (const [k, v] of Object.entries(over ?? {})) {
+        out[k] = isPlainObject(v) && isPlainObject(base?.[k]) ? deepMerge(base[k], v) : v;
+    }
+    return out;
+}
+
+function getPath(obj, dotted) {
+    return dotted.split(".").reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+function setPath(obj, dotted, value) {
+    const keys = dotted.split(".");
+    const last = keys.pop();
+    const parent = keys.reduce((o, k) => (o[k] = isPlainObject(o[k]) ? { ...o[k] } : {}), obj);
+    parent[last] = value;
+}
+
+// ---- Load -------------------------------------------------------------------
+
+/** Path of the config file to use, or null when none exists. */
+export function findConfigFile({ cwd = process.cwd(), env = process.env } = {}) {
+    if (env.SUPERCOMMIT_CONFIG) return path.resolve(cwd, env.SUPERCOMMIT_CONFIG);
+    const candidate = path.join(cwd, CONFIG_FILE_NAME);
+    return fs.existsSync(candidate) ? candidate : null;
+}
+
+/**
+ * Load and validate the effective config.
+ * Returns { config, file, sources } where sources maps dotted setting paths to
+ * "default" | "file" | "env:<NAME>".
+ */
+export function loadConfig({ cwd = process.cwd(), env = process.env } = {}) {
+    const file = findConfigFile({ cwd, env });
+    let fromFile = {};
+    if (file) {
+        let text;
+        try {
+            text = fs.readFileSync(file, "utf8").replace(/^\uFEFF/, "");
+        } catch (e) {
+            throw new SuperCommitConfigError(file, [`cannot read file: ${e.message}`]);
+        }
+        try {
+            fromFile = JSON.parse(text);
+        } catch (e) {
+            throw new SuperCommitConfigError(file, [`not valid JSON: ${e.message}`]);
+        }
+        const errors = validateConfig(fromFile);
+        if (errors.length) throw new SuperCommitConfigError(file, errors);
+    }
+
+    let config = deepMerge(DEFAULT_CONFIG, fromFile);
+    delete config.$schema;
+
+    const envSet = new Map();
+    for (const [name, dotted, convert] of ENV_OVERRIDES) {
+        const raw = env[name];
+        if (raw == null || String(raw).trim() === "") continue; // empty secrets/vars never clear file settings
+        setPath(config, dotted, convert(String(raw)));
+        envSet.set(dotted, name);
+    }
+
+    const envErrors = validateConfig(config);
+    if (envErrors.length) {
+        throw new SuperCommitConfigError("(after env overrides)", envErrors);
+    }
+
+    const sources = {};
+    const walk = (value, at) => {
+        if (isPlainObject(value) && !["statusAliases", "categories.aliases", "categories.byType", "attributes.defaults", "billing.projects", "authors.map", "transitionFields", "time.authors"].includes(at)) {
+            for (const [k, v] of Object.entries(value)) walk(v, at ? `${at}.${k}` : k);
+            return;
+        }
+        sources[at] = envSet.has(at) ? `env:${envSet.get(at)}` : getPath(fromFile, at) !== undefined ? "file" : "default";
+    };
+    walk(config, "");
+
+    return { config, file, sources };
+}
+
+/** Resolve a STATUS token through statusAliases (exact key first, then case-insensitive). */
+export function resolveStatusAlias(config, status) {
+    const aliases = config?.statusAliases ?? {};
+    const s = String(status ?? "").trim();
+    if (aliases[s]) return aliases[s];
+    const hit = Object.keys(aliases).find(k => k.toLowerCase() === s.toLowerCase());
+    return hit ? aliases[hit] : s;
+}
+
+// ---- Doctor -----------------------------------------------------------------
+
+// Secrets and per-environment values that are deliberately not part of the file
+export const ENV_SETTINGS = [
+    ["JIRA_BASE_URL", false],
+    ["JIRA_EMAIL", false],
+    ["JIRA_API_TOKEN", true],
+    ["TEMPO_TOKEN", true],
+    ["TEMPO_AUTHOR_ACCOUNT_ID", false],
+];
+
+/** Human-readable report of the merged config, where each value came from, and likely mistakes. */
+export function formatDoctorReport({ cwd = process.cwd(), env = process.env } = {}) {
+    const out = [];
+    let loaded;
+    try {
+        loaded = loadConfig({ cwd, env });
+    } catch (e) {
+        out.push("✖ Super Commit config is invalid");
+        out.push(String(e.message));
+        return { ok: false, text: out.join("\n") };
+    }
+    const { config, file, sources } = loaded;
+
+    out.push(`Super Commit config: ${file ?? `(no ${CONFIG_FILE_NAME}; built-in defaults)`}`);
+    out.push("");
+    out.push("Effective settings:");
+    for (const [at, src] of Object.entries(sources)) {
+        out.push(`  ${at} = ${JSON.stringify(getPath(config, at))}  [${src}]`);
+    }
+
+    out.push("");
+    out.push("Environment (secrets are never printed):");
+    for (const [name, secret] of ENV_SETTINGS) {
+        const val = name === "TEMPO_TOKEN" ? (env.TEMPO_TOKEN || env.TEMPO_API_TOKEN) : env[name];
+        out.push(`  ${name}: ${val ? (secret ? "(set)" : val) : "(unset)"}`);
+    }
+
+    const warnings = [];
+    if (!env.JIRA_BASE_URL) warnings.push("JIRA_BASE_URL is unset: every Jira action will fail.");
+    if (config.deployment === "datacenter") {
+        if (!(env.TEMPO_TOKEN || env.TEMPO_API_TOKEN || env.JIRA_API_TOKEN)) warnings.push("JIRA_API_TOKEN is unset: a personal access token is needed on Data Center.");
+    } else {
+        if (!env.JIRA_EMAIL) warnings.push("JIRA_EMAIL is unset: Jira Cloud needs the email of the API token's user.");
+        if (!(env.TEMPO_TOKEN || env.TEMPO_API_TOKEN)) {
+            if (config.log.backend === "tempo") warnings.push("TEMPO_TOKEN is unset: LOG tokens cannot be booked (log.backend: tempo).");
+            if (config.log.backend === "auto") warnings.push("TEMPO_TOKEN is unset: LOG tokens are booked as Jira worklogs (log.backend: auto).");
+        }
+    }
+    if (config.fields.ready.type && !config.fields.ready.id) warnings.push("fields.ready.type is set but fields.ready.id is empty: READY is ignored.");
+    if (config.categories.default && config.categories.allowed.length && !config.categories.allowed.includes(config.categories.default)) {
+        warnings.push(`categories.default "${config.categories.default}" is not in categories.allowed.`);
+    }
+    // the worklog backend index.js picks (see log.backend)
+    const jiraWorklogs = config.log.backend === "jira" ||
+        (config.log.backend === "auto" && config.deployment !== "datacenter" && !(env.TEMPO_TOKEN || env.TEMPO_API_TOKEN));
+    if (config.authors.unmapped === "default" && jiraWorklogs) {
+        warnings.push("authors.unmapped is default and worklogs go to Jira: unmapped authors' time is booked as the JIRA_API_TOKEN user.");
+    } else if (config.authors.unmapped === "default" && !env.TEMPO_AUTHOR_ACCOUNT_ID) {
+        warnings.push("authors.unmapped is default but TEMPO_AUTHOR_ACCOUNT_ID is unset: unmapped authors book no time.");
+    }
+    if (config.ledger.store === "jira" && !env.JIRA_BASE_URL) warnings.push("ledger.store is jira but Jira is not configured; replays are not detected.");
+    config.automation.rules.forEach((rule, i) => {
+        if (describeActions(rule) === "nothing") warnings.push(`automation.rules[${i}]${rule.name ? ` ("${rule.name}")` : ""} has no action: it fires but does nothing.`);
+    });
+
+    out.push("");
+    if (warnings.length) {
+        out.push("Warnings:");
+        for (const w of warnings) out.push(`  ! ${w}`);
+    } else {
+        out.push("✔ No problems found.");
+    }
+    return { ok: true, text: out.join("\n") };
+}
+
+export default { loadConfig, validateConfig, resolveStatusAlias, formatDoctorReport, DEFAULT_CONFIG, CONFIG_SCHEMA };
@@ -0,0 +1,93 @@
+﻿// scripts/supercommit/config.test.js
+// Node 20+, ESM using node:test
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { loadConfig, validateConfig, resolveStatusAlias, formatDoctorReport, SuperCommitConfigError } from "./config.js";
+
+const dirs = [];
+test.after(() => dirs.forEach(d => fs.rmSync(d, { recursive: true, force: true })));
+
+function tmpRepo(config) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "supercommit-config-"));
+    dirs.push(dir);
+    if (config !== undefined) {
+        fs.writeFileSync(path.join(dir, ".supercommit.json"), typeof config === "string" ? config : JSON.stringify(config));
+    }
+    return dir;
+}
+
+test("no file -> built-in defaults", () => {
+    const { config, file, sources } = loadConfig({ cwd: tmpRepo(), env: {} });
+    assert.equal(file, null);
+    assert.equal(config.categories.attributeKey, "_Category_");
+    assert.equal(config.statusAliases.ValidateTest, "Validate Test");
+    assert.deepEqual(config.prTriggers, [{ from: "Build", to: "Validate Test" }]);
+    assert.equal(sources["log.split"], "default");
+});
+
+test("file is merged over defaults; non-empty env vars win", () => {
+    const cwd = tmpRepo({ categories: { attributeKey: "", aliases: { perf: "Performance" } }, log: { split: "duplicate" } });
+    const { config, sources } = loadConfig({
+        cwd,
+        env: { TEMPO_CATEGORY_ALLOWED: "Development, Testing", JIRA_READY_FIELD_ID: "customfield_1", DRY_RUN: "", TEMPO_LOG_SPLIT: " " },
+    });
+    assert.equal(config.categories.attributeKey, "");
+    assert.equal(config.categories.aliases.perf, "Performance");
+    assert.equal(config.categories.aliases.qa, "Testing");
+    assert.deepEqual(config.categories.allowed, ["Development", "Testing"]);
+    assert.equal(config.fields.ready.id, "customfield_1");
+    assert.equal(config.log.split, "duplicate");
+    assert.equal(sources["categories.attributeKey"], "file");
+    assert.equal(sources["categories.allowed"], "env:TEMPO_CATEGORY_ALLOWED");
+    assert.equal(sources.dryRun, "default");
+});
+
+test("schema errors are collected with their paths", () => {
+    const errors = validateConfig({ ledgr: {}, ledger: { store: "db" }, prTriggers: [{ from: "Build" }], dryRun: "yes" });
+    assert.deepEqual(errors, [
+        "ledgr: unknown setting (known: statusAliases, categories, attributes, billing, fields, workflow, transitionFields, parser, prTriggers, automation, log, guard, ledger, revert, comments, report, failurePolicy, authors, time, deployment, jira, dryRun)",
+        "prTriggers[0].to: is required",
+        "ledger.store: must be one of \"jira\", \"file\", \"off\" (got \"db\")",
+        "dryRun: expected boolean, got string",
+    ]);
+    assert.deepEqual(validateConfig({ time: { timezone: "Asia/Kolkata", authors: { "a@x.io": "Mumbai" } } }), [
+        "time.authors.a@x.io: unknown timezone \"Mumbai\" (use \"author\", an IANA name such as \"Asia/Kolkata\", or an offset such as \"+05:30\")",
+    ]);
+    assert.deepEqual(validateConfig({ billing: { projects: { PAY: 1.5 } } }), ["billing.projects.PAY: must be a ratio between 0 and 1 (got 1.5)"]);
+    assert.deepEqual(validateConfig({ automation: { rules: [{ to: "Done", outputs: { create_pr: "yes", "qa env": "x", qa_env: "staging" } }] } }), [
+        "automation.rules[0].outputs.create_pr: reserved for Super Commit's own step outputs",
+        "automation.rules[0].outputs.qa env: not a valid step output name (letters, digits, _ and -)",
+    ]);
+});
+
+test("invalid file or env override -> SuperCommitConfigError at load", () => {
+    assert.throws(() => loadConfig({ cwd: tmpRepo("{ nope"), env: {} }), e => e instanceof SuperCommitConfigError && /not valid JSON/.test(e.message));
+    assert.throws(
+        () => loadConfig({ cwd: tmpRepo({}), env: { SUPERCOMMIT_LEDGER: "redis" } }),
+        e => e instanceof SuperCommitConfigError && e.errors[0].startsWith("ledger.store:")
+    );
+});
+
+test("status aliases resolve exact, then case-insensitive, else pass through", () => {
+    const { config } = loadConfig({ cwd: tmpRepo({ statusAliases: { QA: "Validate Test" } }), env: {} });
+    assert.equal(resolveStatusAlias(config, "QA"), "Validate Test");
+    assert.equal(resolveStatusAlias(config, "validatetest"), "Validate Test");
+    assert.equal(resolveStatusAlias(config, "In Review"), "In Review");
+});
+
+test("doctor never prints secrets", () => {
+    const { ok, text } = formatDoctorReport({ cwd: tmpRepo(), env: { JIRA_BASE_URL: "https://x.atlassian.net", JIRA_API_TOKEN: "s3cret", TEMPO_TOKEN: "t0ken" } });
+    assert.equal(ok, true);
+    assert.doesNotMatch(text, /s3cret|t0ken/);
+    assert.match(text, /JIRA_API_TOKEN: \(set\)/);
+});
+
+test("doctor says whose worklog an unmapped author gets on Jira worklogs", () => {
+    const cwd = tmpRepo({ authors: { unmapped: "default" }, log: { backend: "jira" } });
+    const { text } = formatDoctorReport({ cwd, env: { JIRA_BASE_URL: "https://x.atlassian.net", JIRA_EMAIL: "a@x.io" } });
+    assert.match(text, /unmapped authors' time is booked as the JIRA_API_TOKEN user/);
+    assert.doesNotMatch(text, /TEMPO_AUTHOR_ACCOUNT_ID is unset/);
+});
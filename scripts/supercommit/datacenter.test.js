@@ -0,0 +1,110 @@
+﻿// scripts/supercommit/datacenter.test.js
+// Node 20+, ESM using node:test
+// Jira Data Center + Tempo Timesheets Server, against a local stand-in HTTP server.
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { createJiraClient } from "./jira.js";
+import { logTempoWorklog, listTempoWorklogs, deleteTempoWorklog, fetchWorkAttributes, fetchProjectAccountLinks } from "./logTempo.js";
+import { buildCommentWiki } from "./wiki.js";
+import { moveToStatus } from "./transitions.js";
+
+// Answers from `routes` ("METHOD /path" -> body or (req) => [status, body]) and records every request
+async function standIn(routes) {
+    const requests = [];
+    const server = http.createServer(async (req, res) => {
+        let raw = "";
+        for await (const chunk of req) raw += chunk;
+        const url = new URL(req.url, "http://stand.in");
+        const r = { method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), auth: req.headers.authorization, body: raw ? JSON.parse(raw) : null };
+        requests.push(r);
+        const route = routes[`${r.method} ${r.path}`];
+        const [status, body] = typeof route === "function" ? route(r) : route !== undefined ? [200, route] : [404, { errorMessages: ["no route"] }];
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(body == null ? "" : JSON.stringify(body));
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    return { url: `http://127.0.0.1:${server.address().port}`, requests, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+test("Jira Data Center: REST v2, bearer PAT, wiki comments, user keys", async () => {
+    const dc = await standIn({
+        "GET /rest/api/2/issue/PAY-1": { id: "10001", key: "PAY-1", fields: { status: { name: "Build" } } },
+        "POST /rest/api/2/issue/PAY-1/comment": (r) => [201, { id: "200", body: r.body.body }],
+        "GET /rest/api/2/user/search": [{ key: "JIRAUSER10100", name: "ana", displayName: "Ana", emailAddress: "ana@acme.io", active: true }],
+    });
+    try {
+        const jira = createJiraClient({ baseUrl: dc.url, token: "pat", deployment: "datacenter", maxRetries: 0 });
+        assert.equal((await jira.getIssue("PAY-1")).status, "Build");
+        assert.equal(dc.requests[0].auth, "Bearer pat");
+
+        const posted = await jira.addComment("PAY-1", buildCommentWiki("**Done**", { commit: { branch: "main" } }));
+        assert.equal(posted.body, "*Done*\n\n----\n\n_On_ {{main}}");
+
+        assert.deepEqual(await jira.searchUsers("ana@acme.io"), [
+            { accountId: "JIRAUSER10100", accountType: "atlassian", active: true, displayName: "Ana", emailAddress: "ana@acme.io" },
+        ]);
+        assert.equal(dc.requests.at(-1).query.username, "ana@acme.io");
+    } finally {
+        await dc.close();
+    }
+});
+
+test("Jira Data Center: a transition screen comment is sent as wiki markup", async () => {
+    const dc = await standIn({
+        "GET /rest/api/2/issue/PAY-1": { id: "10001", key: "PAY-1", fields: { status: { name: "Build" } } },
+        "GET /rest/api/2/issue/PAY-1/transitions": {
+            transitions: [{ id: "31", name: "Done", to: { name: "Done" }, fields: { comment: { name: "Comment", required: false, schema: { type: "comment", system: "comment" } } } }],
+        },
+        "POST /rest/api/2/issue/PAY-1/transitions": [204, null],
+    });
+    try {
+        const jira = createJiraClient({ baseUrl: dc.url, token: "pat", deployment: "datacenter", maxRetries: 0 });
+        const move = await moveToStatus(jira, "PAY-1", "Done", { fieldDefaults: { comment: "Released in **1.4**" } });
+        assert.equal(move.reached, true);
+        const sent = dc.requests.find(r => r.method === "POST");
+        assert.deepEqual(sent.body, { transition: { id: "31" }, update: { comment: [{ add: { body: "Released in *1.4*" } }] } });
+    } finally {
+        await dc.close();
+    }
+});
+
+test("Tempo Server: worklog payload, search, delete and listings in Cloud shapes", async () => {
+    const dc = await standIn({
+        "GET /rest/tempo-core/1/work-attribute": [{ id: 3, key: "_Category_", name: "Category", type: { name: "Static List", value: "STATIC_LIST" }, required: false, staticListValues: [{ value: "Dev", name: "Development" }] }],
+        "GET /rest/tempo-accounts/1/link/project/100": [{ accountId: 7, defaultAccount: true, scopeType: "PROJECT" }],
+        "POST /rest/tempo-timesheets/4/worklogs": (r) => [200, [{ tempoWorklogId: 55, originTaskId: r.body.originTaskId, started: r.body.started, timeSpentSeconds: r.body.timeSpentSeconds, issue: { id: 10001, key: "PAY-1" } }]],
+        "POST /rest/tempo-timesheets/4/worklogs/search": [{ tempoWorklogId: 54, started: "2025-10-01 09:00:00.000", timeSpentSeconds: 3600, issue: { id: 10002, key: "PAY-2" } }],
+        "DELETE /rest/tempo-timesheets/4/worklogs/55": [204, null],
+    });
+    const conn = { tempoApiBase: dc.url, tempoApiToken: "pat", deployment: "datacenter" };
+    try {
+        assert.equal((await fetchWorkAttributes(conn))[0].type, "STATIC_LIST");
+        assert.deepEqual(await fetchProjectAccountLinks({ ...conn, projectId: "100" }), [{ account: { id: 7 }, default: true }]);
+
+        const created = await logTempoWorklog({
+            ...conn, issueKey: "PAY-1", description: "refactor", startDate: "2025-10-01", startTime: "10:00:00",
+            timeSpentSeconds: 1800, billableSeconds: 900, authorAccountId: "JIRAUSER10100", attributes: { _Category_: "Dev" },
+        });
+        assert.deepEqual([created.tempoWorklogId, created.startDate, created.startTime], [55, "2025-10-01", "10:00:00"]);
+        const sent = dc.requests.find(r => r.path === "/rest/tempo-timesheets/4/worklogs");
+        assert.equal(sent.auth, "Bearer pat");
+        assert.deepEqual(sent.body, {
+            worker: "JIRAUSER10100",
+            originTaskId: "PAY-1",
+            started: "2025-10-01 10:00:00.000",
+            timeSpentSeconds: 1800,
+            billableSeconds: 900,
+            comment: "refactor",
+            attributes: { _Category_: { name: "Category", workAttributeId: 3, value: "Dev" } },
+        });
+
+        const day = await listTempoWorklogs({ ...conn, authorAccountId: "JIRAUSER10100", from: "2025-10-01" });
+        assert.deepEqual(day.map(w => [w.tempoWorklogId, w.startDate, w.startTime, w.issue.id]), [[54, "2025-10-01", "09:00:00", 10002]]);
+        assert.deepEqual(dc.requests.at(-1).body, { from: "2025-10-01", to: "2025-10-01", worker: ["JIRAUSER10100"] });
+
+        assert.deepEqual(await deleteTempoWorklog({ ...conn, worklogId: 55 }), { deleted: true });
+    } finally {
+        await dc.close();
+    }
+});
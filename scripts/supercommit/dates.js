@@ -0,0 +1,101 @@
+﻿// scripts/supercommit/dates.js
+// Node 20+, ESM. Pure: no network, no env.
+// Work days for LOG/DATE: which calendar day a commit belongs to in the team's (or the
+// author's) timezone, and relative dates resolved against that day.
+//
+// Zones: "author" (the offset git recorded in the author date), an IANA name such as
+// "Asia/Kolkata", "UTC", or a fixed offset such as "+05:30".
+//
+// Relative dates: today, yesterday, -2d, -1w, mon..sun (the latest such day, today included),
+// last-mon..last-sun (strictly before today). Full day names work too (monday, last-friday).
+
+export const AUTHOR_ZONE = "author";
+
+const OFFSET_RE = /^([+-])([01]\d|2[0-3]):?([0-5]\d)$/;
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const FULL_DAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const DAY_MS = 86400000;
+
+/** True for "author", "UTC", IANA zone names and ±hh:mm offsets. */
+export function isTimeZone(zone) {
+    const z = String(zone ?? "").trim();
+    if (!z) return false;
+    if (z === AUTHOR_ZONE || OFFSET_RE.test(z)) return true;
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone: z });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/** yyyy-mm-dd of an instant (ms or Date) in `zone`; the system zone when `zone` is empty. */
+export function dateInZone(instant, zone = "") {
+    const t = instant instanceof Date ? instant.getTime() : Number(instant);
+    const m = OFFSET_RE.exec(zone);
+    if (m) {
+        const mins = (m[1] === "-" ? -1 : 1) * (Number(m[2]) * 60 + Number(m[3]));
+        return new Date(t + mins * 60000).toISOString().slice(0, 10);
+    }
+    // en-CA formats dates as yyyy-mm-dd
+    return new Intl.DateTimeFormat("en-CA", {
+        timeZone: zone || undefined, year: "numeric", month: "2-digit", day: "2-digit",
+    }).format(t);
+}
+
+/**
+ * UTC offset ("+05:30") of `zone` on `date` (yyyy-mm-dd). With zone "author" it is the offset
+ * git recorded in `authorDate`, else the system zone's.
+ */
+export function utcOffset(zone, { date = "", authorDate = "" } = {}) {
+    const z = String(zone ?? "").trim();
+    let m = OFFSET_RE.exec(z);
+    if (m) return `${m[1]}${m[2]}:${m[3]}`;
+    if (z === AUTHOR_ZONE) {
+        if (/T.*Z$/i.test(authorDate)) return "+00:00";
+        m = /T.*([+-]\d{2}):?(\d{2})$/.exec(authorDate);
+        if (m) return `${m[1]}:${m[2]}`;
+    }
+    const noon = Date.parse(`${date}T12:00:00Z`);
+    const name = new Intl.DateTimeFormat("en-US", { timeZone: z && z !== AUTHOR_ZONE ? z : undefined, timeZoneName: "longOffset" })
+        .formatToParts(Number.isNaN(noon) ? Date.now() : noon).find(p => p.type === "timeZoneName")?.value ?? "";
+    m = /([+-]\d{2}):(\d{2})/.exec(name);
+    return m ? `${m[1]}:${m[2]}` : "+00:00";
+}
+
+/**
+ * Calendar day a commit was authored on. With zone "author", git's ISO author date
+ * (%aI, or the push payload timestamp) already carries the author's offset, so its date
+ * part is the author's local day. Without an author date, `now` in the zone is used
+ * ("author" then means the system zone, i.e. the developer's machine for local runs).
+ */
+export function workDay({ authorDate = "", zone = AUTHOR_ZONE, now = Date.now() } = {}) {
+    const at = Date.parse(authorDate);
+    if (zone === AUTHOR_ZONE) {
+        if (!Number.isNaN(at) && /T.*(?:Z|[+-]\d{2}:?\d{2})$/i.test(authorDate)) return String(authorDate).slice(0, 10);
+        return dateInZone(Number.isNaN(at) ? now : at, "");
+    }
+    return dateInZone(Number.isNaN(at) ? now : at, zone);
+}
+
+/** yyyy-mm-dd for a relative date expression seen from `today` (yyyy-mm-dd), or null if it is not one. */
+export function resolveRelativeDate(expr, today) {
+    const s = String(expr ?? "").trim().toLowerCase();
+    const base = Date.parse(`${today}T00:00:00Z`);
+    if (!s || Number.isNaN(base)) return null;
+    const back = (days) => new Date(base - days * DAY_MS).toISOString().slice(0, 10);
+
+    if (s === "today") return today;
+    if (s === "yesterday") return back(1);
+
+    let m = /^-(\d{1,3})([dw])$/.exec(s);
+    if (m) return back(Number(m[1]) * (m[2] === "w" ? 7 : 1));
+
+    m = /^(last-)?([a-z]+)$/.exec(s);
+    const day = m ? DAYS.findIndex((d, i) => m[2] === d || m[2] === FULL_DAYS[i]) : -1;
+    if (day < 0) return null;
+    const diff = (new Date(base).getUTCDay() - day + 7) % 7;
+    return back(diff === 0 && m[1] ? 7 : diff);
+}
+
+export default { workDay, dateInZone, utcOffset, resolveRelativeDate, isTimeZone, AUTHOR_ZONE };
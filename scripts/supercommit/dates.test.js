@@ -0,0 +1,43 @@
+﻿// scripts/supercommit/dates.test.js
+// Node 20+, ESM using node:test
+import test from "node:test";
+import assert from "node:assert/strict";
+import { workDay, dateInZone, utcOffset, resolveRelativeDate, isTimeZone } from "./dates.js";
+
+test("work day follows the author's offset, a team zone or a fixed offset", () => {
+    // 00:30 in India is still the previous day in UTC
+    const authorDate = "2025-10-02T00:30:00+05:30";
+    assert.equal(workDay({ authorDate }), "2025-10-02");
+    assert.equal(workDay({ authorDate, zone: "UTC" }), "2025-10-01");
+    assert.equal(workDay({ authorDate: "2025-10-01T20:00:00Z", zone: "Asia/Kolkata" }), "2025-10-02");
+    assert.equal(workDay({ authorDate: "2025-10-01T20:00:00Z", zone: "+05:30" }), "2025-10-02");
+    assert.equal(workDay({ zone: "UTC", now: Date.parse("2025-10-01T23:59:00Z") }), "2025-10-01");
+    assert.equal(dateInZone(Date.parse("2025-10-01T02:00:00Z"), "America/Los_Angeles"), "2025-09-30");
+});
+
+test("UTC offsets follow the zone's daylight saving time and the author's offset", () => {
+    assert.equal(utcOffset("America/New_York", { date: "2025-01-10" }), "-05:00");
+    assert.equal(utcOffset("America/New_York", { date: "2025-07-10" }), "-04:00");
+    assert.equal(utcOffset("UTC", { date: "2025-07-10" }), "+00:00");
+    assert.equal(utcOffset("+0530"), "+05:30");
+    assert.equal(utcOffset("author", { authorDate: "2025-10-01T10:00:00+02:00" }), "+02:00");
+});
+
+test("relative dates resolve against the given day", () => {
+    const today = "2025-10-01"; // a Wednesday
+    assert.equal(resolveRelativeDate("today", today), "2025-10-01");
+    assert.equal(resolveRelativeDate("yesterday", today), "2025-09-30");
+    assert.equal(resolveRelativeDate("-2d", today), "2025-09-29");
+    assert.equal(resolveRelativeDate("-1w", today), "2025-09-24");
+    assert.equal(resolveRelativeDate("mon", today), "2025-09-29");
+    assert.equal(resolveRelativeDate("wed", today), "2025-10-01");
+    assert.equal(resolveRelativeDate("last-wed", today), "2025-09-24");
+    assert.equal(resolveRelativeDate("last-Friday", today), "2025-09-26");
+    assert.equal(resolveRelativeDate("2025-10-01", today), null);
+    assert.equal(resolveRelativeDate("someday", today), null);
+});
+
+test("isTimeZone accepts author, IANA names and offsets", () => {
+    for (const z of ["author", "UTC", "Asia/Kolkata", "+05:30", "-0800"]) assert.equal(isTimeZone(z), true, z);
+    for (const z of ["", "Mars/Olympus", "+25:00"]) assert.equal(isTimeZone(z), false, z);
+});
@@ -0,0 +1,81 @@
+﻿// scripts/supercommit/guard.js
+// Node 20+, ESM. Pure: no network, no env.
+// Pre-flight check of a booking before it goes to Tempo: hours per entry and per day,
+// future dates, weekends, holidays and how far back a commit may book.
+//
+// Every rule has an action:
+//   "off"    not checked
+//   "warn"   booked as written, with a warning
+//   "block"  not booked (the commit is reported as failed)
+//   "cap"    hour rules only: the hours are reduced to what the rule allows
+
+export const GUARD_ACTIONS = ["off", "warn", "block", "cap"];
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DAY_MS = 86400000;
+const fmt = (h) => `${Math.round(h * 100) / 100}h`;
+
+/** Whole days from `from` to `to` (yyyy-mm-dd); negative when `to` is earlier. */
+function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * @param {object} booking
+ * @param {string} booking.date          yyyy-mm-dd the hours go on
+ * @param {number} booking.hours
+ * @param {string} booking.today         the commit's work day (yyyy-mm-dd)
+ * @param {number} [booking.bookedHours] already booked by the author that day
+ * @param {object} rules                 config.guard
+ * @returns {{ hours: number, blocked: boolean, findings: Array<{ rule, action, message }> }}
+ */
+export function checkBooking({ date, hours, today, bookedHours = 0 }, rules = {}) {
+    const findings = [];
+    let allowed = hours;
+    let blocked = false;
+    const hit = (rule, action, message) => {
+        findings.push({ rule, action, message });
+        if (action === "block") blocked = true;
+    };
+
+    // ---- date rules -----------------------------------------------------------
+    const ahead = daysBetween(today, date);
+    if (rules.future?.action && rules.future.action !== "off" && ahead > 0) {
+        hit("future", rules.future.action, `${date} is ${ahead} day(s) after the commit (${today}).`);
+    }
+    const backdate = rules.backdate;
+    if (backdate?.action && backdate.action !== "off" && -ahead > backdate.days) {
+        hit("backdate", backdate.action, `${date} is ${-ahead} days before the commit; guard.backdate allows ${backdate.days}.`);
+    }
+    const weekday = DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+    if (rules.weekend?.action && rules.weekend.action !== "off" && (rules.weekend.days ?? ["sat", "sun"]).includes(weekday)) {
+        hit("weekend", rules.weekend.action, `${date} is a ${weekday}.`);
+    }
+    if (rules.holidays?.action && rules.holidays.action !== "off" && (rules.holidays.dates ?? []).includes(date)) {
+        hit("holidays", rules.holidays.action, `${date} is a holiday (guard.holidays).`);
+    }
+    if (blocked) return { hours: 0, blocked, findings };
+
+    // ---- hour rules -----------------------------------------------------------
+    const perEntry = rules.perEntry;
+    if (perEntry?.action && perEntry.action !== "off" && allowed > perEntry.hours) {
+        const capped = perEntry.action === "cap";
+        hit("perEntry", perEntry.action, `${fmt(allowed)} exceeds ${fmt(perEntry.hours)} per entry${capped ? `; booking ${fmt(perEntry.hours)}` : ""}.`);
+        if (capped) allowed = perEntry.hours;
+    }
+    const perDay = rules.perDay;
+    if (perDay?.action && perDay.action !== "off" && bookedHours + allowed > perDay.hours) {
+        const left = Math.max(0, perDay.hours - bookedHours);
+        const capped = perDay.action === "cap";
+        hit(
+            "perDay",
+            capped && left <= 0 ? "block" : perDay.action,
+            `${fmt(bookedHours)} already booked on ${date}; ${fmt(allowed)} more exceeds ${fmt(perDay.hours)} per day` +
+                (capped ? (left > 0 ? `; booking ${fmt(left)}` : "; nothing left to book") : "") + "."
+        );
+        if (capped) allowed = Math.min(allowed, left);
+    }
+    return blocked ? { hours: 0, blocked, findings } : { hours: allowed, blocked: allowed <= 0, findings };
+}
+
+export default { checkBooking, GUARD_ACTIONS };
@@ -0,0 +1,44 @@
+﻿// scripts/supercommit/guard.test.js
+// Node 20+, ESM using node:test
+import test from "node:test";
+import assert from "node:assert/strict";
+import { checkBooking } from "./guard.js";
+
+const rules = {
+    perEntry: { action: "warn", hours: 10 },
+    perDay: { action: "cap", hours: 8 },
+    future: { action: "block" },
+    weekend: { action: "warn", days: ["sat", "sun"] },
+    holidays: { action: "block", dates: ["2025-12-25"] },
+    backdate: { action: "warn", days: 14 },
+};
+const today = "2025-10-01"; // Wednesday
+
+test("an ordinary booking passes untouched", () => {
+    assert.deepEqual(checkBooking({ date: today, hours: 2, today, bookedHours: 3 }, rules), { hours: 2, blocked: false, findings: [] });
+});
+
+test("date rules warn or block", () => {
+    const future = checkBooking({ date: "2025-10-03", hours: 1, today }, rules);
+    assert.deepEqual([future.blocked, future.hours, future.findings[0].rule], [true, 0, "future"]);
+    assert.equal(checkBooking({ date: "2025-12-25", hours: 1, today: "2025-12-26" }, rules).blocked, true);
+
+    const weekend = checkBooking({ date: "2025-09-27", hours: 1, today }, rules);
+    assert.deepEqual([weekend.blocked, weekend.findings.map(f => f.rule)], [false, ["weekend"]]);
+    assert.deepEqual(checkBooking({ date: "2025-09-01", hours: 1, today }, rules).findings.map(f => f.rule), ["backdate"]);
+});
+
+test("hour rules warn, cap or block", () => {
+    const big = checkBooking({ date: today, hours: 40, today }, { ...rules, perDay: { action: "off", hours: 8 } });
+    assert.deepEqual([big.hours, big.blocked, big.findings[0].action], [40, false, "warn"]);
+
+    const capped = checkBooking({ date: today, hours: 3, today, bookedHours: 6 }, rules);
+    assert.deepEqual([capped.hours, capped.blocked], [2, false]);
+    assert.match(capped.findings[0].message, /booking 2h/);
+
+    const full = checkBooking({ date: today, hours: 1, today, bookedHours: 8 }, rules);
+    assert.deepEqual([full.hours, full.blocked, full.findings[0].action], [0, true, "block"]);
+
+    const entry = checkBooking({ date: today, hours: 12, today }, { perEntry: { action: "block", hours: 10 } });
+    assert.deepEqual([entry.hours, entry.blocked], [0, true]);
+});
@@ -1,40 +1,89 @@
 ﻿// scripts/supercommit/index.js
 // Node 20+, ESM. Uses global fetch.
-// Applies Jira transition (from STATUS:...), logs Tempo (from LOG:...),
-// posts a Jira comment (ADF), and sets the "Ready" field if READY: token is present.
+// Applies Jira transition (from STATUS:...), logs time in Tempo or Jira (from LOG:...; see log.backend),
+// posts a Jira comment (ADF; wiki markup on Data Center), and sets the "Ready" field if READY: token is present.
+// Every commit of a push range is processed in order (see commits.js).
+// A `git revert` of a Super Commit undoes what the ledger recorded for it (see config.revert).
+// Each action's outcome goes into a run report; config.failurePolicy decides which failures fail the job.
+// --record <file> saves the run's HTTP traffic; --replay <file> runs it again offline (see cassette.js).
+// Each commit is planned first (reads only), then the plan is applied; a dry run only prints it (see plan.js).
+// Applied transitions fire config.automation rules: pull request, labels, outputs, events (see rules.js).
 
-import { parseCommitMessage } from "./parse.js";
-import { logTempo } from "./logTempo.js";
+import { parseCommitMessage, analyzeCommitMessage, looksLikeSuperCommit } from "./parse.js";
+import {
+    planTempoWorklog, logTempoWorklog, tempoWorklogRequest, tempoWorklogUrl, deleteTempoWorklog, listTempoWorklogs,
+    fetchWorkAttributes, fetchTempoAccounts, fetchProjectAccountLinks
+} from "./logTempo.js";
+import { logJiraWorklog, jiraWorklogRequest, listJiraWorklogs, deleteJiraWorklog } from "./jiraWorklog.js";
+import { resolveWorkAttributes, needsAccounts } from "./attributes.js";
+import { billableRatio, splitSeconds, accountForIssue } from "./billing.js";
+import { createAuthorResolver } from "./authors.js";
+import { checkBooking } from "./guard.js";
+import { loadCommits, commitsFromGit } from "./commits.js";
+import { createLedger, cherryPickSources, revertedCommit } from "./ledger.js";
+import { createJiraClient, transitionBody } from "./jira.js";
+import { moveToStatus } from "./transitions.js";
+import { buildCommentDoc } from "./adf.js";
+import { buildCommentWiki } from "./wiki.js";
+import { workDay, utcOffset, AUTHOR_ZONE } from "./dates.js";
+import { secondsOfDay, timeOfDay } from "./timesheet.js";
+import { loadConfig, resolveStatusAlias, DEFAULT_CONFIG, SuperCommitConfigError } from "./config.js";
+import { applyFailurePolicy, buildReport, renderSummary } from "./report.js";
+import { createRecorder, replayFetch, saveCassette, loadCassette, REDACTED } from "./cassette.js";
+import { readOnlyFetch, formatPlan, describeStep } from "./plan.js";
+import { rulesOf, matchRules, describeActions, createFollowUps, addFollowUps, followUpOutputs } from "./rules.js";
 import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
 
 // ---- Env -------------------------------------------------------------------
 
+function argValue(name) {
+    const argv = process.argv.slice(2);
+    const i = argv.findIndex(a => a === name || a.startsWith(`${name}=`));
+    if (i < 0) return undefined;
+    return argv[i].includes("=") ? argv[i].slice(name.length + 1) : argv[i + 1];
+}
+
+function hasFlag(name) {
+    return process.argv.slice(2).includes(name);
+}
+
+// Secrets, per-environment values and run inputs. Behavior settings live in `config`.
 const env = {
     baseUrl: process.env.JIRA_BASE_URL?.trim().replace(/\/+$/, "") ?? "",
     email: process.env.JIRA_EMAIL ?? "",
     token: process.env.JIRA_API_TOKEN ?? "",
-    dryRun: String(process.env.DRY_RUN ?? "false").toLowerCase() === "true",
     commitMessage: process.env.COMMIT_MESSAGE ?? "",
+    // "base..head" of the push; --range on the command line wins
+    commitRange: argValue("--range") ?? process.env.COMMIT_RANGE ?? "",
+    commitSha: process.env.GITHUB_SHA ?? "",
+    eventPath: process.env.GITHUB_EVENT_PATH ?? "",
+
+    // HTTP cassette (see cassette.js): record this run's traffic, or replay a recorded run offline
+    record: argValue("--record") ?? process.env.SUPERCOMMIT_RECORD ?? "",
+    replay: argValue("--replay") ?? process.env.SUPERCOMMIT_REPLAY ?? "",
+
+    // --force re-applies actions the ledger already holds
+    force: hasFlag("--force") || String(process.env.SUPERCOMMIT_FORCE ?? "false").toLowerCase() === "true",
 
     // Tempo
     tempoToken: process.env.TEMPO_TOKEN ?? process.env.TEMPO_API_TOKEN ?? "",
     tempoAuthorId: process.env.TEMPO_AUTHOR_ACCOUNT_ID ?? "",
-    tempoAttrKey: (process.env.TEMPO_CATEGORY_ATTRIBUTE_KEY ?? "_Category_").trim(),
-    tempoCategoryValue: (process.env.TEMPO_CATEGORY_KEY ?? "").trim(),
-    tempoAllowedValues: (process.env.TEMPO_CATEGORY_ALLOWED ?? "")
-        .split(",")
-        .map(s => s.trim())
-        .filter(Boolean),
-
-    // Jira Ready custom field
-    readyFieldId: process.env.JIRA_READY_FIELD_ID ?? "",
-    readyFieldType: (process.env.JIRA_READY_FIELD_TYPE ?? "").trim().toLowerCase(),
-    readyYesValue: (process.env.JIRA_READY_YES_VALUE ?? "Yes").trim(),
+
+    // Commit links in comment footers
+    repoUrl: process.env.GITHUB_SERVER_URL && process.env.GITHUB_REPOSITORY
+        ? `${process.env.GITHUB_SERVER_URL}/${process.env.GITHUB_REPOSITORY}`
+        : "",
+    branch: process.env.GITHUB_HEAD_REF || process.env.GITHUB_REF_NAME || "",
 
     // Jira REST
     jiraApiBase: process.env.JIRA_BASE_URL?.trim().replace(/\/+$/, "") ?? "",
 };
 
+// .supercommit.json over built-in defaults (see config.js); loaded and validated in main()
+let config = DEFAULT_CONFIG;
+
 // ---- GitHub step output helper ---------------------------------------------
 
 function setStepOutput(name, value) {
@@ -46,131 +95,162 @@ function setStepOutput(name, value) {
     }
 }
 
-// Default: do NOT create a PR unless explicitly triggered
-setStepOutput("create_pr", "no");
+// What fired automation rules ask for (see rules.js); written as step outputs once, at the end of the run
+const followUps = createFollowUps();
 
-// ---- HTTP helpers -----------------------------------------------------------
+// ---- Record / replay --------------------------------------------------------
 
-async function jiraFetch(path, opts = {}) {
-    // [fix] Clear error if base URL isn't set to avoid confusing network errors
-    if (!env.jiraApiBase) {
-        throw new Error("[Jira] JIRA_BASE_URL is empty. Set it in repo/environment secrets.");
-    }
+// The recorded run's start when replaying: "today" for commits without an author date
+let runClock = null;
 
-    const url = `${env.jiraApiBase}${path}`;
-    const headers = {
-        "Authorization": `Basic ${Buffer.from(`${env.email}:${env.token}`).toString("base64")}`,
-        "Accept": "application/json",
-        "Content-Type": "application/json",
-        ...(opts.headers ?? {})
+/** What a replay needs to know about the recorded run's environment; secrets only as set or unset. */
+function recordedEnv() {
+    return {
+        jiraBaseUrl: env.jiraApiBase,
+        jiraEmail: !!env.email,
+        jiraToken: !!env.token,
+        tempoToken: !!env.tempoToken,
+        tempoAuthorId: env.tempoAuthorId,
+        repoUrl: env.repoUrl,
+        branch: env.branch,
     };
-    const res = await fetch(url, { ...opts, headers });
-    if (!res.ok) {
-        const text = await res.text().catch(() => "");
-        throw new Error(`[Jira] ${res.status} ${res.statusText}. Body: ${text}`);
-    }
-    return res;
 }
 
-async function getIssueMinimal(issueKey) {
-    // [fix] URL-encode issueKey in path segments
-    const res = await jiraFetch(`/rest/api/3/issue/${encodeURIComponent(issueKey)}?fields=status`);
-    const json = await res.json();
-    return {
-        id: json?.id,
-        status: json?.fields?.status?.name ?? ""
-    };
+/** Take over the recorded run's environment; credentials become placeholders (the cassette answers anyway). */
+function useRecordedEnv(recorded = {}) {
+    env.baseUrl = env.jiraApiBase = recorded.jiraBaseUrl ?? "";
+    env.email = recorded.jiraEmail ? "replay@example.invalid" : "";
+    env.token = recorded.jiraToken ? REDACTED : "";
+    env.tempoToken = recorded.tempoToken ? REDACTED : "";
+    env.tempoAuthorId = recorded.tempoAuthorId ?? "";
+    env.repoUrl = recorded.repoUrl ?? "";
+    env.branch = recorded.branch ?? "";
 }
 
-async function getTransitions(issueKey) {
-    // [fix] URL-encode issueKey in path segments
-    const res = await jiraFetch(`/rest/api/3/issue/${encodeURIComponent(issueKey)}/transitions`);
-    const json = await res.json();
-    return json?.transitions ?? [];
+// authors.cacheFile as the recorded run found it; replays start from a copy in the temp dir
+function readAuthorCache(file) {
+    try {
+        return file ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+    } catch {
+        return {};
+    }
 }
 
-async function applyTransition(issueKey, transitionId) {
-    // [fix] URL-encode issueKey in path segments
-    await jiraFetch(`/rest/api/3/issue/${encodeURIComponent(issueKey)}/transitions`, {
-        method: "POST",
-        body: JSON.stringify({ transition: { id: String(transitionId) } })
-    });
+function replayAuthorCache(entries) {
+    const file = path.join(os.tmpdir(), `supercommit-replay-authors-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify(entries ?? {}));
+    return file;
 }
 
+// ---- Jira -------------------------------------------------------------------
+
+// Shared REST client (jira.js); rebuilt in main() with the configured timeout and retries
+let jira = createJiraClient({ baseUrl: env.jiraApiBase, email: env.email, token: env.token });
+
 // ---- Ready Field Update -----------------------------------------------------
 
-async function updateReadyField(issueKey, readyValueBool) {
-    if (!env.readyFieldId) {
+// PUT body for each fields.ready.type
+const READY_BODIES = {
+    string: (id, label) => ({ fields: { [id]: label } }),
+    option: (id, label) => ({ fields: { [id]: { value: label } } }),
+    array: (id, label) => ({ fields: { [id]: [{ value: label }] } }),
+};
+
+/**
+ * Shape of the Ready field: fields.ready.type, else its schema on the issue's edit screen,
+ * else "" (unknown: each shape is tried in turn). Throws when the edit screen lacks the field.
+ */
+async function readyFieldShape(issueKey) {
+    const field = config.fields.ready;
+    if (field.type) return field.type;
+    let editable;
+    try {
+        editable = await jira.getEditMeta(issueKey);
+    } catch (e) {
+        console.warn(`[SuperCommit][WARN] Could not read the edit screen of ${issueKey}; trying each Ready field shape. ${e.message}`);
+        return "";
+    }
+    const schema = editable[field.id]?.schema;
+    if (!schema) {
+        throw new Error(`${field.id} is not on the edit screen of ${issueKey}; check fields.ready.id in .supercommit.json.`);
+    }
+    return schema.type in READY_BODIES ? schema.type : "";
+}
+
+async function planReadyField(issueKey, readyValueBool, ctx) {
+    const field = config.fields.ready;
+    if (!field.id) {
         console.log("[SuperCommit] Ready field id missing; skipping.");
+        report(ctx, issueKey, "ready", "skipped", "fields.ready.id is not set");
         return;
     }
 
-    const yesLabel = env.readyYesValue || "Yes";
-    const noLabel = (yesLabel.toLowerCase() === "yes") ? "No" : "No"; // keeping your original logic
-    const label = readyValueBool ? yesLabel : noLabel;
+    const label = readyValueBool ? field.yesValue : field.noValue;
+    const shape = await readyFieldShape(issueKey);
+    const bodies = (shape ? [READY_BODIES[shape]] : Object.values(READY_BODIES)).map(body => body(field.id, label));
+    const title = `${field.id} = "${label}"${shape ? "" : " (field type unknown: option, then list shapes follow if refused)"}`;
 
-    const bodiesByType = {
-        string: [{ fields: { [env.readyFieldId]: label } }],
-        option: [{ fields: { [env.readyFieldId]: { value: label } } }],
-        array: [{ fields: { [env.readyFieldId]: [{ value: label }] } }],
-    };
-
-    const fallback = [
-        { fields: { [env.readyFieldId]: label } },
-        { fields: { [env.readyFieldId]: { value: label } } },
-        { fields: { [env.readyFieldId]: [{ value: label }] } },
-    ];
+    planStep(ctx, issueKey, "ready", title, { method: "PUT", url: issueUrl(issueKey), body: bodies[0] }, async () => {
+        let lastErr = null;
+        for (const body of bodies) {
+            try {
+                await jira.updateIssue(issueKey, body);
+                lastErr = null;
+                break;
+            } catch (e) {
+                lastErr = e;
+            }
+        }
+        if (lastErr) {
+            throw new Error(
+                `Ready update failed for ${issueKey}. ` +
+                `Check fields.ready in .supercommit.json and that option "${label}" exists. ` +
+                `Last error: ${lastErr?.message || String(lastErr)}`
+            );
+        }
+        console.log(`[SuperCommit] Ready field updated on ${issueKey} -> ${label}.`);
+        await ctx.ledger.record(ctx.sha, issueKey, "ready", { value: readyValueBool });
+        return { reason: label };
+    });
+}
 
-    const typed = bodiesByType[env.readyFieldType] ?? [];
-    const candidateBodies = typed.concat(
-        fallback.filter(
-            b1 => !typed.some(b0 => JSON.stringify(b0) === JSON.stringify(b1))
-        )
-    );
+// ---- Add Jira comment -------------------------------------------------------
 
-    let lastErr = null;
-    for (const body of candidateBodies) {
-        try {
-            // [fix] URL-encode issueKey in path segments
-            await jiraFetch(`/rest/api/3/issue/${encodeURIComponent(issueKey)}`, {
-                method: "PUT",
-                body: JSON.stringify(body)
-            });
-            console.log(`[SuperCommit] Ready field updated on ${issueKey} -> ${label}.`);
-            return;
-        } catch (e) {
-            lastErr = e;
-        }
-    }
+// Cloud takes ADF; Data Center/Server takes wiki markup
+function commentBody(message, commit = null) {
+    const footer = config.comments.footer ? commit : null;
+    return config.deployment === "datacenter"
+        ? buildCommentWiki(message, { commit: footer })
+        : buildCommentDoc(message, { jiraBaseUrl: env.jiraApiBase, commit: footer });
+}
 
-    console.warn(
-        `[SuperCommit][WARN] Ready update failed for ${issueKey}. ` +
-        `Check JIRA_READY_FIELD_ID, JIRA_READY_FIELD_TYPE and that option "${label}" exists. ` +
-        `Last error: ${lastErr?.message || String(lastErr)}`
-    );
+function planJiraComment(issueKey, message, ctx) {
+    const body = commentBody(message, ctx.commitInfo);
+    const markup = config.deployment === "datacenter" ? "wiki markup" : "ADF";
+    const title = `comment (${markup}) "${firstLineOf(message).slice(0, 60)}"`;
+    planStep(ctx, issueKey, "comment", title, { method: "POST", url: issueUrl(issueKey, "/comment"), body: { body } }, async () => {
+        const posted = await jira.addComment(issueKey, body);
+        console.log(`[SuperCommit] Jira comment posted (${markup}).`);
+        await ctx.ledger.record(ctx.sha, issueKey, "comment", { id: String(posted?.id ?? "") });
+        return { reason: "", id: posted?.id };
+    });
 }
 
-// ---- Add Jira ADF comment ---------------------------------------------------
+// ---- Tempo connection -------------------------------------------------------
 
-async function addJiraCommentADF(issueKey, message) {
-    const adf = {
-        body: {
-            type: "doc",
-            version: 1,
-            content: [
-                {
-                    type: "paragraph",
-                    content: [{ type: "text", text: message || "" }]
-                }
-            ]
-        }
-    };
-    // [fix] URL-encode issueKey in path segments
-    await jiraFetch(`/rest/api/3/issue/${encodeURIComponent(issueKey)}/comment`, {
-        method: "POST",
-        body: JSON.stringify(adf)
-    });
-    console.log(`[SuperCommit] Jira comment posted (ADF).`);
+/**
+ * Tempo Cloud (api.tempo.io, TEMPO_TOKEN), or on Data Center the Tempo Timesheets plugin
+ * inside Jira (Jira base URL, TEMPO_TOKEN or else the Jira personal access token).
+ */
+function tempoConnection() {
+    if (config.deployment !== "datacenter") return { tempoApiToken: env.tempoToken };
+    return { deployment: "datacenter", tempoApiBase: env.jiraApiBase, tempoApiToken: env.tempoToken || env.token };
+}
+
+/** Where LOG books time: log.backend, "auto" meaning Tempo when it has a token, else Jira's own worklogs. */
+function worklogBackend() {
+    if (config.log.backend !== "auto") return config.log.backend;
+    return tempoConnection().tempoApiToken ? "tempo" : "jira";
 }
 
 // ---- Tempo category helpers -------------------------------------------------
@@ -178,31 +258,14 @@ async function addJiraCommentADF(issueKey, message) {
 function normalizeCategoryName(x) {
     if (!x) return "";
     const s = String(x).trim().toLowerCase();
-    const map = new Map([
-        ["dev", "Development"],
-        ["development", "Development"],
-        ["build", "Development"],
-        ["test", "Testing"],
-        ["testing", "Testing"],
-        ["qa", "Testing"],
-        ["docs", "Documentation"],
-        ["doc", "Documentation"],
-        ["document", "Documentation"],
-        ["ops", "Operations"],
-        ["deploy", "Deployment"],
-        ["release", "Deployment"],
-        ["bugfix", "Bug Fixing"],
-        ["bug", "Bug Fixing"],
-        ["analysis", "Analysis"],
-        ["analyze", "Analysis"],
-    ]);
+    const map = new Map(Object.entries(config.categories.aliases).map(([k, v]) => [k.toLowerCase(), v]));
     if (map.has(s)) return map.get(s);
     return s ? s.replace(/\b\w/g, c => c.toUpperCase()) : "";
 }
 
 function chooseValidCategory(candidateRaw) {
     const normalized = normalizeCategoryName(candidateRaw);
-    const allowed = env.tempoAllowedValues;
+    const { allowed, default: fallback } = config.categories;
 
     if (!normalized) return "";
     if (allowed.length === 0) return normalized;
@@ -212,172 +275,903 @@ function chooseValidCategory(candidateRaw) {
         `[SuperCommit][WARN] Tempo category "${normalized}" not in allowed list [${allowed.join(", ")}]; using fallback.`
     );
 
-    if (env.tempoCategoryValue && allowed.includes(env.tempoCategoryValue)) {
-        return env.tempoCategoryValue;
+    if (fallback && allowed.includes(fallback)) {
+        return fallback;
     }
     return allowed[0] || "";
 }
 
+// ---- Tempo work attributes --------------------------------------------------
+
+/**
+ * Work attributes for the commit's worklogs: attributes.defaults, then the category
+ * (PHASE/CAT, categories.byType, categories.default), then ATTR tokens; later ones win.
+ * With attributes.validate they are checked against Tempo before anything is written.
+ * @returns {Promise<{ attributes: Object<string, string>, errors: string[] }>}
+ */
+async function resolveAttributesFor(parsed) {
+    const requested = Object.entries(config.attributes.defaults).map(([key, value]) => ({ key, value, source: "attributes.defaults" }));
+    const attrKey = (config.categories.attributeKey || "").trim();
+    const candidate = parsed.phase || config.categories.byType[parsed.conventional?.type] || config.categories.default;
+    const category = candidate && attrKey ? chooseValidCategory(candidate) : "";
+    if (category) requested.push({ key: attrKey, value: category, source: "PHASE/CAT" });
+    for (const { key, value } of parsed.attributes ?? []) requested.push({ key, value, source: "ATTR" });
+
+    const unchecked = () => ({ attributes: Object.fromEntries(requested.map(r => [r.key, String(r.value)])), errors: [] });
+    if (!config.attributes.validate) return unchecked();
+
+    let definitions;
+    try {
+        definitions = await fetchWorkAttributes(tempoConnection());
+    } catch (e) {
+        console.warn(`[SuperCommit][WARN] [Tempo] Could not list work attributes; sending them unchecked. ${e.message}`);
+        return unchecked();
+    }
+    let accounts = null;
+    if (needsAccounts(requested, definitions)) {
+        try {
+            accounts = await fetchTempoAccounts(tempoConnection());
+        } catch (e) {
+            console.warn(`[SuperCommit][WARN] [Tempo] Could not list accounts; account attributes are sent unchecked. ${e.message}`);
+        }
+    }
+    const later = config.billing.accountAttribute ? [config.billing.accountAttribute] : [];
+    return resolveWorkAttributes(requested, definitions, { accounts, later });
+}
+
+// ---- Billing ----------------------------------------------------------------
+
+// custom field types of Tempo's Account field on Cloud and on Server
+const TEMPO_ACCOUNT_FIELD_TYPES = ["io.tempo.jira__account", "com.tempoplugin.tempo-accounts:accounts.customfield"];
+let accountFieldLookup = null;
+
+/** Jira field id of Tempo's Account field: billing.accountField, else found by its type ("" when absent). */
+function accountFieldId() {
+    if (config.billing.accountField) return Promise.resolve(config.billing.accountField);
+    accountFieldLookup ??= jira.getFields()
+        .then(fields => fields.find(f => TEMPO_ACCOUNT_FIELD_TYPES.includes(f.schema?.custom))?.id ?? "")
+        .catch(e => {
+            console.warn(`[SuperCommit][WARN] [Tempo] Could not list Jira fields to find the Account field. ${e.message}`);
+            return "";
+        });
+    return accountFieldLookup;
+}
+
+/** Open Tempo account for a worklog on the issue (its Account field, else the project default), or null. */
+async function accountFor(issueKey, fields, fieldId) {
+    const field = fieldId ? fields?.[fieldId] ?? null : null;
+    const projectId = fields?.project?.id;
+    try {
+        const links = !field && projectId ? await fetchProjectAccountLinks({ ...tempoConnection(), projectId }) : [];
+        if (!field && !links.length) {
+            console.log(`[SuperCommit] ${issueKey}: no Tempo account on the issue or its project.`);
+            return null;
+        }
+        const accounts = await fetchTempoAccounts(tempoConnection());
+        const account = accountForIssue({ field, links, accounts });
+        if (!account) {
+            console.warn(`[SuperCommit][WARN] [Tempo] ${issueKey}: the linked account is not in Tempo's account list; no account attached.`);
+            return null;
+        }
+        if (account.status !== "OPEN") {
+            console.warn(`[SuperCommit][WARN] [Tempo] ${issueKey}: account ${account.key} is ${account.status.toLowerCase()}; no account attached.`);
+            return null;
+        }
+        console.log(`[SuperCommit] ${issueKey}: Tempo account ${account.key} (${account.name}) from the ${account.source === "issue" ? "issue's Account field" : "project's default account"}.`);
+        return account.key;
+    } catch (e) {
+        console.warn(`[SuperCommit][WARN] [Tempo] ${issueKey}: could not look up the Tempo account. ${e.message}`);
+        return null;
+    }
+}
+
+const fmtSeconds = (s) => `${Math.round((s / 3600) * 100) / 100}h`;
+
+// ---- Authors ----------------------------------------------------------------
+
+// commit author email -> Jira accountId (see authors.js); created in main()
+let authors = null;
+
+/**
+ * Jira account the commit's time is booked as: the mapped author, TEMPO_AUTHOR_ACCOUNT_ID when
+ * the commit carries no author (COMMIT_MESSAGE runs) or authors.unmapped is "default", else an error.
+ * Jira worklogs (backend "jira") always belong to the JIRA_API_TOKEN user: an unmapped author
+ * still fails under authors.unmapped "fail", and "default" books as that user (accountId "").
+ * @returns {Promise<{ accountId, displayName, source, fallback?: true } | { error: string }>}
+ */
+async function authorFor(commit, { backend = "tempo" } = {}) {
+    const fallbackTo = backend === "jira" ? "the JIRA_API_TOKEN user" : "TEMPO_AUTHOR_ACCOUNT_ID";
+    const fallback = (why) => {
+        if (backend === "jira") return { accountId: "", displayName: "", source: fallbackTo, fallback: true };
+        if (!env.tempoAuthorId) return { error: `${why}, and TEMPO_AUTHOR_ACCOUNT_ID is unset` };
+        return { accountId: env.tempoAuthorId, displayName: "", source: fallbackTo, fallback: true };
+    };
+    if (!commit.authorEmail) {
+        const author = fallback("the commit has no author email");
+        if (!author.error) console.log(`[SuperCommit] No commit author; booking time as ${fallbackTo}.`);
+        return author;
+    }
+
+    const found = await authors.resolve(commit.authorEmail);
+    if (found.accountId) {
+        console.log(`[SuperCommit] Author ${commit.authorEmail} -> ${found.displayName || found.accountId} (${found.source}).`);
+        return found;
+    }
+    const why = `author ${commit.authorEmail} is not mapped to a Jira account: ${found.error}`;
+    if (config.authors.unmapped === "default") {
+        const author = fallback(why);
+        if (backend === "jira") {
+            console.warn(`[SuperCommit][WARN] ${why}; the Jira worklog is booked as the JIRA_API_TOKEN user, not ${commit.authorEmail} (authors.unmapped: default).`);
+        } else if (author.accountId) {
+            console.warn(`[SuperCommit][WARN] ${why}; booking time as TEMPO_AUTHOR_ACCOUNT_ID (authors.unmapped: default).`);
+        }
+        return author;
+    }
+    console.error(
+        `[SuperCommit][ERROR] ${why}. Add it to authors.map or ${config.authors.file || "an authors.file"}; ` +
+        "its time is not booked (authors.unmapped: fail)."
+    );
+    return { error: why };
+}
+
+// ---- LOG allocation ---------------------------------------------------------
+
+/**
+ * Hours to book per issue. An explicit LOG:PAY-101=1h,PAY-102=1h split wins;
+ * otherwise a plain LOG is divided evenly ("split") or booked in full on every
+ * issue ("duplicate"), per log.split in the config.
+ */
+function allocateLogHours(parsed, rule) {
+    const alloc = new Map();
+    if (parsed.logHours == null) return alloc;
+
+    if (parsed.logAllocations) {
+        for (const a of parsed.logAllocations) alloc.set(a.issueKey, a.hours);
+        return alloc;
+    }
+
+    const issues = parsed.issues ?? [parsed.issueKey];
+    if (rule !== "split" && rule !== "duplicate") {
+        throw new Error(`log.split must be "split" or "duplicate" (got "${rule}").`);
+    }
+    const each = rule === "duplicate" ? parsed.logHours : parsed.logHours / issues.length;
+    for (const key of issues) alloc.set(key, each);
+    return alloc;
+}
+
+/**
+ * Start time per issue when the commit gives one (LOG:…@…T14:00, LOG:09:30-11:45): the
+ * issues' worklogs follow each other in issue order instead of all starting at once.
+ * Issues that would start after midnight get no explicit start.
+ */
+function allocateStartTimes(startTime, logByIssue) {
+    const starts = new Map();
+    let at = secondsOfDay(startTime);
+    if (at == null) return starts;
+    for (const [issueKey, hours] of logByIssue) {
+        if (at >= 24 * 3600) break;
+        starts.set(issueKey, timeOfDay(at));
+        at += Math.round(hours * 3600);
+    }
+    return starts;
+}
+
 // ---- Main -------------------------------------------------------------------
 
+// Zone for a commit's author: time.authors by email, else time.timezone
+function authorZone(email) {
+    const e = String(email ?? "").trim().toLowerCase();
+    const hit = e && Object.keys(config.time.authors).find(k => k.trim().toLowerCase() === e);
+    return hit ? config.time.authors[hit] : config.time.timezone;
+}
+
 function firstLineOf(msg) {
     return String(msg || "").split(/\r?\n/)[0].trim();
 }
 
-async function main() {
-    const firstLine = firstLineOf(env.commitMessage);
-    if (!firstLine) throw new Error("Empty COMMIT_MESSAGE.");
+// One run report entry (see report.js): status "ok", "skipped" or "failed", why, and the id it created
+function report(ctx, issueKey, action, status, reason = "", id = "") {
+    ctx.actions.push({ sha: ctx.sha, issueKey, action, status, reason, ...(id ? { id: String(id) } : {}) });
+}
 
-    // 🚫 Skip merge commits early
-    if (/^Merge\b/i.test(firstLine)) {
-        console.log("[SuperCommit] Merge commit detected — skipping entirely.");
+// True (logged and reported as skipped) when the ledger already holds `action` for this commit + issue.
+async function alreadyApplied(ctx, issueKey, action) {
+    if (!(await ctx.ledger.has(ctx.shas, issueKey, action))) return false;
+    console.log(
+        `[SuperCommit] Ledger: ${action} already applied for ${issueKey} @ ${ctx.shortSha}; skipping (use --force to redo).`
+    );
+    report(ctx, issueKey, action, "skipped", "already applied (ledger)");
+    return true;
+}
+
+// A planned write (see plan.js): `request` is exactly what `run` sends when the plan is applied,
+// plus `unplanned` requests, if any, that only a multi-hop move may add (see planMove).
+// run resolves to the report entry: { status ("ok" unless it says otherwise), reason, id }.
+function planStep(ctx, issueKey, action, title, request, run, { unplanned = null } = {}) {
+    ctx.plan.push({ issueKey, action, title, request, run, ...(unplanned ? { unplanned } : {}) });
+}
+
+// Jira REST URL of an issue, or of something under it ("/comment", "/transitions")
+const issueUrl = (issueKey, rest = "") => `${jira.apiBase}/issue/${encodeURIComponent(issueKey)}${rest}`;
+
+// Automation rules (prTriggers included) matching the hops a move made, on this branch and project
+function rulesFor(issueKey, hops) {
+    return matchRules(rulesOf(config), { hops, branch: env.branch, project: issueKey.split("-")[0] });
+}
+
+// Applied hops fire their rules: what they ask for joins the run's follow-ups
+function fireRules(issueKey, hops, ctx) {
+    for (const fired of rulesFor(issueKey, hops)) {
+        console.log(`[SuperCommit] Rule "${fired.rule.name}" fired (${fired.hop.from} → ${fired.hop.to}): ${describeActions(fired.rule)}.`);
+        for (const w of addFollowUps(followUps, fired, { issueKey, sha: ctx.sha })) console.warn(`[SuperCommit][WARN] ${w}`);
+    }
+}
+
+/**
+ * Plan a move to `target`: the first hop with its exact screen payload (see transitions.js).
+ * Without a direct transition the later hops cannot be planned: the move is refused, or with
+ * workflow.unplannedHops "apply" the step names them as unplanned and applying it carries on
+ * hop by hop. `onMoved(move)` (ledger, report reason) runs once the target is reached.
+ */
+async function planMove(issueKey, target, opts, ctx, { action, title = "", onMoved }) {
+    const move = await moveToStatus(jira, issueKey, target, { ...opts, dryRun: true });
+    if (!move.hops.length) return move;
+
+    const [hop] = move.hops;
+    const direct = move.reached;
+    const url = issueUrl(issueKey, "/transitions");
+    const unplanned = direct ? null : { method: "POST", url, count: Math.max(1, (opts.maxHops ?? 4) - 1), after: hop.to, target };
+    if (unplanned && config.workflow.unplannedHops === "refuse") {
+        const reason = `no direct transition from "${hop.from}" to "${target}", and the hops after "${hop.to}" cannot be planned ` +
+            "(set workflow.unplannedHops to \"apply\" to let them be chosen as they are applied)";
+        console.warn(`[SuperCommit][WARN] ${issueKey}: ${reason}.`);
+        return { ...move, to: hop.from, hops: [], reason };
+    }
+    const label = `"${hop.from}" → "${hop.to}" via "${hop.name}"${direct ? "" : `, then on towards "${target}"`}`;
+    planStep(ctx, issueKey, action, title || label, { method: "POST", url, body: transitionBody(hop.id, hop) }, async () => {
+        await jira.transition(issueKey, hop.id, hop);
+        console.log(`[SuperCommit] ${issueKey} "${hop.from}" → "${hop.to}" via "${hop.name}" (id=${hop.id})`);
+        const hops = [{ id: hop.id, name: hop.name, from: hop.from, to: hop.to }];
+        let to = hop.to;
+        if (!direct) {
+            const rest = await moveToStatus(jira, issueKey, target, { ...opts, maxHops: unplanned.count });
+            hops.push(...rest.hops);
+            to = rest.to;
+            if (!rest.reached) {
+                if (action === "transition") fireRules(issueKey, hops, ctx);
+                throw new Error(`stopped at "${to}" short of "${target}": ${rest.reason}`);
+            }
+        }
+        return onMoved({ from: hop.from, to, hops });
+    }, { unplanned });
+    return move;
+}
+
+async function planTransition(issueKey, parsed, ctx) {
+    const target = resolveStatusAlias(config, parsed.status);
+    const fieldValues = {};
+    if (parsed.resolution) fieldValues.resolution = parsed.resolution;
+    if (parsed.fixVersion) fieldValues.fixVersions = parsed.fixVersion;
+    const opts = { ...config.workflow, fieldValues, fieldDefaults: config.transitionFields };
+
+    const move = await planMove(issueKey, target, opts, ctx, {
+        action: "transition",
+        onMoved: async ({ from, to, hops }) => {
+            const moved = `"${from}" → "${to}"`;
+            console.log(`[SuperCommit] Jira transition applied successfully (${moved}, ${hops.length} hop(s)).`);
+            await ctx.ledger.record(ctx.sha, issueKey, "transition", { id: hops.at(-1).id, from, to, hops: hops.map(h => h.id) });
+            fireRules(issueKey, hops, ctx);
+            return { reason: moved, id: hops.at(-1).id };
+        },
+    });
+    if (config.dryRun) {
+        for (const { rule, hop } of rulesFor(issueKey, move.hops)) {
+            console.log(`[SuperCommit][DRY_RUN] Rule "${rule.name}" would fire (${hop.from} → ${hop.to}): ${describeActions(rule)}.`);
+        }
+    }
+    if (move.reached && !move.hops.length) {
+        report(ctx, issueKey, "transition", "skipped", `already in "${move.to}"`);
+    } else if (move.reason === "backward") {
+        report(ctx, issueKey, "transition", "skipped", `backward move from "${move.to}" refused (workflow.allowBackward)`);
+    } else if (!move.hops.length) {
+        report(ctx, issueKey, "transition", "failed", `stopped at "${move.to}" short of "${target}": ${move.reason}`);
+    }
+}
+
+// Worklog in Tempo, or in Jira (log.backend); the ledger calls both "tempo"
+async function planWorklog(issueKey, parsed, logHours, ctx) {
+    const toJira = ctx.backend === "jira";
+    if (ctx.author.error) {
+        report(ctx, issueKey, "tempo", "failed", `time not booked: ${ctx.author.error}`);
         return;
     }
 
-    const parsed = parseCommitMessage(firstLine);
-    const issueKey = parsed.issueKey || parsed.issue || "";
-    if (!issueKey) {
-        console.error("[SuperCommit][DEBUG] Parsed object:", JSON.stringify(parsed));
-        throw new Error("Commit must start with ISSUE-KEY (e.g., PEB-4).");
+    // an account from ATTR or attributes.defaults wins over the lookup
+    const accountKey = config.billing.accountAttribute;
+    const lookUpAccount = !toJira && accountKey && !(accountKey in ctx.workAttributes);
+    const fieldId = lookUpAccount ? await accountFieldId() : "";
+    let issueNumericId = null;
+    let issueFields = {};
+    try {
+        const issue = await jira.getIssue(issueKey, ["status", "project", ...(fieldId ? [fieldId] : [])]);
+        issueNumericId = issue.id;
+        issueFields = issue.fields;
+    } catch {
+        // handled below
+    }
+    if (!issueNumericId) {
+        console.warn(`[SuperCommit][WARN] Skipping worklog: could not resolve Jira issueId for ${issueKey}.`);
+        report(ctx, issueKey, "tempo", "failed", "could not resolve the Jira issue id");
+        return;
     }
 
-    const hasStatus = !!parsed.status;
-    const hasLog = parsed.logHours != null;
-    const hasComment = !!parsed.comment;
+    // Pre-flight: the author's day (the token user's in Jira) plus what this run plans to
+    // book on it, then the guard rules (see guard.js)
+    const date = parsed.logDate || ctx.workDay;
+    let dayWorklogs = null;
+    try {
+        dayWorklogs = toJira
+            ? await listJiraWorklogs({ jira, from: date })
+            : await listTempoWorklogs({ ...tempoConnection(), authorAccountId: ctx.author.accountId, from: date });
+        dayWorklogs.push(...ctx.plannedWorklogs.filter(w => w.startDate === date));
+    } catch (e) {
+        console.warn(`[SuperCommit][WARN] [Guard] Could not read the worklogs of ${date}; the per-day limit is not checked. ${e.message}`);
+    }
+    const bookedHours = (dayWorklogs ?? []).reduce((sum, w) => sum + Number(w.timeSpentSeconds || 0), 0) / 3600;
+    const check = checkBooking({ date, hours: logHours, today: ctx.workDay, bookedHours }, config.guard);
+    for (const f of check.findings) {
+        const blocks = f.action === "block";
+        (blocks ? console.error : console.warn)(
+            `[SuperCommit][${blocks ? "ERROR" : "WARN"}] [Guard] ${issueKey}: ${f.message} (guard.${f.rule}: ${f.action})`
+        );
+    }
+    if (check.blocked) {
+        report(ctx, issueKey, "tempo", "failed", `time not booked: ${check.findings.map(f => `guard.${f.rule}`).join(", ")}`);
+        return;
+    }
+
+    const hours = check.hours;
+    const attributes = { ...ctx.workAttributes };
+    if (lookUpAccount) {
+        const account = await accountFor(issueKey, issueFields, fieldId);
+        if (account) attributes[accountKey] = account;
+    }
+    const attributeList = Object.entries(attributes).map(([k, v]) => `${k}=${v}`).join(", ");
+    if (!toJira) console.log(`[SuperCommit] Tempo attributes: ${attributeList || "(none)"}`);
+
+    const billable = toJira ? null : billableRatio(parsed, config.billing, issueKey.split("-")[0]);
+    const split = billable ? splitSeconds(Math.round(hours * 3600), billable.ratio) : null;
+    if (split) {
+        console.log(
+            `[SuperCommit] ${issueKey}: billable ${fmtSeconds(split.billableSeconds)}, ` +
+            `non-billable ${fmtSeconds(split.nonBillableSeconds)} (${billable.source}).`
+        );
+    }
+
+    const { worklog } = await planTempoWorklog({
+        ...tempoConnection(),
+        backend: ctx.backend,
+        jira,
+        issueKey,
+        utcOffset: utcOffset(ctx.zone, { date, authorDate: ctx.authorDate }),
+        adjustEstimate: config.log.adjustEstimate,
+        authorAccountId: ctx.author.accountId,
+        issueId: String(issueNumericId),
+        hours,
+        when: date,
+        startTime: ctx.logStarts.get(issueKey) ?? null,
+        existingWorklogs: dayWorklogs,
+        overlap: config.log.overlap,
+        dayStart: config.log.dayStart,
+        comment: parsed.comment || "",
+        attributes,
+        billableSeconds: split?.billableSeconds ?? null,
+        issue: undefined,
+        logDate: parsed.logDate,
+    });
+    const seconds = Math.round(hours * 3600);
+    ctx.plannedWorklogs.push({
+        id: "(planned)", startDate: date, startTime: worklog.startTime, timeSpentSeconds: seconds,
+        issue: { id: String(issueNumericId), key: issueKey },
+    });
+
+    const booked = `${fmtSeconds(seconds)} on ${date}${toJira ? " (Jira worklog)" : ""}`;
+    const request = toJira ? jiraWorklogRequest(worklog) : await tempoWorklogRequest(worklog);
+    planStep(ctx, issueKey, "tempo", `${booked} from ${worklog.startTime.slice(0, 5)}`, request, async () => {
+        const created = toJira ? await logJiraWorklog(worklog) : await logTempoWorklog(worklog);
+        if (created?.conflict || created?.duplicate) return { status: "skipped", reason: "the worklog already exists in Tempo" };
+        const id = String(created?.tempoWorklogId ?? created?.id ?? "");
+        // without an id nothing shows the worklog exists: not recorded, so a re-run books it
+        if (!id) throw new Error(`${toJira ? "Jira" : "Tempo"} answered without a worklog id; not recorded in the ledger`);
+        await ctx.ledger.record(ctx.sha, issueKey, "tempo", { id, seconds, ...(toJira ? { backend: "jira" } : {}) });
+        return { reason: booked, id };
+    });
+}
+
+/** Plan the commit's writes on one issue (reads only); applyPlan() sends them. */
+async function planIssue(issueKey, parsed, logHours, ctx) {
+    const hasLog = logHours != null;
 
     console.log(
         `[SuperCommit] issue=${issueKey} status=${parsed.status ?? "(none)"} ` +
-        `log=${hasLog ? `${parsed.logHours}@${parsed.logDate || "today"}` : "(none)"} ` +
+        `log=${hasLog ? `${logHours}@${parsed.logDate || ctx.workDay}${ctx.logStarts.has(issueKey) ? ` ${ctx.logStarts.get(issueKey)}` : ""}` : "(none)"} ` +
         `phase=${parsed.phase ? parsed.phase : "(none)"}`
     );
 
-    // 0) Ready
-    if (parsed.ready !== null && parsed.ready !== undefined) {
+    // 0) Ready, 1) status change (several hops when there is no direct transition; see
+    // transitions.js), 2) worklog, 3) Jira comment
+    const planners = [
+        ["ready", parsed.ready !== null && parsed.ready !== undefined, () => planReadyField(issueKey, !!parsed.ready, ctx)],
+        ["transition", !!parsed.status, () => planTransition(issueKey, parsed, ctx)],
+        ["tempo", hasLog, () => planWorklog(issueKey, parsed, logHours, ctx)],
+        ["comment", !!parsed.comment, () => planJiraComment(issueKey, parsed.comment, ctx)],
+    ];
+    for (const [action, wanted, plan] of planners) {
+        if (!wanted) continue;
         try {
-            await updateReadyField(issueKey, !!parsed.ready);
+            // an unreadable ledger (LedgerReadError) fails the action rather than risk applying it twice
+            if (await alreadyApplied(ctx, issueKey, action)) continue;
+            await plan();
         } catch (err) {
-            console.warn(`[SuperCommit][WARN] Ready update skipped: ${String(err.message || err)}`);
+            console.warn(`[SuperCommit][WARN] ${issueKey}: ${action} not planned: ${String(err.message || err)}`);
+            report(ctx, issueKey, action, "failed", String(err.message || err));
         }
     }
+}
 
-    // 1) Status change
-    if (hasStatus) {
+/** Print the commit's plan, then (unless this is a dry run) send its steps in order. */
+async function applyPlan(ctx) {
+    if (!ctx.plan.length) {
+        console.log(`[SuperCommit] Plan for ${ctx.shortSha}: nothing to write.`);
+        return;
+    }
+    console.log(`[SuperCommit] Plan for ${ctx.shortSha} (${ctx.plan.length} write${ctx.plan.length === 1 ? "" : "s"}):\n${formatPlan(ctx.plan)}`);
+    if (config.dryRun) {
+        console.log("[SuperCommit][DRY_RUN] Plan not applied; nothing was written.");
+        for (const s of ctx.plan) report(ctx, s.issueKey, s.action, "skipped", `dry run: ${s.title}`);
+        return;
+    }
+    for (const s of ctx.plan) {
         try {
-            const current = await getIssueMinimal(issueKey);
-            console.log(`[SuperCommit] ${issueKey} current status: ${current.status}`);
-
-            const transitions = await getTransitions(issueKey);
-            const best =
-                transitions.find(
-                    t =>
-                        (t?.to?.name ?? "")
-                            .trim()
-                            .toLowerCase() === parsed.status.trim().toLowerCase()
-                ) ||
-                transitions.find(t =>
-                    (t?.name ?? "")
-                        .toLowerCase()
-                        .includes(parsed.status.trim().toLowerCase())
-                );
-
-            console.log(
-                `[SuperCommit] Available transitions: ${transitions
-                    .map(t => `"${t.name}"(id=${t.id}, to="${t?.to?.name}")`)
-                    .join(", ")}`
-            );
-
-            if (!best) {
-                console.warn(
-                    `[SuperCommit][WARN] No matching transition found for status="${parsed.status}". Skipping transition.`
-                );
-            } else {
-                console.log(
-                    `[SuperCommit] Transition resolved → "${best.name}" (to="${best?.to?.name}", id=${best.id})`
-                );
-                if (!env.dryRun) {
-                    await applyTransition(issueKey, best.id);
-                    console.log(`[SuperCommit] Jira transition applied successfully (id=${best.id}).`);
-
-                    // ✅ PR trigger: only when going from Build -> Validate Test
-                    const goingTo = (best?.to?.name ?? "").trim().toLowerCase();
-                    const from = (current?.status ?? "").trim().toLowerCase();
-                    if (from === "build" && goingTo === "validate test") {
-                        setStepOutput("create_pr", "yes");
-                        console.log("[SuperCommit] PR trigger enabled (Build → Validate Test).");
-                    }
-                } else {
-                    console.log(`[SuperCommit][DRY_RUN] Would apply Jira transition id=${best.id}.`);
-
-                    // 🧩 DRY_RUN mode → never set PR trigger
-                    console.log("[SuperCommit][DRY_RUN] Skipping PR trigger because DRY_RUN=true.");
-                }
-            }
+            const { status = "ok", reason = s.title, id = "" } = (await s.run()) ?? {};
+            report(ctx, s.issueKey, s.action, status, reason, id);
         } catch (err) {
-            console.warn(
-                `[SuperCommit][WARN] Jira transition skipped due to error: ${String(err.message || err)}`
-            );
+            console.warn(`[SuperCommit][WARN] ${s.issueKey}: ${s.action} failed: ${String(err.message || err)}`);
+            report(ctx, s.issueKey, s.action, "failed", String(err.message || err));
         }
     }
+}
+
+// ---- Revert -----------------------------------------------------------------
 
-    // 2) Tempo
-    if (hasLog) {
+// The reverted commit as git knows it (full SHA, trailers); only its quoted subject when the
+// clone does not have it (shallow checkout) or the "This reverts commit" line is missing.
+function revertedSource(reverted) {
+    if (reverted.sha) {
         try {
-            let issueNumericId = null;
-            try {
-                const issue = await getIssueMinimal(issueKey);
-                issueNumericId = issue.id;
-            } catch {
-                // handled below
-            }
-            if (!issueNumericId) {
-                console.warn(`[SuperCommit][WARN] [Tempo] Skipping worklog: could not resolve Jira issueId for ${issueKey}.`);
+            const [c] = commitsFromGit(["-1", reverted.sha]);
+            if (c?.message) return { sha: c.sha.toLowerCase(), message: c.message };
+        } catch {
+            // not fetched; fall back below
+        }
+    }
+    return { sha: reverted.sha, message: reverted.subject };
+}
+
+/**
+ * Plan undoing what the ledger recorded for `originalShas` on one issue. Each undo is its own
+ * step, recorded on its own once applied ("revert:worklog", ...); undos a previous run recorded
+ * are skipped, so a re-run retries only what failed. Returns { problems (what cannot be undone),
+ * skipped (undos already done) }.
+ */
+async function planRevert(issueKey, originalShas, ofSha, ctx) {
+    const problems = [];
+    const lookup = (action) => ctx.ledger.lookup(originalShas, issueKey, action);
+    const done = await ctx.ledger.undone(ctx.shas, issueKey);
+    const recordUndone = (what, value) => ctx.ledger.recordUndo(ctx.sha, issueKey, what, { of: ofSha, [what]: value });
+    const of = ofSha.slice(0, 7);
+    const skipped = [...done];
+    if (skipped.length) {
+        console.log(`[SuperCommit] Ledger: ${skipped.join(", ")} of ${of} already undone for ${issueKey}; skipping (use --force to redo).`);
+        report(ctx, issueKey, "revert", "skipped", `${skipped.join(", ")} already undone (ledger)`);
+    }
+
+    // 1) Worklog, in Tempo or in Jira (backend: "jira" in the ledger)
+    const tempo = config.revert.worklogs && !done.has("worklog") ? await lookup("tempo") : null;
+    const where = tempo?.backend === "jira" ? "Jira" : "Tempo";
+    if (tempo && !tempo.id) {
+        console.warn(`[SuperCommit][WARN] ${issueKey}: no ${where} worklog id was recorded for ${tempo.sha.slice(0, 7)}; delete it in ${where} by hand.`);
+        problems.push(`no ${where} worklog id recorded`);
+    } else if (tempo) {
+        const toJira = tempo.backend === "jira";
+        const url = toJira
+            ? `${issueUrl(issueKey, `/worklog/${encodeURIComponent(tempo.id)}`)}?${new URLSearchParams({ adjustEstimate: config.log.adjustEstimate })}`
+            : tempoWorklogUrl(tempoConnection(), tempo.id);
+        planStep(ctx, issueKey, "revert", `delete ${where} worklog ${tempo.id} of ${of}`, { method: "DELETE", url }, async () => {
+            const res = toJira
+                ? await deleteJiraWorklog({ jira, issueKey, worklogId: tempo.id, adjustEstimate: config.log.adjustEstimate })
+                : await deleteTempoWorklog({ ...tempoConnection(), worklogId: tempo.id });
+            await recordUndone("worklog", tempo.id);
+            return { reason: `${where} worklog ${tempo.id} of ${of} ${res.notFound ? "was already gone" : "deleted"}` };
+        });
+    }
+
+    // 2) Jira comment
+    const comment = config.revert.comments && !done.has("comment") ? await lookup("comment") : null;
+    if (comment?.id) {
+        planStep(ctx, issueKey, "revert", `delete Jira comment ${comment.id} of ${of}`, { method: "DELETE", url: issueUrl(issueKey, `/comment/${encodeURIComponent(comment.id)}`) }, async () => {
+            const existed = await jira.deleteComment(issueKey, comment.id);
+            console.log(`[SuperCommit] Jira comment ${comment.id} on ${issueKey} ${existed ? "deleted" : "was already gone"}.`);
+            await recordUndone("comment", comment.id);
+            return { reason: `Jira comment ${comment.id} of ${of} ${existed ? "deleted" : "was already gone"}` };
+        });
+    }
+
+    // 3) Status, only while the issue is still where the commit put it
+    const transition = config.revert.transitionBack && !done.has("transition") ? await lookup("transition") : null;
+    if (transition?.from) {
+        try {
+            const { status } = await jira.getIssue(issueKey);
+            if (status.trim().toLowerCase() !== String(transition.to ?? "").trim().toLowerCase()) {
+                console.warn(`[SuperCommit][WARN] ${issueKey} moved on to "${status}" since; not moving it back to "${transition.from}".`);
             } else {
-                const attrKey = (env.tempoAttrKey || "").trim();
-                const candidate = parsed.phase || env.tempoCategoryValue;
-                const finalCategory = candidate && attrKey ? chooseValidCategory(candidate) : "";
-
-                if (finalCategory && attrKey) {
-                    console.log(`[SuperCommit] Tempo attribute key length=${attrKey.length}, value="${finalCategory}"`);
-                } else {
-                    console.log("[SuperCommit] Tempo Category omitted (disabled or empty).");
-                }
-
-                const _attributeProps = finalCategory && attrKey
-                    ? { attributeKey: attrKey, attributeValue: finalCategory }
-                    : {};
-
-                await logTempo({
-                    tempoApiToken: env.tempoToken,
-                    authorAccountId: env.tempoAuthorId,
-                    issueId: String(issueNumericId),
-                    hours: parsed.logHours,
-                    when: parsed.logDate || undefined,
-                    comment: parsed.comment || "",
-                    ..._attributeProps,
-                    issue: undefined,
-                    logHours: parsed.logHours,
-                    logDate: parsed.logDate,
-                    dryRun: env.dryRun
+                const opts = { ...config.workflow, allowBackward: true, fieldDefaults: config.transitionFields };
+                const move = await planMove(issueKey, transition.from, opts, ctx, {
+                    action: "revert",
+                    title: `move back from "${status}" to "${transition.from}"`,
+                    onMoved: async ({ from, to }) => {
+                        await recordUndone("transition", { from, to });
+                        return { reason: `moved back from "${from}" to "${to}"` };
+                    },
                 });
+                if (!move.hops.length && !move.reached) problems.push(`not moved back: ${move.reason}`);
             }
         } catch (err) {
-            console.warn(`[SuperCommit][WARN] Tempo log skipped due to error: ${String(err.message || err)}`);
+            console.warn(`[SuperCommit][WARN] ${issueKey} not moved back: ${String(err.message || err)}`);
+            problems.push(`not moved back: ${String(err.message || err)}`);
         }
     }
+    return { problems, skipped };
+}
+
+async function processRevert(commit, reverted, ledger, result) {
+    const source = revertedSource(reverted);
+    const { result: original } = analyzeCommitMessage(source.message, { mode: config.parser.mode });
+    const issues = original.issues ?? [];
+    if (!issues.length) {
+        console.log("[SuperCommit] Revert of a commit without ISSUE-KEY — nothing to undo, skipping.");
+        return { ...result, status: "skipped", reason: "revert of a non-super commit" };
+    }
+    if (!config.revert.enabled) {
+        console.log("[SuperCommit] revert.enabled is false — leaving worklogs and comments in place.");
+        return { ...result, status: "skipped", reason: "revert undo disabled", issues };
+    }
+    if (ledger.kind === "off") {
+        console.warn("[SuperCommit][WARN] ledger.store is off: nothing was recorded for the reverted commit, so nothing can be undone.");
+        return { ...result, status: "skipped", reason: "no ledger", issues };
+    }
+    if (!source.sha) {
+        console.warn(`[SuperCommit][WARN] Revert without a "This reverts commit <sha>" line; cannot tell which actions to undo.`);
+        return { ...result, status: "skipped", reason: "reverted SHA unknown", issues };
+    }
 
-    // 3) Jira comment
-    if (hasComment) {
+    const originalShas = [source.sha, ...cherryPickSources(source.message)];
+    console.log(`[SuperCommit] Revert of ${source.sha.slice(0, 7)} ("${reverted.subject}") on ${issues.join(", ")}.`);
+    const ctx = {
+        ledger,
+        sha: commit.sha || "",
+        shortSha: commit.sha ? commit.sha.slice(0, 7) : "(no sha)",
+        shas: [commit.sha].filter(Boolean),
+        actions: [],
+        plan: [],
+    };
+    for (const issueKey of issues) {
+        const planned = ctx.plan.length;
+        let problems, skipped = [];
         try {
-            await addJiraCommentADF(issueKey, parsed.comment);
+            ({ problems, skipped } = await planRevert(issueKey, originalShas, source.sha, ctx));
         } catch (err) {
-            console.warn(`[SuperCommit][WARN] Jira comment skipped due to error: ${String(err.message || err)}`);
+            ctx.plan.length = planned;
+            problems = [String(err.message || err)];
+        }
+        if (problems.length) {
+            report(ctx, issueKey, "revert", "failed", problems.join("; "));
+        } else if (ctx.plan.length === planned && !skipped.length) {
+            console.log(`[SuperCommit] ${issueKey}: nothing recorded for ${source.sha.slice(0, 7)} to undo.`);
+            report(ctx, issueKey, "revert", "skipped", "nothing recorded to undo");
+        }
+    }
+    await applyPlan(ctx);
+    return settle({ ...result, issues, reason: `revert of ${source.sha.slice(0, 7)}`, plan: ctx.plan.map(describeStep) }, ctx.actions);
+}
+
+/**
+ * The commit's result after failurePolicy: an action failure set to "fail" fails the commit,
+ * "warn" is reported as a warning (an annotation in Actions), "ignore" only shows in the report.
+ */
+function settle(result, actions) {
+    const { fail, warn } = applyFailurePolicy(actions, config.failurePolicy);
+    for (const a of warn) {
+        const text = `${a.issueKey}: ${a.action} failed: ${a.reason} (failurePolicy.${a.action}: warn)`;
+        if (process.env.GITHUB_ACTIONS === "true") console.log(`::warning title=Super Commit ${a.action}::${text}`);
+        else console.warn(`[SuperCommit][WARN] ${text}`);
+    }
+    if (!fail.length) return { ...result, actions };
+    const reason = fail.map(a => `${a.issueKey}: ${a.action} failed (${a.reason})`).join("; ");
+    if (process.env.GITHUB_ACTIONS === "true") console.log(`::error title=Super Commit::${reason}`);
+    return { ...result, status: "failed", reason, actions };
+}
+
+// Parser diagnostics as GitHub annotations (plain log lines outside Actions)
+function annotateDiagnostics(diagnostics, commit) {
+    const sha = commit.sha ? commit.sha.slice(0, 7) : "message";
+    for (const d of diagnostics) {
+        const text = `${sha}: ${d.message} (${d.code}, line ${d.line ?? 1}, columns ${d.start + 1}-${Math.max(d.end, d.start + 1)})`;
+        if (process.env.GITHUB_ACTIONS === "true") {
+            console.log(`::${d.severity === "error" ? "error" : "warning"} title=Super Commit ${d.code}::${text}`);
+        } else if (d.severity !== "error") {
+            console.warn(`[SuperCommit][WARN] ${text}`);
+        }
+    }
+}
+
+async function processCommit(commit, ledger) {
+    const firstLine = firstLineOf(commit.message);
+    const result = { sha: commit.sha || "", subject: firstLine, status: "applied", reason: "", issues: [] };
+
+    if (!firstLine) return { ...result, status: "skipped", reason: "empty message" };
+
+    // 🚫 Skip merge commits early
+    if (/^Merge\b/i.test(firstLine)) {
+        console.log("[SuperCommit] Merge commit detected — skipping entirely.");
+        return { ...result, status: "skipped", reason: "merge commit" };
+    }
+
+    const reverted = revertedCommit(commit.message);
+    if (reverted) return processRevert(commit, reverted, ledger, result);
+
+    // LOG without a date, and relative dates (@yesterday, DATE:last-fri), refer to the day the
+    // commit was authored in the author's zone, not to the runner's clock
+    const zone = authorZone(commit.authorEmail);
+    const today = workDay({ authorDate: commit.authorDate, zone, now: runClock ?? Date.now() });
+    if (zone !== AUTHOR_ZONE || !commit.authorDate) console.log(`[SuperCommit] Work day ${today} (${zone === AUTHOR_ZONE ? "runner clock" : zone}).`);
+
+    const parseOpts = { mode: config.parser.mode, today };
+    if (!looksLikeSuperCommit(commit.message, parseOpts)) {
+        console.log(
+            parseOpts.mode === "conventional"
+                ? "[SuperCommit] No ISSUE-KEY in the subject, its scope, a Refs: footer or a Jira-Issue trailer — not a Super Commit, skipping."
+                : "[SuperCommit] No ISSUE-KEY at the start of the first line or in a Jira-Issue trailer — not a Super Commit, skipping."
+        );
+        return { ...result, status: "skipped", reason: "not a super commit" };
+    }
+
+    let parsed;
+    try {
+        parsed = parseCommitMessage(commit.message, parseOpts);
+    } catch (err) {
+        annotateDiagnostics(err.diagnostics ?? [], commit);
+        console.error(`[SuperCommit][ERROR] ${String(err.message || err)}`);
+        return { ...result, status: "failed", reason: String(err.message || err) };
+    }
+    annotateDiagnostics(analyzeCommitMessage(commit.message, parseOpts).diagnostics, commit);
+
+    const issues = parsed.issues ?? [parsed.issueKey || parsed.issue].filter(Boolean);
+    if (!issues.length) {
+        console.error("[SuperCommit][DEBUG] Parsed object:", JSON.stringify(parsed));
+        return { ...result, status: "failed", reason: "Commit must start with ISSUE-KEY (e.g., PEB-4)." };
+    }
+
+    let logByIssue;
+    try {
+        logByIssue = allocateLogHours(parsed, config.log.split);
+    } catch (err) {
+        console.error(`[SuperCommit][ERROR] ${String(err.message || err)}`);
+        return { ...result, status: "failed", reason: String(err.message || err), issues };
+    }
+    if (issues.length > 1) {
+        console.log(`[SuperCommit] ${issues.length} issues: ${issues.join(", ")}`);
+    }
+
+    // Time is booked as the commit's author, never silently as someone else; Jira worklogs
+    // always belong to the token's user, so an unmapped author blocks them too (authors.unmapped)
+    const backend = worklogBackend();
+    const author = parsed.logHours != null || parsed.comment ? await authorFor(commit, { backend }) : {};
+
+    // Work attributes are checked once per commit, before anything is written
+    let workAttributes = {};
+    if (parsed.logHours != null && backend === "jira" && (parsed.attributes?.length || parsed.billHours != null)) {
+        console.warn("[SuperCommit][WARN] ATTR and BILL only apply to Tempo worklogs; ignored for Jira worklogs (log.backend).");
+    } else if (parsed.logHours != null && backend === "tempo") {
+        const resolved = await resolveAttributesFor(parsed);
+        if (resolved.errors.length) {
+            for (const e of resolved.errors) console.error(`[SuperCommit][ERROR] [Tempo] ${e}`);
+            return { ...result, status: "failed", reason: `invalid work attributes: ${resolved.errors.join("; ")}`, issues };
+        }
+        workAttributes = resolved.attributes;
+    }
+
+    const ctx = {
+        ledger,
+        sha: commit.sha || "",
+        shortSha: commit.sha ? commit.sha.slice(0, 7) : "(no sha)",
+        workDay: today,
+        zone,
+        authorDate: commit.authorDate || "",
+        backend,
+        workAttributes,
+        author,
+        logStarts: parsed.logStartTime ? allocateStartTimes(parsed.logStartTime, logByIssue) : new Map(),
+        // run report entries of this commit; failed ones go through failurePolicy
+        actions: [],
+        // writes planned for this commit (see plan.js), and the worklogs among them
+        plan: [],
+        plannedWorklogs: [],
+        // a `git cherry-pick -x` copy shares the ledger entries of its source commit
+        shas: [commit.sha, ...cherryPickSources(commit.message)].filter(Boolean),
+        // footer of posted comments: short SHA linked to the commit, branch, author
+        commitInfo: {
+            sha: commit.sha || "",
+            url: commit.sha && env.repoUrl ? `${env.repoUrl}/commit/${commit.sha}` : "",
+            branch: env.branch,
+            author: commit.authorName || author.displayName || "",
+            authorAccountId: author.accountId && !author.fallback ? author.accountId : "",
+        },
+    };
+    for (const issueKey of issues) {
+        await planIssue(issueKey, parsed, logByIssue.get(issueKey) ?? null, ctx);
+    }
+    await applyPlan(ctx);
+
+    return settle({ ...result, issues, plan: ctx.plan.map(describeStep) }, ctx.actions);
+}
+
+function printResults(results) {
+    console.log(`[SuperCommit] Results (${results.length} commit${results.length === 1 ? "" : "s"}):`);
+    for (const r of results) {
+        const sha = r.sha ? r.sha.slice(0, 7) : "-------";
+        const why = r.reason ? ` (${r.reason})` : "";
+        console.log(`  ${sha}  ${r.status.padEnd(7)}  ${r.subject}${why}`);
+    }
+}
+
+// ---- Run report -------------------------------------------------------------
+
+/** Write report.file (JSON) and the step summary table (see report.js); returns the report. */
+function writeReport(results, startedAt) {
+    const runReport = buildReport({
+        commits: results,
+        policy: config.failurePolicy,
+        dryRun: config.dryRun,
+        startedAt,
+        finishedAt: new Date().toISOString(),
+    });
+    if (config.report.file) {
+        try {
+            fs.mkdirSync(path.dirname(config.report.file), { recursive: true });
+            fs.writeFileSync(config.report.file, JSON.stringify(runReport, null, 2));
+            console.log(`[SuperCommit] Run report written to ${config.report.file}.`);
+            setStepOutput("report", config.report.file);
+        } catch (e) {
+            console.warn(`[SuperCommit][WARN] Could not write the run report ${config.report.file}: ${e.message}`);
+        }
+    }
+    const summaryFile = process.env.GITHUB_STEP_SUMMARY;
+    if (config.report.summary && summaryFile) {
+        try {
+            fs.appendFileSync(summaryFile, renderSummary(runReport));
+        } catch (e) {
+            console.warn(`[SuperCommit][WARN] Could not write the step summary: ${e.message}`);
         }
     }
+    return runReport;
+}
+
+async function main() {
+    const startedAt = new Date().toISOString();
+
+    // jira.js and logTempo.js both call the global fetch, so this covers every request
+    const cassette = env.replay ? loadCassette(env.replay) : null;
+    const recorder = env.record && !cassette ? createRecorder() : null;
+    if (cassette) {
+        globalThis.fetch = replayFetch(cassette);
+        useRecordedEnv(cassette.env);
+        runClock = Date.parse(cassette.startedAt ?? cassette.recordedAt);
+        console.log(`[SuperCommit] Replaying ${env.replay} (recorded ${cassette.recordedAt}, ${cassette.interactions.length} requests); nothing goes over the network.`);
+    } else if (recorder) {
+        globalThis.fetch = recorder.fetch;
+        console.log(`[SuperCommit] Recording HTTP traffic to ${env.record} (credentials redacted).`);
+    }
+
+    const loaded = cassette ? { config: cassette.config, file: `${env.replay} (recorded config)` } : loadConfig();
+    config = loaded.config;
+    console.log(`[SuperCommit] Config: ${loaded.file ?? "built-in defaults"}`);
+    if (config.dryRun) {
+        // a dry run stops after the plan; a write that still reaches fetch is refused
+        globalThis.fetch = readOnlyFetch(globalThis.fetch);
+        console.log("[SuperCommit][DRY_RUN] Planning only: reads go to Jira and Tempo, writes are refused.");
+    }
+    jira = createJiraClient({
+        baseUrl: env.jiraApiBase,
+        email: env.email,
+        token: env.token,
+        deployment: config.deployment,
+        timeoutMs: config.jira.timeoutMs,
+        maxRetries: config.jira.maxRetries,
+        // recorded Retry-After waits are not worth sitting through again
+        ...(cassette ? { sleep: async () => {} } : {}),
+    });
+
+    const backend = worklogBackend();
+    console.log(
+        `[SuperCommit] Worklogs: ${backend === "jira" ? "Jira" : "Tempo"}` +
+        (config.log.backend === "auto" ? ` (log.backend: auto${backend === "jira" ? ", no Tempo token" : ""})` : "")
+    );
+
+    const authorCache = recorder ? readAuthorCache(config.authors.cacheFile) : null;
+    const replayCacheFile = cassette ? replayAuthorCache(cassette.authorCache) : "";
+    authors = createAuthorResolver({
+        ...config.authors,
+        ...(replayCacheFile ? { cacheFile: replayCacheFile } : {}),
+        searchUsers: (query) => jira.searchUsers(query),
+    });
+
+    // a replay processes the recorded commits unless a message or range is given
+    const commits = cassette && !env.commitMessage && !env.commitRange
+        ? cassette.commits
+        : loadCommits({
+            range: env.commitRange,
+            message: env.commitMessage,
+            sha: env.commitSha,
+            eventPath: env.eventPath,
+        });
+    if (!commits.length) throw new Error("No commits to process (empty range).");
+
+    // Dry runs and replays consult the ledger (to show what would be skipped) but never record
+    const ledger = createLedger({
+        kind: config.ledger.store,
+        file: config.ledger.file,
+        jira,
+        force: env.force,
+        readOnly: config.dryRun || !!cassette,
+    });
+    if (env.force) console.log("[SuperCommit] --force: ignoring the ledger, every action is re-applied.");
+
+    const results = [];
+    try {
+        for (const commit of commits) {
+            const sha = commit.sha ? commit.sha.slice(0, 7) : "(no sha)";
+            console.log(`[SuperCommit] ---- commit ${sha}: ${firstLineOf(commit.message)}`);
+            results.push(await processCommit(commit, ledger));
+        }
+    } finally {
+        for (const [name, value] of Object.entries(followUpOutputs(followUps))) setStepOutput(name, value);
+        if (replayCacheFile) fs.rmSync(replayCacheFile, { force: true });
+        if (recorder) {
+            try {
+                saveCassette(env.record, { startedAt, env: recordedEnv(), config, authorCache, commits, interactions: recorder.interactions });
+                console.log(`[SuperCommit] Cassette written to ${env.record} (${recorder.interactions.length} requests).`);
+                setStepOutput("cassette", env.record);
+            } catch (e) {
+                console.warn(`[SuperCommit][WARN] Could not write the cassette ${env.record}: ${e.message}`);
+            }
+        }
+    }
+
+    printResults(results);
+    setStepOutput("results", JSON.stringify(results.map(({ sha, status, reason }) => ({ sha, status, reason }))));
+
+    // failed commits, including action failures under failurePolicy "fail", fail the job
+    if (writeReport(results, startedAt).exitCode) {
+        process.exitCode = 1;
+    }
 
     console.log("Done.");
 }
 
 main().catch(e => {
-    console.error(`[SuperCommit][FATAL] ${e?.stack || e?.message || String(e)}`);
+    // config errors already say what to fix; a stack trace would only bury it
+    const detail = e instanceof SuperCommitConfigError ? e.message : (e?.stack || e?.message || String(e));
+    console.error(`[SuperCommit][FATAL] ${detail}`);
     process.exitCode = 1;
 });
\ No newline at end of file
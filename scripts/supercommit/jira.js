@@ -0,0 +1,312 @@
+﻿// scripts/supercommit/jira.js
+// Node 20+, ESM. Uses global fetch (injectable for tests).
+// The one Jira REST client every Super Commit action goes through: basic auth,
+// per-request timeout, Retry-After-aware backoff, pagination and typed errors.
+//
+// Deployments: "cloud" uses REST v3 with email + API token (Basic auth); "datacenter"
+// (Jira Data Center/Server) uses REST v2 with a personal access token (Bearer auth).
+// Comment bodies are passed through as given: an ADF document on Cloud, wiki markup on
+// Data Center. User search results are returned in Cloud's shape on both.
+//
+// Worklogs (log.backend "jira", see jiraWorklog.js) always belong to the token's user.
+//
+// Retry policy: 429 is always retried (Jira did not process the request). 5xx, timeouts
+// and network errors are retried only for idempotent methods (GET/PUT/DELETE), so a
+// comment or transition POST is never sent twice.
+
+const IDEMPOTENT = new Set(["GET", "HEAD", "PUT", "DELETE"]);
+
+/** Non-2xx response, timeout or network failure. `status` is 0 when no response arrived. */
+export class JiraError extends Error {
+    constructor({ method, path, status = 0, statusText = "", body = null, code = "", cause } = {}) {
+        const detail = typeof body === "string" ? body : body ? JSON.stringify(body) : "";
+        const what = status ? `${status} ${statusText}`.trim() : code || "request failed";
+        super(`[Jira] ${method} ${path} → ${what}${detail ? `. Body: ${detail}` : ""}`, cause ? { cause } : undefined);
+        this.name = "JiraError";
+        this.method = method;
+        this.path = path;
+        this.status = status;
+        this.body = body;
+        this.code = code || (status ? `HTTP_${status}` : "NETWORK");
+        this.retryable = status === 429 || status >= 500 || !status;
+    }
+
+    /** Jira's own messages (errorMessages + field errors), for logs. */
+    get jiraMessages() {
+        const b = this.body && typeof this.body === "object" ? this.body : {};
+        return [...(b.errorMessages ?? []), ...Object.entries(b.errors ?? {}).map(([k, v]) => `${k}: ${v}`)];
+    }
+}
+
+/** Milliseconds to wait from a Retry-After header (seconds or HTTP date), or null. */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (value == null || value === "") return null;
+    const secs = Number(value);
+    if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+    const at = Date.parse(value);
+    return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+const defaultSleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/** Pick the transition reaching `status`: target status name, then transition name, then a partial transition name. */
+export function matchTransition(transitions, status) {
+    const wanted = String(status ?? "").trim().toLowerCase();
+    if (!wanted) return null;
+    const norm = (s) => String(s ?? "").trim().toLowerCase();
+    return (
+        transitions.find(t => norm(t?.to?.name) === wanted) ||
+        transitions.find(t => norm(t?.name) === wanted) ||
+        transitions.find(t => norm(t?.name).includes(wanted)) ||
+        null
+    );
+}
+
+/** Body of a transition POST: the transition id, plus the screen's `fields` / `update` when any. */
+export function transitionBody(transitionId, { fields, update } = {}) {
+    const body = { transition: { id: String(transitionId) } };
+    if (fields && Object.keys(fields).length) body.fields = fields;
+    if (update && Object.keys(update).length) body.update = update;
+    return body;
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.baseUrl    e.g. https://<your>.atlassian.net
+ * @param {string} opts.email      Cloud only
+ * @param {string} opts.token      API token (Cloud) or personal access token (Data Center)
+ * @param {"cloud"|"datacenter"} [opts.deployment="cloud"]
+ * @param {number} [opts.timeoutMs=30000]   per attempt
+ * @param {number} [opts.maxRetries=3]
+ * @param {Function} [opts.fetch]          defaults to global fetch
+ * @param {Function} [opts.sleep]          (ms) => Promise, for tests
+ */
+export function createJiraClient({
+    baseUrl,
+    email,
+    token,
+    deployment = "cloud",
+    timeoutMs = 30000,
+    maxRetries = 3,
+    fetch: fetchImpl = globalThis.fetch,
+    sleep = defaultSleep,
+} = {}) {
+    const base = String(baseUrl || "").trim().replace(/\/+$/, "");
+    const server = deployment === "datacenter";
+    const auth = server ? `Bearer ${token ?? ""}` : `Basic ${Buffer.from(`${email ?? ""}:${token ?? ""}`).toString("base64")}`;
+    const api = server ? "/rest/api/2" : "/rest/api/3";
+
+    function backoffMs(attempt) {
+        const exp = Math.min(10000, 500 * 2 ** attempt);
+        return exp + Math.floor(Math.random() * exp * 0.25);
+    }
+
+    async function readBody(res) {
+        const text = await res.text().catch(() => "");
+        if (!text) return null;
+        try {
+            return JSON.parse(text);
+        } catch {
+            return text;
+        }
+    }
+
+    /** Send one request; resolves to the parsed JSON body (null for empty bodies). */
+    async function request(method, path, { body, query, headers } = {}) {
+        if (!base) {
+            const e = new Error("[Jira] JIRA_BASE_URL is empty. Set it in repo/environment secrets.");
+            e.noRetry = true;
+            throw e;
+        }
+        const qs = query ? `?${new URLSearchParams(Object.entries(query).filter(([, v]) => v != null))}` : "";
+        const url = `${base}${path}${qs}`;
+        const init = {
+            method,
+            headers: {
+                Authorization: auth,
+                Accept: "application/json",
+                "Content-Type": "application/json",
+                ...(headers ?? {}),
+            },
+            ...(body !== undefined ? { body: typeof body === "string" ? body : JSON.stringify(body) } : {}),
+        };
+
+        for (let attempt = 0; ; attempt++) {
+            let res;
+            let failure;
+            try {
+                res = await fetchImpl(url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+            } catch (err) {
+                const timedOut = err?.name === "TimeoutError" || err?.name === "AbortError";
+                failure = new JiraError({ method, path, code: timedOut ? "TIMEOUT" : "NETWORK", cause: err });
+            }
+
+            if (res?.ok) return res.status === 204 ? null : readBody(res);
+            if (res) {
+                failure = new JiraError({ method, path, status: res.status, statusText: res.statusText, body: await readBody(res) });
+            }
+
+            const retry = attempt < maxRetries && (failure.status === 429 || (failure.retryable && IDEMPOTENT.has(method)));
+            if (!retry) throw failure;
+
+            const wait = parseRetryAfter(res?.headers?.get?.("retry-after")) ?? backoffMs(attempt);
+            console.warn(`[Jira] ${method} ${path}: ${failure.status || failure.code} → retry ${attempt + 1}/${maxRetries} in ${wait}ms`);
+            await sleep(wait);
+        }
+    }
+
+    /**
+     * Collect every item of a startAt/maxResults paged resource.
+     * `key` is the array property (values, issues, worklogs, comments...).
+     */
+    async function paginate(path, { key = "values", pageSize = 50, query = {} } = {}) {
+        const items = [];
+        for (let startAt = 0; ;) {
+            const page = await request("GET", path, { query: { ...query, startAt, maxResults: pageSize } });
+            const batch = page?.[key] ?? [];
+            items.push(...batch);
+            startAt += batch.length;
+            const total = Number.isFinite(page?.total) ? page.total : null;
+            if (!batch.length || page?.isLast === true || (total != null && startAt >= total)) break;
+            if (total == null && page?.isLast !== false && batch.length < pageSize) break;
+        }
+        return items;
+    }
+
+    const issuePath = (key) => `${api}/issue/${encodeURIComponent(key)}`;
+
+    return {
+        baseUrl: base,
+        // REST root (…/rest/api/3 or …/rest/api/2), for showing planned requests
+        apiBase: `${base}${api}`,
+        deployment,
+        request,
+        paginate,
+        get: (path, opts) => request("GET", path, opts),
+        post: (path, body, opts) => request("POST", path, { ...opts, body }),
+        put: (path, body, opts) => request("PUT", path, { ...opts, body }),
+
+        /** { id, key, status } of an issue. */
+        async getIssue(issueKey, fields = ["status"]) {
+            const json = await request("GET", issuePath(issueKey), { query: { fields: fields.join(",") } });
+            return { id: json?.id, key: json?.key ?? issueKey, status: json?.fields?.status?.name ?? "", fields: json?.fields ?? {} };
+        },
+
+        /**
+         * Users matching a name or email ({ accountId, accountType, active, displayName, emailAddress? }).
+         * On Data Center, accountId is the user key (what Tempo Server books worklogs as).
+         */
+        async searchUsers(query) {
+            if (!server) return (await request("GET", `${api}/user/search`, { query: { query, maxResults: 10 } })) ?? [];
+            const users = (await request("GET", `${api}/user/search`, { query: { username: query, maxResults: 10 } })) ?? [];
+            return users.map(u => ({
+                accountId: u.key ?? u.name,
+                accountType: "atlassian",
+                active: u.active !== false,
+                displayName: u.displayName ?? u.name,
+                ...(u.emailAddress ? { emailAddress: u.emailAddress } : {}),
+            }));
+        },
+
+        /** The token's user: { accountId, displayName } (accountId is the user key on Data Center). */
+        async getMyself() {
+            const me = (await request("GET", `${api}/myself`)) ?? {};
+            return { accountId: me.accountId ?? me.key ?? me.name ?? "", displayName: me.displayName ?? "" };
+        },
+
+        /** Issues ({ id, key, fields }) matching `jql`; Cloud pages by token, Data Center by startAt. */
+        async searchIssues(jql, fields = ["key"]) {
+            if (server) return paginate(`${api}/search`, { key: "issues", query: { jql, fields: fields.join(",") } });
+            const issues = [];
+            let nextPageToken;
+            do {
+                const page = await request("GET", `${api}/search/jql`, { query: { jql, fields: fields.join(","), maxResults: 100, nextPageToken } });
+                issues.push(...(page?.issues ?? []));
+                nextPageToken = page?.nextPageToken;
+            } while (nextPageToken);
+            return issues;
+        },
+
+        /** Fields the user can edit on an issue, by id ({ name, schema, allowedValues }). */
+        async getEditMeta(issueKey) {
+            return (await request("GET", `${issuePath(issueKey)}/editmeta`))?.fields ?? {};
+        },
+
+        /** All issue fields ({ id, name, schema }), system and custom. */
+        async getFields() {
+            return (await request("GET", `${api}/field`)) ?? [];
+        },
+
+        /** Available transitions; each carries its screen fields (required, schema, allowedValues). */
+        async getTransitions(issueKey) {
+            const json = await request("GET", `${issuePath(issueKey)}/transitions`, { query: { expand: "transitions.fields" } });
+            return json?.transitions ?? [];
+        },
+
+        /** `fields` / `update` fill the transition screen (resolution, fixVersions, comment...). */
+        async transition(issueKey, transitionId, screen = {}) {
+            await request("POST", `${issuePath(issueKey)}/transitions`, { body: transitionBody(transitionId, screen) });
+        },
+
+        async updateIssue(issueKey, body) {
+            await request("PUT", issuePath(issueKey), { body });
+        },
+
+        /** Posts a comment (ADF document on Cloud, wiki markup string on Data Center); resolves to it (with id). */
+        async addComment(issueKey, body) {
+            return (await request("POST", `${issuePath(issueKey)}/comment`, { body: { body } })) ?? {};
+        },
+
+        /** Deletes a comment; resolves to false when it no longer exists. */
+        async deleteComment(issueKey, commentId) {
+            try {
+                await request("DELETE", `${issuePath(issueKey)}/comment/${encodeURIComponent(commentId)}`);
+                return true;
+            } catch (e) {
+                if (e.status === 404) return false;
+                throw e;
+            }
+        },
+
+        /** Every worklog of an issue ({ id, author, started, timeSpentSeconds, ... }). */
+        async getWorklogs(issueKey) {
+            return paginate(`${issuePath(issueKey)}/worklog`, { key: "worklogs", pageSize: 100 });
+        },
+
+        /**
+         * Creates a worklog ({ started, timeSpentSeconds, comment? }); resolves to it (with id).
+         * adjustEstimate: "auto" lowers the remaining estimate by the time spent, "leave" keeps it.
+         */
+        async addWorklog(issueKey, body, { adjustEstimate = "auto" } = {}) {
+            return (await request("POST", `${issuePath(issueKey)}/worklog`, { body, query: { adjustEstimate } })) ?? {};
+        },
+
+        /** Deletes a worklog ("auto" gives its time back to the estimate); resolves to false when it no longer exists. */
+        async deleteWorklog(issueKey, worklogId, { adjustEstimate = "auto" } = {}) {
+            try {
+                await request("DELETE", `${issuePath(issueKey)}/worklog/${encodeURIComponent(worklogId)}`, { query: { adjustEstimate } });
+                return true;
+            } catch (e) {
+                if (e.status === 404) return false;
+                throw e;
+            }
+        },
+
+        /** Value of an issue property, or null when it was never set. */
+        async getIssueProperty(issueKey, propertyKey) {
+            try {
+                const json = await request("GET", `${issuePath(issueKey)}/properties/${encodeURIComponent(propertyKey)}`);
+                return json?.value ?? null;
+            } catch (e) {
+                if (e.status === 404) return null; // property not set yet
+                throw e;
+            }
+        },
+
+        async setIssueProperty(issueKey, propertyKey, value) {
+            await request("PUT", `${issuePath(issueKey)}/properties/${encodeURIComponent(propertyKey)}`, { body: value });
+        },
+    };
+}
+
+export default { createJiraClient, matchTransition, transitionBody, parseRetryAfter, JiraError };
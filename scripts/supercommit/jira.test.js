@@ -0,0 +1,118 @@
+﻿// scripts/supercommit/jira.test.js
+// Node 20+, ESM using node:test
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createJiraClient, matchTransition, parseRetryAfter, JiraError } from "./jira.js";
+
+// fetch stand-in: answers from a queue of [status, body, headers] and records calls
+function fakeFetch(responses) {
+    const calls = [];
+    const impl = async (url, init) => {
+        calls.push({ url, method: init.method, body: init.body, auth: init.headers.Authorization });
+        const next = responses.shift();
+        if (next instanceof Error) throw next;
+        const [status, body, headers = {}] = next;
+        return new Response(body == null ? null : JSON.stringify(body), { status, headers });
+    };
+    return { impl, calls };
+}
+
+function client(responses, opts = {}) {
+    const f = fakeFetch(responses);
+    const waits = [];
+    const c = createJiraClient({
+        baseUrl: "https://x.atlassian.net/",
+        email: "a@b.c",
+        token: "t",
+        fetch: f.impl,
+        sleep: async (ms) => { waits.push(ms); },
+        ...opts,
+    });
+    return { c, calls: f.calls, waits };
+}
+
+test("auth header, JSON body and parsed response", async () => {
+    const { c, calls } = client([[200, { id: "10001", key: "PAY-1", fields: { status: { name: "Build" } } }]]);
+    const issue = await c.getIssue("PAY-1");
+    assert.deepEqual([issue.id, issue.status], ["10001", "Build"]);
+    assert.equal(calls[0].url, "https://x.atlassian.net/rest/api/3/issue/PAY-1?fields=status");
+    assert.equal(calls[0].auth, `Basic ${Buffer.from("a@b.c:t").toString("base64")}`);
+});
+
+test("429 is retried after Retry-After, then succeeds", async () => {
+    const { c, calls, waits } = client([[429, null, { "retry-after": "2" }], [200, { transitions: [] }]]);
+    assert.deepEqual(await c.getTransitions("PAY-1"), []);
+    assert.equal(calls.length, 2);
+    assert.deepEqual(waits, [2000]);
+});
+
+test("5xx retries GET but never POST", async () => {
+    const get = client([[502, null], [503, null], [200, { value: 1 }]]);
+    assert.equal(await get.c.getIssueProperty("PAY-1", "k"), 1);
+    assert.equal(get.calls.length, 3);
+
+    const post = client([[500, { errorMessages: ["boom"] }]]);
+    await assert.rejects(post.c.addComment("PAY-1", { type: "doc", version: 1, content: [] }), (e) => {
+        assert.ok(e instanceof JiraError);
+        assert.equal(e.status, 500);
+        assert.deepEqual(e.jiraMessages, ["boom"]);
+        return true;
+    });
+    assert.equal(post.calls.length, 1);
+});
+
+test("retries stop at maxRetries; 4xx is not retried", async () => {
+    const { c, calls } = client([[503, null], [503, null], [503, null]], { maxRetries: 2 });
+    await assert.rejects(c.get("/rest/api/3/myself"), { name: "JiraError", status: 503 });
+    assert.equal(calls.length, 3);
+
+    const bad = client([[400, { errors: { customfield_1: "Option not valid" } }]]);
+    await assert.rejects(bad.c.updateIssue("PAY-1", { fields: {} }), (e) => e.status === 400 && e.jiraMessages[0] === "customfield_1: Option not valid");
+    assert.equal(bad.calls.length, 1);
+});
+
+test("network errors and timeouts become JiraError without status", async () => {
+    const { c } = client([new TypeError("fetch failed")], { maxRetries: 0 });
+    await assert.rejects(c.get("/x"), { name: "JiraError", status: 0, code: "NETWORK" });
+
+    const slow = createJiraClient({
+        baseUrl: "https://x", email: "e", token: "t", timeoutMs: 20, maxRetries: 0,
+        // the pending timer keeps the event loop alive (AbortSignal.timeout's own timer does not)
+        fetch: (url, init) => new Promise((_, reject) => {
+            const hang = setTimeout(() => reject(new Error("not aborted")), 5000);
+            init.signal.addEventListener("abort", () => { clearTimeout(hang); reject(init.signal.reason); });
+        }),
+    });
+    await assert.rejects(slow.get("/x"), { code: "TIMEOUT" });
+});
+
+test("issue property 404 -> null", async () => {
+    const { c } = client([[404, { errorMessages: ["not found"] }]]);
+    assert.equal(await c.getIssueProperty("PAY-1", "supercommit.ledger"), null);
+});
+
+test("paginate follows startAt until total", async () => {
+    const { c, calls } = client([
+        [200, { startAt: 0, maxResults: 2, total: 3, values: [1, 2] }],
+        [200, { startAt: 2, maxResults: 2, total: 3, values: [3] }],
+    ]);
+    assert.deepEqual(await c.paginate("/rest/api/3/project/search", { pageSize: 2 }), [1, 2, 3]);
+    assert.match(calls[1].url, /startAt=2&maxResults=2/);
+});
+
+test("parseRetryAfter accepts seconds and HTTP dates", () => {
+    assert.equal(parseRetryAfter("3"), 3000);
+    assert.equal(parseRetryAfter(new Date(10_000).toUTCString(), 4_000), 6000);
+    assert.equal(parseRetryAfter("soon"), null);
+});
+
+test("matchTransition: target status, then transition name, then partial name", () => {
+    const ts = [
+        { id: "11", name: "Start work", to: { name: "In Progress" } },
+        { id: "21", name: "Send to QA", to: { name: "Validate Test" } },
+    ];
+    assert.equal(matchTransition(ts, "validate test").id, "21");
+    assert.equal(matchTransition(ts, "Start work").id, "11");
+    assert.equal(matchTransition(ts, "QA").id, "21");
+    assert.equal(matchTransition(ts, "Done"), null);
+});
@@ -0,0 +1,120 @@
+﻿// scripts/supercommit/jiraWorklog.js
+// Node 20+, ESM.
+// Worklogs in Jira itself (issue/{key}/worklog), for projects without Tempo: log.backend
+// "jira", or "auto" when no Tempo token is set. Takes the same date, start time and seconds
+// as logTempoWorklog() in logTempo.js, dry-runs the same way, and lists worklogs in Tempo's
+// shape so the overlap check (timesheet.js) and the guard treat both backends alike.
+//
+// Jira books every worklog as the user of the Jira token; it has no way to book for someone
+// else. The comment is ADF on Cloud and wiki markup on Data Center (COMMENT markup either way).
+
+import { buildCommentDoc } from "./adf.js";
+import { buildCommentWiki } from "./wiki.js";
+
+/** "2025-10-01T09:00:00.000+0530": Jira's `started` for a local day, time and UTC offset. */
+export function jiraStarted(startDate, startTime = "09:00:00", utcOffset = "+00:00") {
+    const time = /^\d{2}:\d{2}$/.test(startTime) ? `${startTime}:00` : startTime;
+    return `${startDate}T${time}.000${utcOffset.replace(":", "")}`;
+}
+
+/** The request logJiraWorklog() sends: { method, url, body } (same options, without dryRun). */
+export function jiraWorklogRequest({ jira, issueKey, startDate, startTime = "09:00:00", utcOffset = "+00:00", timeSpentSeconds, comment = "", adjustEstimate = "auto" }) {
+    if (!issueKey) throw new Error("Jira worklog requires issueKey.");
+    if (!startDate) throw new Error("Jira worklog requires startDate.");
+    if (!timeSpentSeconds) throw new Error("Jira worklog requires timeSpentSeconds.");
+
+    const body = {
+        started: jiraStarted(startDate, startTime, utcOffset),
+        timeSpentSeconds: Math.round(Number(timeSpentSeconds)),
+    };
+    if (String(comment).trim()) {
+        body.comment = jira.deployment === "datacenter"
+            ? buildCommentWiki(comment)
+            : buildCommentDoc(comment, { jiraBaseUrl: jira.baseUrl });
+    }
+    const url = `${jira.apiBase}/issue/${encodeURIComponent(issueKey)}/worklog?${new URLSearchParams({ adjustEstimate })}`;
+    return { method: "POST", url, body };
+}
+
+/**
+ * Create a Jira worklog using seconds + date.
+ * @param {object} opts
+ * @param {object} opts.jira               client from jira.js
+ * @param {string} [opts.adjustEstimate]   "auto" (lower the remaining estimate) or "leave"
+ */
+export async function logJiraWorklog({
+    jira,
+    issueKey,                 // e.g., "PEB-4"
+    startDate,                // yyyy-mm-dd
+    startTime = "09:00:00",   // hh:mm:ss
+    utcOffset = "+00:00",     // offset of the author's day, e.g. "+05:30"
+    timeSpentSeconds,         // integer seconds
+    comment = "",             // COMMENT markup
+    adjustEstimate = "auto",
+    dryRun = false
+}) {
+    const { body } = jiraWorklogRequest({ jira, issueKey, startDate, startTime, utcOffset, timeSpentSeconds, comment, adjustEstimate });
+
+    if (dryRun) {
+        console.log(`[Jira][DRY_RUN] Would create worklog:`, {
+            issue: issueKey,
+            startDate,
+            startTime,
+            timeSpentSeconds: body.timeSpentSeconds,
+            adjustEstimate,
+            comment: String(comment)
+        });
+        return { dryRun: true };
+    }
+
+    const json = await jira.addWorklog(issueKey, body, { adjustEstimate });
+    console.log(
+        `[Jira] Worklog created: id=${json?.id ?? "unknown"} issue=${issueKey} secs=${body.timeSpentSeconds} date=${startDate}`
+    );
+    return json;
+}
+
+/**
+ * The token user's Jira worklogs between two dates (yyyy-mm-dd, inclusive), as
+ * { id, startDate, startTime, timeSpentSeconds, issue: { id } } like listTempoWorklogs().
+ */
+export async function listJiraWorklogs({ jira, from, to = from }) {
+    const me = await jira.getMyself();
+    const issues = await jira.searchIssues(`worklogAuthor = currentUser() AND worklogDate >= "${from}" AND worklogDate <= "${to}"`);
+    const results = [];
+    for (const issue of issues) {
+        for (const w of await jira.getWorklogs(issue.key)) {
+            const author = w.author?.accountId ?? w.author?.key ?? w.author?.name;
+            const startDate = String(w.started ?? "").slice(0, 10);
+            if (author !== me.accountId || startDate < from || startDate > to) continue;
+            results.push({
+                id: String(w.id),
+                startDate,
+                startTime: String(w.started).slice(11, 19),
+                timeSpentSeconds: Number(w.timeSpentSeconds || 0),
+                issue: { id: String(w.issueId ?? issue.id), key: issue.key },
+            });
+        }
+    }
+    return results;
+}
+
+/**
+ * Delete a Jira worklog (used when a Super Commit is reverted).
+ * Resolves to { deleted: true }, { notFound: true } when it is already gone, or { dryRun: true }.
+ */
+export async function deleteJiraWorklog({ jira, issueKey, worklogId, adjustEstimate = "auto", dryRun = false }) {
+    if (!worklogId) throw new Error("Jira worklog id missing.");
+    if (dryRun) {
+        console.log(`[Jira][DRY_RUN] Would delete worklog id=${worklogId} on ${issueKey}`);
+        return { dryRun: true };
+    }
+    if (!(await jira.deleteWorklog(issueKey, worklogId, { adjustEstimate }))) {
+        console.warn(`[Jira] Worklog id=${worklogId} on ${issueKey} not found; already deleted.`);
+        return { notFound: true };
+    }
+    console.log(`[Jira] Worklog deleted: id=${worklogId} issue=${issueKey}`);
+    return { deleted: true };
+}
+
+export default { logJiraWorklog, jiraWorklogRequest, listJiraWorklogs, deleteJiraWorklog, jiraStarted };
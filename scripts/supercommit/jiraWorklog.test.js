@@ -0,0 +1,66 @@
+// scripts/supercommit/jiraWorklog.test.js
+// Node 20+, ESM using node:test
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createJiraClient } from "./jira.js";
+import { logJiraWorklog, jiraWorklogRequest, listJiraWorklogs, deleteJiraWorklog, jiraStarted } from "./jiraWorklog.js";
+
+// Jira client over a fetch stand-in that answers by "METHOD /path" and records calls
+function jiraWith(routes) {
+    const calls = [];
+    const fetch = async (url, init) => {
+        const u = new URL(url);
+        calls.push({ method: init.method, path: u.pathname, query: Object.fromEntries(u.searchParams), body: init.body ? JSON.parse(init.body) : null });
+        const body = routes[`${init.method} ${u.pathname}`];
+        return body === undefined ? new Response(null, { status: 404 }) : new Response(body == null ? null : JSON.stringify(body), { status: body == null ? 204 : 200 });
+    };
+    return { jira: createJiraClient({ baseUrl: "https://x.atlassian.net", email: "a@b.c", token: "t", fetch, maxRetries: 0 }), calls };
+}
+
+test("a LOG becomes a Jira worklog with an ADF comment and an estimate adjustment", async () => {
+    assert.equal(jiraStarted("2025-10-01", "09:30", "+05:30"), "2025-10-01T09:30:00.000+0530");
+
+    const { jira, calls } = jiraWith({ "POST /rest/api/3/issue/PAY-1/worklog": { id: "300" } });
+    const created = await logJiraWorklog({
+        jira, issueKey: "PAY-1", startDate: "2025-10-01", startTime: "10:00:00", utcOffset: "-04:00",
+        timeSpentSeconds: 5400, comment: "**Refactor** done", adjustEstimate: "leave",
+    });
+    assert.equal(created.id, "300");
+    assert.equal(calls[0].query.adjustEstimate, "leave");
+    assert.equal(calls[0].body.started, "2025-10-01T10:00:00.000-0400");
+    assert.equal(calls[0].body.timeSpentSeconds, 5400);
+    assert.equal(calls[0].body.comment.type, "doc");
+    assert.deepEqual(calls[0].body.comment.content[0].content[0], { type: "text", text: "Refactor", marks: [{ type: "strong" }] });
+
+    const planned = jiraWorklogRequest({ jira, issueKey: "PAY-1", startDate: "2025-10-01", startTime: "10:00:00", utcOffset: "-04:00", timeSpentSeconds: 5400 });
+    assert.equal(`${planned.method} ${planned.url}`, "POST https://x.atlassian.net/rest/api/3/issue/PAY-1/worklog?adjustEstimate=auto");
+    assert.deepEqual(planned.body, { started: "2025-10-01T10:00:00.000-0400", timeSpentSeconds: 5400 });
+
+    assert.deepEqual(await logJiraWorklog({ jira, issueKey: "PAY-1", startDate: "2025-10-01", timeSpentSeconds: 60, dryRun: true }), { dryRun: true });
+    assert.deepEqual(await deleteJiraWorklog({ jira, issueKey: "PAY-1", worklogId: "300", dryRun: true }), { dryRun: true });
+    assert.equal(calls.length, 1);
+});
+
+test("the token user's worklogs of a day, in Tempo's shape", async () => {
+    const { jira, calls } = jiraWith({
+        "GET /rest/api/3/myself": { accountId: "557058:me" },
+        "GET /rest/api/3/search/jql": { issues: [{ id: "10001", key: "PAY-1" }] },
+        "GET /rest/api/3/issue/PAY-1/worklog": {
+            total: 3,
+            worklogs: [
+                { id: "1", issueId: "10001", author: { accountId: "557058:me" }, started: "2025-10-01T09:00:00.000+0200", timeSpentSeconds: 3600 },
+                { id: "2", issueId: "10001", author: { accountId: "557058:bo" }, started: "2025-10-01T11:00:00.000+0200", timeSpentSeconds: 3600 },
+                { id: "3", issueId: "10001", author: { accountId: "557058:me" }, started: "2025-09-30T09:00:00.000+0200", timeSpentSeconds: 3600 },
+            ],
+        },
+        "DELETE /rest/api/3/issue/PAY-1/worklog/1": null,
+    });
+    assert.deepEqual(await listJiraWorklogs({ jira, from: "2025-10-01" }), [
+        { id: "1", startDate: "2025-10-01", startTime: "09:00:00", timeSpentSeconds: 3600, issue: { id: "10001", key: "PAY-1" } },
+    ]);
+    assert.match(calls[1].query.jql, /worklogAuthor = currentUser\(\) AND worklogDate >= "2025-10-01" AND worklogDate <= "2025-10-01"/);
+
+    assert.deepEqual(await deleteJiraWorklog({ jira, issueKey: "PAY-1", worklogId: "1" }), { deleted: true });
+    assert.equal(calls.at(-1).query.adjustEstimate, "auto");
+    assert.deepEqual(await deleteJiraWorklog({ jira, issueKey: "PAY-1", worklogId: "9" }), { notFound: true });
+});
@@ -0,0 +1,198 @@
+﻿// scripts/supercommit/ledger.js
+// Node 20+, ESM.
+// Idempotency ledger: remembers which actions (ready, transition, tempo, comment)
+// were already applied for a commit SHA + issue, so replays (re-runs, force-pushes,
+// `git cherry-pick -x`) do not book time or post comments twice.
+//
+// Stores:
+//   - "jira": issue property `supercommit.ledger` on each issue (default; survives CI runs)
+//   - "file": local JSON file, for self-hosted runners or local runs
+//   - "off":  no ledger; every action is applied
+//
+// Shape of a per-issue entry: { [sha]: { [action]: { at, ...detail } } }
+// Nothing recorded yet (no issue property, no file) reads as an empty entry. Any other read
+// failure throws LedgerReadError: without the ledger a replay would book and post twice.
+// A `git revert` of a Super Commit looks its actions up here to undo them. Each undo is recorded
+// on the revert commit as its own action ("revert:worklog", "revert:comment", "revert:transition"),
+// so a re-run retries only the undos that did not go through.
+
+import fs from "node:fs";
+import path from "node:path";
+
+export const LEDGER_ACTIONS = ["ready", "transition", "tempo", "comment", "revert"];
+export const LEDGER_PROPERTY_KEY = "supercommit.ledger";
+// What a revert undoes, each recorded as "revert:<undo>"
+export const REVERT_UNDOS = ["worklog", "comment", "transition"];
+
+// Jira issue properties are limited to 32 KB; keep the newest commits only.
+const MAX_COMMITS_PER_ISSUE = 50;
+
+/** SHAs named by `git cherry-pick -x` trailers: "(cherry picked from commit <sha>)". */
+export function cherryPickSources(message) {
+    const re = /\(cherry picked from commit ([0-9a-f]{7,40})\)/gi;
+    return [...String(message ?? "").matchAll(re)].map(m => m[1].toLowerCase());
+}
+
+/**
+ * Commit undone by a `git revert` message: { sha, subject } from `Revert "<subject>"`
+ * and "This reverts commit <sha>." (sha is "" when that line was edited away), or null.
+ */
+export function revertedCommit(message) {
+    const text = String(message ?? "").replace(/\r/g, "");
+    const m = /^Revert "(.*)"$/.exec(text.split("\n")[0].trim());
+    if (!m) return null;
+    const sha = /This reverts commit ([0-9a-f]{7,40})\b/i.exec(text)?.[1]?.toLowerCase() ?? "";
+    return { sha, subject: m[1] };
+}
+
+/** The ledger of an issue could not be read; what it guards must not be applied. */
+export class LedgerReadError extends Error {
+    constructor(issueKey, cause) {
+        super(`could not read the ledger of ${issueKey} (${cause?.message ?? cause}); not applied, so nothing is booked or posted twice`);
+        this.name = "LedgerReadError";
+        this.issueKey = issueKey;
+        this.cause = cause;
+    }
+}
+
+function prune(issueEntry) {
+    const shas = Object.keys(issueEntry);
+    if (shas.length <= MAX_COMMITS_PER_ISSUE) return issueEntry;
+    const newestAt = (sha) => Math.max(...Object.values(issueEntry[sha]).map(a => Date.parse(a?.at) || 0));
+    const keep = shas.sort((a, b) => newestAt(b) - newestAt(a)).slice(0, MAX_COMMITS_PER_ISSUE);
+    return Object.fromEntries(keep.map(sha => [sha, issueEntry[sha]]));
+}
+
+function fileStore(filePath) {
+    let data = null;
+    const load = () => {
+        if (data) return data;
+        try {
+            data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+        } catch (e) {
+            if (e.code !== "ENOENT") throw new Error(`${filePath}: ${e.message}`);
+            data = {};
+        }
+        data.issues ??= {};
+        return data;
+    };
+    return {
+        async read(issueKey) {
+            return load().issues[issueKey] ?? {};
+        },
+        async write(issueKey, entry) {
+            load().issues[issueKey] = entry;
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, JSON.stringify({ version: 1, ...data }, null, 2));
+        },
+    };
+}
+
+function jiraStore(jira) {
+    return {
+        async read(issueKey) {
+            const value = await jira.getIssueProperty(issueKey, LEDGER_PROPERTY_KEY);
+            return value?.commits ?? {};
+        },
+        async write(issueKey, entry) {
+            await jira.setIssueProperty(issueKey, LEDGER_PROPERTY_KEY, { version: 1, commits: entry });
+        },
+    };
+}
+
+/**
+ * Create a ledger.
+ *   kind:  "jira" | "file" | "off"
+ *   file:  path for the file store
+ *   jira:  { getIssueProperty(key, prop), setIssueProperty(key, prop, value) } for the jira store
+ *   force: ignore recorded actions (they are still recorded again)
+ *   readOnly: consult the ledger but never write it (dry runs)
+ */
+export function createLedger({ kind = "jira", file = ".supercommit/ledger.json", jira, force = false, readOnly = false } = {}) {
+    const k = String(kind || "off").trim().toLowerCase();
+    if (!["jira", "file", "off"].includes(k)) {
+        throw new Error(`[Ledger] Unknown ledger store "${kind}" (expected jira, file or off).`);
+    }
+    if (k === "jira" && !jira) throw new Error("[Ledger] The jira store needs a Jira accessor.");
+
+    const store = k === "jira" ? jiraStore(jira) : k === "file" ? fileStore(file) : null;
+    const cache = new Map(); // issueKey -> entry, or the LedgerReadError it gave
+
+    const entryFor = async (issueKey) => {
+        if (!cache.has(issueKey)) {
+            try {
+                cache.set(issueKey, await store.read(issueKey));
+            } catch (e) {
+                console.error(`[Ledger][ERROR] Could not read ledger for ${issueKey}: ${e.message}. Its actions are not applied.`);
+                cache.set(issueKey, new LedgerReadError(issueKey, e));
+            }
+        }
+        const entry = cache.get(issueKey);
+        if (entry instanceof LedgerReadError) throw entry;
+        return entry;
+    };
+
+    return {
+        kind: k,
+        force,
+
+        /** Recorded detail for the first of `shas` that has `action`, or null. Ignores `force`; throws LedgerReadError. */
+        async lookup(shas, issueKey, action) {
+            if (!store) return null;
+            const entry = await entryFor(issueKey);
+            for (const sha of [].concat(shas).filter(Boolean)) {
+                const hit = entry[sha.toLowerCase()]?.[action];
+                if (hit) return { sha: sha.toLowerCase(), ...hit };
+            }
+            return null;
+        },
+
+        /** True when the action was already applied for any of `shas` and --force is not set; throws LedgerReadError. */
+        async has(shas, issueKey, action) {
+            if (force) return false;
+            return !!(await this.lookup(shas, issueKey, action));
+        },
+
+        /**
+         * Undos (REVERT_UNDOS) already recorded for the revert commit `shas`, as a Set; empty with
+         * --force. A "revert" entry of older runs counts for the undos it lists.
+         */
+        async undone(shas, issueKey) {
+            const done = new Set();
+            if (!store || force) return done;
+            const legacy = await this.lookup(shas, issueKey, "revert");
+            for (const what of REVERT_UNDOS) {
+                if (legacy?.[what] !== undefined || (await this.lookup(shas, issueKey, `revert:${what}`))) done.add(what);
+            }
+            return done;
+        },
+
+        /** Record one undo of a revert (see undone). */
+        async recordUndo(sha, issueKey, what, detail = {}) {
+            await this.record(sha, issueKey, `revert:${what}`, detail);
+        },
+
+        async record(sha, issueKey, action, detail = {}) {
+            if (!store || !sha || readOnly) return;
+            let entry;
+            try {
+                entry = await entryFor(issueKey);
+            } catch {
+                // writing now would replace what the store holds with this one entry
+                console.warn(`[Ledger][WARN] ${action} for ${issueKey}@${sha.slice(0, 7)} not recorded: the ledger could not be read.`);
+                return;
+            }
+            const key = sha.toLowerCase();
+            entry[key] = { ...(entry[key] ?? {}), [action]: { at: new Date().toISOString(), ...detail } };
+            const pruned = prune(entry);
+            cache.set(issueKey, pruned);
+            try {
+                await store.write(issueKey, pruned);
+            } catch (e) {
+                console.warn(`[Ledger][WARN] Could not record ${action} for ${issueKey}@${key.slice(0, 7)}: ${e.message}`);
+            }
+        },
+    };
+}
+
+export default { createLedger, cherryPickSources, revertedCommit, LedgerReadError, LEDGER_ACTIONS, LEDGER_PROPERTY_KEY, REVERT_UNDOS };
@@ -0,0 +1,124 @@
+﻿// scripts/supercommit/ledger.test.js
+// Node 20+, ESM using node:test
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createLedger, cherryPickSources, revertedCommit, LedgerReadError, LEDGER_PROPERTY_KEY } from "./ledger.js";
+
+const SHA = "a".repeat(40);
+const OTHER = "b".repeat(40);
+
+function tmpFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sc-ledger-"));
+    return path.join(dir, "ledger.json");
+}
+
+test("file store: records, persists and skips on replay", async () => {
+    const file = tmpFile();
+    const first = createLedger({ kind: "file", file });
+    assert.equal(await first.has([SHA], "PAY-1", "tempo"), false);
+    await first.record(SHA, "PAY-1", "tempo", { id: "123" });
+
+    const replay = createLedger({ kind: "file", file });
+    assert.equal(await replay.has([SHA], "PAY-1", "tempo"), true);
+    assert.equal(await replay.has([SHA], "PAY-1", "comment"), false);
+    assert.equal(await replay.has([SHA], "PAY-2", "tempo"), false);
+    assert.equal((await replay.lookup([SHA], "PAY-1", "tempo")).id, "123");
+});
+
+test("force ignores recorded actions", async () => {
+    const file = tmpFile();
+    await createLedger({ kind: "file", file }).record(SHA, "PAY-1", "comment", { id: "9" });
+    const forced = createLedger({ kind: "file", file, force: true });
+    assert.equal(await forced.has([SHA], "PAY-1", "comment"), false);
+});
+
+test("readOnly never writes", async () => {
+    const file = tmpFile();
+    await createLedger({ kind: "file", file, readOnly: true }).record(SHA, "PAY-1", "ready");
+    assert.equal(fs.existsSync(file), false);
+});
+
+test("jira store uses the issue property", async () => {
+    const props = new Map();
+    const jira = {
+        async getIssueProperty(key, prop) { return props.get(`${key}/${prop}`) ?? null; },
+        async setIssueProperty(key, prop, value) { props.set(`${key}/${prop}`, value); },
+    };
+    await createLedger({ kind: "jira", jira }).record(SHA, "PAY-1", "transition", { id: "31" });
+    assert.equal(props.get(`PAY-1/${LEDGER_PROPERTY_KEY}`).commits[SHA].transition.id, "31");
+    assert.equal(await createLedger({ kind: "jira", jira }).has([SHA], "PAY-1", "transition"), true);
+});
+
+test("an unreadable ledger fails instead of reading as empty; a missing one is empty", async () => {
+    let status = 503;
+    const jira = {
+        async getIssueProperty() {
+            if (status === 404) return null; // jira.js maps 404 to null
+            throw Object.assign(new Error(`HTTP ${status}`), { status });
+        },
+        async setIssueProperty() { throw new Error("must not write over an unread ledger"); },
+    };
+    const ledger = createLedger({ kind: "jira", jira });
+    await assert.rejects(ledger.has([SHA], "PAY-1", "tempo"), LedgerReadError);
+    await assert.rejects(ledger.lookup([SHA], "PAY-1", "comment"), /could not read the ledger of PAY-1 \(HTTP 503\)/);
+    await ledger.record(SHA, "PAY-1", "tempo", { id: "1" }); // warns, writes nothing
+    status = 404;
+    assert.equal(await createLedger({ kind: "jira", jira }).has([SHA], "PAY-2", "tempo"), false);
+
+    const file = tmpFile();
+    fs.writeFileSync(file, "{ truncated");
+    await assert.rejects(createLedger({ kind: "file", file }).has([SHA], "PAY-1", "tempo"), LedgerReadError);
+    await createLedger({ kind: "file", file }).record(SHA, "PAY-1", "tempo", { id: "1" });
+    assert.equal(fs.readFileSync(file, "utf8"), "{ truncated");
+});
+
+test("cherry-picked commits share their source's entries", async () => {
+    const file = tmpFile();
+    await createLedger({ kind: "file", file }).record(SHA, "PAY-1", "tempo", { id: "1" });
+    const msg = `PAY-1 LOG:1h\n\n(cherry picked from commit ${SHA})`;
+    assert.deepEqual(cherryPickSources(msg), [SHA]);
+    assert.equal(await createLedger({ kind: "file", file }).has([OTHER, ...cherryPickSources(msg)], "PAY-1", "tempo"), true);
+});
+
+test("a revert whose second undo failed retries only that undo", async () => {
+    const file = tmpFile();
+    const undos = { worklog: "1001", comment: "200" };
+
+    // a revert run: each undo that succeeds is recorded; the comment delete fails
+    const revertRun = async (failing) => {
+        const ledger = createLedger({ kind: "file", file });
+        const done = await ledger.undone([OTHER], "PAY-1");
+        const tried = [];
+        for (const [what, id] of Object.entries(undos)) {
+            if (done.has(what)) continue;
+            tried.push(what);
+            if (what !== failing) await ledger.recordUndo(OTHER, "PAY-1", what, { of: SHA, [what]: id });
+        }
+        return tried;
+    };
+
+    assert.deepEqual(await revertRun("comment"), ["worklog", "comment"]);
+    assert.deepEqual(await revertRun(null), ["comment"]);
+    assert.deepEqual(await revertRun(null), []);
+    assert.deepEqual([...await createLedger({ kind: "file", file, force: true }).undone([OTHER], "PAY-1")], []);
+});
+
+test("a revert entry of older runs counts for the undos it lists", async () => {
+    const file = tmpFile();
+    await createLedger({ kind: "file", file }).record(OTHER, "PAY-1", "revert", { of: SHA, worklog: "1001" });
+    assert.deepEqual([...await createLedger({ kind: "file", file }).undone([OTHER], "PAY-1")], ["worklog"]);
+});
+
+test("unknown store -> error", () => {
+    assert.throws(() => createLedger({ kind: "redis" }), /Unknown ledger store/);
+});
+
+test("revertedCommit reads git revert messages", () => {
+    const msg = `Revert "PAY-101 LOG:2h@2025-10-01"\n\nThis reverts commit ${SHA}.`;
+    assert.deepEqual(revertedCommit(msg), { sha: SHA, subject: "PAY-101 LOG:2h@2025-10-01" });
+    assert.deepEqual(revertedCommit('Revert "PAY-101 LOG:2h"'), { sha: "", subject: "PAY-101 LOG:2h" });
+    assert.equal(revertedCommit("PAY-101 Revert the refund flow"), null);
+});
@@ -0,0 +1,195 @@
+﻿// scripts/supercommit/lint.js
+// Node 20+, ESM. Fully offline: no network, no env.
+// Explains the parser's diagnostics (analyzeCommitMessage) with a caret under the
+// offending part of the first line and a suggested fix.
+//
+// Returns from lintCommitMessage: { ok, firstLine, lines, parsed, problems: [{ code, severity, message, line, start, end, hint }] }
+// (line is 1-based into lines, lines[0] being the sanitized first line; start/end are 0-based
+// columns, end exclusive). Warnings fail the lint too: they mark text that CI would silently ignore.
+
+import { analyzeCommitMessage, looksLikeSuperCommit, sanitizeFirstLine, findTokens, parseTrailers, parseConventionalHeader, TOKEN_NAMES, TRAILER_TOKENS, DIAGNOSTIC_CODES as C } from "./parse.js";
+
+const TOKEN_ALT = TOKEN_NAMES.join("|");
+
+function editDistance(a, b) {
+    const dp = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) dp[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            dp[i][j] = Math.min(
+                dp[i - 1][j] + 1,
+                dp[i][j - 1] + 1,
+                dp[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+    }
+    return dp[a.length][b.length];
+}
+
+function closestToken(name) {
+    const best = TOKEN_NAMES
+        .map(t => ({ t, d: editDistance(name.toUpperCase(), t) }))
+        .sort((x, y) => x.d - y.d)[0];
+    // one typo for short names (FOO: is not LOG:), two for longer ones
+    return best && best.d <= (name.length <= 4 ? 1 : 2) ? best.t : null;
+}
+
+/** Best-effort rewrite of a LOG value into a form the parser accepts (`prefix` is LOG: or Time-Spent: ). */
+export function suggestLog(raw, prefix = "LOG:") {
+    const at = raw.indexOf("@");
+    let time = (at >= 0 ? raw.slice(0, at) : raw).trim();
+    let date = at >= 0 ? raw.slice(at + 1).trim() : null;
+
+    let m;
+    if ((m = /^(\d+(?:\.\d+)?)\s*(?:hrs?|hours?)?$/i.exec(time))) time = `${m[1]}h`;
+    else if ((m = /^(\d+)\s*(?:mins?|minutes?)$/i.exec(time))) time = `${m[1]}m`;
+    else if ((m = /^(\d+)h\s*(\d{1,2})m$/i.exec(time))) time = `${m[1]}:${m[2].padStart(2, "0")}`;
+
+    if (date && (m = /^(\d{4})[/.](\d{1,2})[/.](\d{1,2})$/.exec(date))) {
+        date = `${m[1]}-${m[2].padStart(2, "0")}-${m[3].padStart(2, "0")}`;
+    }
+    const fixed = `${time}${date ? `@${date}` : ""}`;
+    return fixed !== raw ? `did you mean ${prefix}${fixed}?` : null;
+}
+
+/** Suggested fix for a diagnostic, or null. `line` is the text of the diagnostic's line. */
+function hintFor(d, line, tokens, mode = "strict") {
+    // LOG value and how to write it, from the first line or from a Time-Spent trailer
+    const trailer = d.line > 1 ? /^([A-Za-z0-9-]+):\s*(.*)$/.exec(line ?? "") : null;
+    const log = trailer
+        ? { value: trailer[2].trim(), prefix: `${trailer[1]}: ` }
+        : { value: tokens.find(t => t.name === "LOG")?.value, prefix: "LOG:" };
+    switch (d.code) {
+        case C.EMPTY_MESSAGE:
+            return "write PAY-101 followed by tokens, e.g. PAY-101 LOG:1h";
+        case C.MISSING_ISSUE_KEY: {
+            if (d.line > 1) return "list keys like Jira-Issue: PAY-101, PAY-102";
+            const header = mode === "conventional" ? parseConventionalHeader(line) : null;
+            if (header) return `put the key in the scope, e.g. ${header.type}(PAY-101): ${header.description}, or add a Refs: PAY-101 footer`;
+            const m = /^([A-Za-z]{1,10})[-_ ]?(\d+)\b/.exec(line);
+            return m ? `did you mean ${m[1].toUpperCase()}-${m[2]}?` : "start the line with the issue key, e.g. PAY-101";
+        }
+        case C.DUPLICATE_ISSUE_KEY:
+            return "list each issue key once";
+        case C.DUPLICATE_TOKEN:
+            return d.line > 1 ? "keep a single trailer of each kind" : `keep a single ${d.token}: token`;
+        case C.CONFLICTING_VALUE:
+            return "give the value once, either on the first line or as a trailer";
+        case C.TRAILERS_IGNORED:
+            return "move the other lines above the trailers, separated by a blank line";
+        case C.EMPTY_VALUE:
+            return `write a value after ${d.token}: or drop the token`;
+        case C.LOG_FORMAT:
+        case C.LOG_NOT_POSITIVE:
+        case C.LOG_MINUTES_RANGE:
+        case C.DATE_FORMAT:
+            if (d.token === "LOG" && log.value) return suggestLog(log.value, log.prefix);
+            return d.code === C.DATE_FORMAT ? "write the date as yyyy-mm-dd or relative, e.g. DATE:2025-10-01 or DATE:yesterday" : null;
+        case C.LOG_RANGE:
+            return "write the range as start-end within one day, e.g. LOG:09:30-11:45";
+        case C.TIME_INVALID:
+            return "write times as hh:mm on a 24-hour clock, e.g. LOG:2h@2025-10-01T14:00";
+        case C.DATE_INVALID:
+            return "check the day and month; the date does not exist";
+        case C.BILL_FORMAT:
+            return "write the billable time like LOG, e.g. BILL:1.5h or BILL:45m, or BILL:0 for non-billable";
+        case C.BILL_EXCEEDS_LOG:
+            return "BILL is the billable part of LOG; lower it or raise LOG";
+        case C.BILL_WITHOUT_LOG:
+            return "add the LOG: it belongs to, e.g. LOG:2h BILL:1.5h";
+        case C.ATTR_FORMAT:
+            return "write one attribute per token as key=value, e.g. ATTR:_Billable_=true ATTR:Account=ACME-01";
+        case C.LOG_SPLIT_FORMAT:
+        case C.LOG_SPLIT_UNKNOWN_ISSUE:
+        case C.LOG_SPLIT_DUPLICATE:
+            return "split as LOG:PAY-101=1h,PAY-102=30m using the keys at the start of the line";
+        case C.READY_VALUE:
+            return "use READY:Yes or READY:No";
+        case C.FIELD_WITHOUT_STATUS:
+            return `add the STATUS: it belongs to, e.g. STATUS:Done ${d.token}:…`;
+        case C.UNKNOWN_TOKEN: {
+            const near = closestToken(d.token);
+            return near ? `did you mean ${near}:?` : `known tokens are ${TOKEN_NAMES.map(t => `${t}:`).join(" ")}`;
+        }
+        case C.STRAY_TEXT:
+            return `did you mean COMMENT:${line.slice(d.start, d.end)}?`;
+        default:
+            return null;
+    }
+}
+
+/** Ordinary commits the hook lets through untouched: no key, no tokens or trailers, or git-generated subjects. */
+export function isLintable(message, { mode = "strict" } = {}) {
+    const line = sanitizeFirstLine(message);
+    if (!line) return false;
+    if (/^(Merge\b|Revert\b|fixup!|squash!|amend!)/.test(line)) return false;
+    return looksLikeSuperCommit(message, { mode }) ||
+        new RegExp(String.raw`(?:^|\s)(?:${TOKEN_ALT}):`).test(line) ||
+        parseTrailers(message).some(t => TRAILER_TOKENS[t.key.toLowerCase()]);
+}
+
+/** `mode` is config.parser.mode ("strict" or "conventional"); `today` resolves relative dates. */
+export function lintCommitMessage(message, { mode = "strict", today } = {}) {
+    const { result, diagnostics } = analyzeCommitMessage(String(message ?? ""), { mode, today });
+    const firstLine = sanitizeFirstLine(message);
+    const lines = [firstLine, ...String(message ?? "").replace(/\r/g, "").split("\n").slice(1)];
+    const tokens = findTokens(firstLine);
+
+    const problems = diagnostics
+        .map(d => ({
+            code: d.code, severity: d.severity, message: d.message, line: d.line ?? 1, start: d.start, end: d.end,
+            hint: hintFor(d, lines[(d.line ?? 1) - 1], tokens, mode),
+        }))
+        .sort((a, b) => a.line - b.line || a.start - b.start);
+
+    return { ok: problems.length === 0, firstLine, lines, parsed: problems.length ? null : result, problems };
+}
+
+function fmtHours(h) {
+    return h == null ? "(none)" : `${Math.round(h * 100) / 100}h`;
+}
+
+/** Human-readable report: normalized result when valid, caret-pointed problems otherwise. */
+export function formatLintReport(result) {
+    const out = [];
+    if (result.ok) {
+        const p = result.parsed;
+        out.push(`✔ Valid Super Commit: ${result.firstLine}`);
+        out.push(`  issues:  ${p.issues.join(", ")}`);
+        out.push(`  status:  ${p.status ?? "(none)"}`);
+        if (p.logAllocations) {
+            out.push(`  hours:   ${p.logAllocations.map(a => `${a.issueKey}=${fmtHours(a.hours)}`).join(", ")}`);
+        } else {
+            out.push(`  hours:   ${fmtHours(p.logHours)}`);
+        }
+        out.push(`  date:    ${p.logDate ? `${p.logDate}${p.logDateRelative ? ` (${p.logDateRelative})` : ""}` : p.logHours != null ? "(today)" : "(none)"}`);
+        if (p.logStartTime) out.push(`  start:   ${p.logStartTime}`);
+        if (p.billHours != null) out.push(`  billable: ${fmtHours(p.billHours)}, non-billable ${fmtHours(p.logHours - p.billHours)}`);
+        if (p.conventional) {
+            const c = p.conventional;
+            out.push(`  type:    ${c.type}${c.scope ? ` (scope ${c.scope})` : ""}${c.breaking ? ", breaking" : ""}`);
+        }
+        out.push(`  phase:   ${p.phase ?? "(none)"}`);
+        if (p.attributes?.length) out.push(`  attributes: ${p.attributes.map(a => `${a.key}=${a.value}`).join(", ")}`);
+        out.push(`  ready:   ${p.ready == null ? "(none)" : p.ready ? "yes" : "no"}`);
+        if (p.resolution) out.push(`  resolution: ${p.resolution}`);
+        if (p.fixVersion) out.push(`  fix version: ${p.fixVersion}`);
+        out.push(`  comment: ${p.comment ?? "(none)"}`);
+        return out.join("\n");
+    }
+
+    out.push(`✖ Invalid Super Commit (${result.problems.length} problem${result.problems.length === 1 ? "" : "s"})`);
+    for (const p of result.problems) {
+        out.push("");
+        if (p.line > 1) out.push(`  line ${p.line}:`);
+        out.push(`  ${result.lines?.[p.line - 1] ?? result.firstLine}`);
+        out.push(`  ${" ".repeat(p.start)}${"^".repeat(Math.max(1, p.end - p.start))}`);
+        out.push(`  ${p.severity}: ${p.message} [${p.code}]`);
+        if (p.hint) out.push(`  hint:  ${p.hint}`);
+    }
+    out.push("");
+    out.push("  Format: PAY-101 [STATUS:<status>] [LOG:2h@yyyy-mm-dd] [COMMENT:<text>] — see .supercommit.md");
+    return out.join("\n");
+}
+
+export default { lintCommitMessage, formatLintReport, isLintable, suggestLog };
@@ -0,0 +1,60 @@
+﻿// scripts/supercommit/lint.test.js
+// Node 20+, ESM using node:test
+import test from "node:test";
+import assert from "node:assert/strict";
+import { lintCommitMessage, formatLintReport, isLintable } from "./lint.js";
+
+test("valid message -> normalized result", () => {
+    const r = lintCommitMessage("PAY-101 STATUS:Build LOG:90m@2025-10-01 PHASE:Dev READY:y");
+    assert.equal(r.ok, true);
+    assert.equal(r.parsed.logHours, 1.5);
+    const report = formatLintReport(r);
+    assert.match(report, /hours:\s+1\.5h/);
+    assert.match(report, /date:\s+2025-10-01/);
+    assert.match(report, /phase:\s+Dev/);
+    assert.match(report, /ready:\s+yes/);
+});
+
+test("LOG without unit -> caret on LOG and a suggested fix", () => {
+    const r = lintCommitMessage("PAY-101 LOG:2@2025-10-01");
+    assert.equal(r.ok, false);
+    assert.equal(r.problems.length, 1);
+    assert.equal(r.problems[0].code, "LOG_FORMAT");
+    assert.deepEqual([r.problems[0].start, r.problems[0].end], [12, 13]);
+    assert.equal(r.problems[0].hint, "did you mean LOG:2h@2025-10-01?");
+    assert.match(formatLintReport(r), /\n {14}\^\n/);
+});
+
+test("unknown token is reported, typos get a suggestion", () => {
+    const foo = lintCommitMessage("PAY-101 FOO:bar");
+    assert.equal(foo.ok, false);
+    assert.equal(foo.problems[0].message, "unknown token FOO:");
+    assert.deepEqual([foo.problems[0].start, foo.problems[0].end], [8, 12]);
+
+    const typo = lintCommitMessage("PAY-101 STATUS:Build STAUS:Done");
+    assert.equal(typo.problems[0].hint, "did you mean STATUS:?");
+});
+
+test("COMMENT may contain FOO:-like text", () => {
+    assert.equal(lintCommitMessage("PAY-101 COMMENT:Fix HTTP:500 retry").ok, true);
+});
+
+test("issue key without hyphen -> suggestion", () => {
+    const r = lintCommitMessage("PAY101 STATUS:Build");
+    assert.equal(r.problems[0].hint, "did you mean PAY-101?");
+});
+
+test("hook only lints messages that look like Super Commits", () => {
+    assert.equal(isLintable("chore: bump deps"), false);
+    assert.equal(isLintable("Merge branch 'main'"), false);
+    assert.equal(isLintable("PAY-101 LOG:1h"), true);
+    assert.equal(isLintable("PAY101 LOG:1h"), true);
+});
+
+test("trailer problems point at their own line", () => {
+    const r = lintCommitMessage("fix: retry\n\nJira-Issue: PAY-1\nTime-Spent: 2hrs");
+    assert.equal(r.problems[0].line, 4);
+    assert.equal(r.problems[0].hint, "did you mean Time-Spent: 2h?");
+    assert.match(formatLintReport(r), /line 4:\n {2}Time-Spent: 2hrs\n {14}\^{4}/);
+    assert.equal(isLintable("fix: retry\n\nTime-Spent: 1h"), true);
+});
@@ -8,21 +8,43 @@
 //   logTempo({ issue, issueId, logHours, logDate, comment, phase, authorAccountId })
 //
 //   // new (preferred by updated index.js)
-//   logTempo({ issueId, hours, when, comment, attributeKey, attributeValue, authorAccountId, dryRun })
+//   logTempo({ issueId, hours, when, comment, attributes, billableSeconds, authorAccountId, dryRun,
+//              startTime, overlap, dayStart, existingWorklogs })
 //
-// Both forms accept tempoApiToken (or read from env), tempoApiBase (defaults to v4).
+// startTime ("hh:mm") places the worklog; otherwise it starts at dayStart (09:00). Unless
+// overlap is "off", the author's worklogs for that day are read first to warn about overlaps
+// or, with "shift", to move a worklog without an explicit start to the next free slot
+// (see timesheet.js).
+//
+// Both forms accept tempoApiToken (or read from env), tempoApiBase (defaults to v4), and
+// timeZone for the day a missing or datetime `when` falls on (defaults to UTC).
+//
+// Every function also takes deployment: "cloud" (default) or "datacenter" for Tempo Timesheets
+// on Jira Data Center/Server. That is a Jira plugin: tempoApiBase is then the Jira base URL,
+// the token is the Jira personal access token, and paths and payloads differ (see SERVER_PATHS).
+// Results are returned in the Cloud shapes either way.
+//
+// logTempo() with backend: "jira" (and a `jira` client, utcOffset, adjustEstimate) books the
+// same hours, day and start time as a Jira worklog instead (see jiraWorklog.js).
+//
+// logTempo() = planTempoWorklog() (parse, read the day, place) + logTempoWorklog() or
+// logJiraWorklog(). index.js plans first and shows tempoWorklogRequest() before anything is sent.
+
+import { dateInZone } from "./dates.js";
+import { placeWorklog, timeOfDay } from "./timesheet.js";
+import { logJiraWorklog, listJiraWorklogs } from "./jiraWorklog.js";
 
 const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
-/** Normalize to yyyy-mm-dd; accepts "yyyy-mm-dd", ISO datetime, or Date */
-function toYMD(d) {
-    if (!d) return new Date().toISOString().slice(0, 10);
-    if (d instanceof Date) return d.toISOString().slice(0, 10);
+/** Normalize to yyyy-mm-dd in `timeZone`; accepts "yyyy-mm-dd", ISO datetime, or Date (empty = now) */
+function toYMD(d, timeZone = "UTC") {
+    if (!d) return dateInZone(Date.now(), timeZone);
+    if (d instanceof Date) return dateInZone(d, timeZone);
     const s = String(d).trim();
     if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s;
     const dt = new Date(s);
     if (!Number.isFinite(dt.getTime())) throw new Error(`Invalid date: "${d}"`);
-    return dt.toISOString().slice(0, 10);
+    return dateInZone(dt, timeZone);
 }
 
 function toSeconds(hoursLike) {
@@ -31,45 +53,115 @@ function toSeconds(hoursLike) {
     return Math.round(n * 3600);
 }
 
-/** Helpers to introspect Tempo work attributes (best-effort). */
-async function getWorkAttributes(tempoApiBase, token) {
-    const url = `${tempoApiBase.replace(/\/+$/, "")}/work-attributes`;
-    // [fix] add Accept for consistency
-    const res = await fetch(url, { headers: { "Authorization": `Bearer ${token}`, "Accept": "application/json" } });
-    if (!res.ok) throw new Error(`[Tempo] ${res.status} ${await res.text()}`);
-    return res.json();
+// ---- Tempo Cloud vs. Tempo Server -------------------------------------------
+
+export const TEMPO_CLOUD_BASE = "https://api.tempo.io/4";
+
+const CLOUD_PATHS = {
+    worklogs: "/worklogs",
+    attributes: "/work-attributes",
+    accounts: "/accounts?limit=1000",
+    links: (projectId) => `/account-links/project/${encodeURIComponent(projectId)}`,
+};
+const SERVER_PATHS = {
+    worklogs: "/rest/tempo-timesheets/4/worklogs",
+    attributes: "/rest/tempo-core/1/work-attribute",
+    accounts: "/rest/tempo-accounts/1/account",
+    links: (projectId) => `/rest/tempo-accounts/1/link/project/${encodeURIComponent(projectId)}`,
+};
+const pathsFor = (deployment) => (deployment === "datacenter" ? SERVER_PATHS : CLOUD_PATHS);
+
+/** Server worklog ({ tempoWorklogId, started: "2025-10-01 09:00:00.000", issue }) in the Cloud shape. */
+function fromServerWorklog(w) {
+    const started = String(w?.started ?? "");
+    return {
+        ...w,
+        startDate: started.slice(0, 10),
+        startTime: started.slice(11, 19) || "00:00:00",
+        issue: { id: w?.issue?.id ?? w?.originId, key: w?.issue?.key },
+    };
+}
+
+// Listings that rarely change are fetched once per run (per API base + token).
+const listingCache = new Map();
+
+/** GET a Tempo listing (Cloud: paged results + metadata.next; Server: a plain array), cached for the run. */
+function cachedListing(tempoApiBase, token, path) {
+    const url = `${tempoApiBase.replace(/\/+$/, "")}${path}`;
+    const cacheKey = `${token}\n${url}`;
+    if (!listingCache.has(cacheKey)) {
+        const load = (async () => {
+            const results = [];
+            for (let next = url; next;) {
+                // [fix] add Accept for consistency
+                const res = await fetch(next, { headers: { "Authorization": `Bearer ${token}`, "Accept": "application/json" } });
+                if (!res.ok) throw new Error(`[Tempo] ${res.status} ${await res.text()}`);
+                const json = await res.json();
+                results.push(...(Array.isArray(json) ? json : json?.results ?? []));
+                next = json?.metadata?.next || null;
+            }
+            return results;
+        })();
+        // a failed load is retried on the next call instead of being cached
+        load.catch(() => listingCache.delete(cacheKey));
+        listingCache.set(cacheKey, load);
+    }
+    return listingCache.get(cacheKey);
 }
 
-async function adviseCategory(tempoApiBase, token) {
+/** Work attribute definitions ({ key, name, type, required, values, names }), cached for the run. */
+export async function fetchWorkAttributes({ tempoApiBase = TEMPO_CLOUD_BASE, tempoApiToken, deployment = "cloud" }) {
+    if (!tempoApiToken) throw new Error("Tempo token missing.");
+    const defs = await cachedListing(tempoApiBase, tempoApiToken, pathsFor(deployment).attributes);
+    // Server: type is { name, value }
+    return deployment === "datacenter" ? defs.map(d => ({ ...d, type: d.type?.value ?? d.type })) : defs;
+}
+
+/** Tempo accounts ({ id, key, name, status }), for ACCOUNT work attributes; cached for the run. */
+export async function fetchTempoAccounts({ tempoApiBase = TEMPO_CLOUD_BASE, tempoApiToken, deployment = "cloud" }) {
+    if (!tempoApiToken) throw new Error("Tempo token missing.");
+    return cachedListing(tempoApiBase, tempoApiToken, pathsFor(deployment).accounts);
+}
+
+/** Account links of a Jira project ({ account, default }), cached for the run. */
+export async function fetchProjectAccountLinks({ tempoApiBase = TEMPO_CLOUD_BASE, tempoApiToken, projectId, deployment = "cloud" }) {
+    if (!tempoApiToken) throw new Error("Tempo token missing.");
+    const links = await cachedListing(tempoApiBase, tempoApiToken, pathsFor(deployment).links(projectId));
+    // Server: { accountId, defaultAccount }
+    return deployment === "datacenter" ? links.map(l => ({ account: { id: l.accountId }, default: !!l.defaultAccount })) : links;
+}
+
+/** After Tempo rejects attributes: the options of the attributes named in its error (or all static lists). */
+async function adviseAttributes(tempoApiBase, token, errorText, deployment) {
     try {
-        const data = await getWorkAttributes(tempoApiBase, token);
-        const cat = (data?.results || []).find(a => a.key === "_Category_");
-        if (!cat) {
-            console.warn("[Tempo] Work attribute _Category_ not found. You can remove TEMPO_CATEGORY_KEY or create the attribute in Tempo Settings → Work attributes.");
-            return;
+        const defs = await fetchWorkAttributes({ tempoApiBase, tempoApiToken: token, deployment });
+        const named = defs.filter(a => errorText.includes(a.key) || (a.name && errorText.includes(a.name)));
+        for (const a of (named.length ? named : defs.filter(d => d.type === "STATIC_LIST"))) {
+            const opts = Array.isArray(a.values) ? a.values : (a.staticListValues ?? a.options ?? []).map(o => o.value);
+            console.warn(`[Tempo] ${a.key} (${a.type}${a.required ? ", required" : ""})${opts.length ? `: valid options are ${opts.join(", ")}` : ""}`);
         }
-        const opts = (cat?.options || []).map(o => o.value).join(", ");
-        console.warn(`[Tempo] Valid Category options are: ${opts}`);
     } catch (e) {
-        console.warn("[Tempo] Could not list Category options:", String(e));
+        console.warn("[Tempo] Could not list work attributes:", String(e));
     }
 }
 
 /**
- * Low-level: create a Tempo worklog using seconds + date.
+ * The request logTempoWorklog() sends: { method, url, body }. Takes the same worklog fields;
+ * on Server the attributes are named after Tempo's definitions (a cached read).
  */
-export async function logTempoWorklog({
-    tempoApiBase = "https://api.tempo.io/4",
+export async function tempoWorklogRequest({
+    tempoApiBase = TEMPO_CLOUD_BASE,
     tempoApiToken,
-    issueKey,                 // e.g., "PEB-4"
-    issueId,                  // numeric Jira id (string/number)
-    description,              // human text
-    startDate,                // yyyy-mm-dd
-    startTime = "09:00:00",   // hh:mm:ss
-    timeSpentSeconds,         // integer seconds
-    authorAccountId,          // required for your tenant
-    attributes = {},          // optional: { "_Category_": "Development", ... }
-    dryRun = false            // [fix] honor dry-run to match index.js
+    issueKey,
+    issueId,
+    description,
+    startDate,
+    startTime = "09:00:00",
+    timeSpentSeconds,
+    billableSeconds = null,
+    authorAccountId,
+    attributes = {},
+    deployment = "cloud"
 }) {
     // fallbacks
     const authorFromEnv = process.env.TEMPO_AUTHOR_ACCOUNT_ID || process.env.JIRA_ACCOUNT_ID;
@@ -81,12 +173,7 @@ export async function logTempoWorklog({
     if (!timeSpentSeconds) throw new Error("Tempo worklog requires timeSpentSeconds.");
     if (!authorAccountId) throw new Error("Tempo worklog requires authorAccountId (set TEMPO_AUTHOR_ACCOUNT_ID).");
 
-    const url = `${tempoApiBase.replace(/\/+$/, "")}/worklogs`;
-    const headers = {
-        "Authorization": `Bearer ${tempoApiToken}`,
-        "Content-Type": "application/json",
-        "Accept": "application/json"
-    };
+    const url = `${tempoApiBase.replace(/\/+$/, "")}${pathsFor(deployment).worklogs}`;
 
     // Build attributes array, skipping empty values
     let attributesArray;
@@ -97,26 +184,79 @@ export async function logTempoWorklog({
         if (filtered.length) attributesArray = filtered;
     }
 
-    const payload = {
+    let payload = {
         ...(issueId ? { issueId: String(issueId) } : {}),
         ...(issueKey ? { issueKey } : {}),
         description: description ?? "",
         startDate,
         startTime,
         timeSpentSeconds: Math.round(Number(timeSpentSeconds)),
+        ...(billableSeconds != null ? { billableSeconds: Math.round(Number(billableSeconds)) } : {}),
         authorAccountId,
         ...(attributesArray ? { attributes: attributesArray } : {})
     };
 
+    if (deployment === "datacenter") {
+        // Tempo Server: worker (user key), originTaskId (issue key or id), "started" as one
+        // timestamp, comment, and attributes keyed by attribute with its id and name
+        const defs = attributesArray ? await fetchWorkAttributes({ tempoApiBase, tempoApiToken, deployment }).catch(() => []) : [];
+        payload = {
+            worker: authorAccountId,
+            originTaskId: String(issueKey ?? issueId),
+            started: `${startDate} ${startTime}.000`,
+            timeSpentSeconds: payload.timeSpentSeconds,
+            ...(payload.billableSeconds != null ? { billableSeconds: payload.billableSeconds } : {}),
+            comment: payload.description,
+            attributes: Object.fromEntries((attributesArray ?? []).map(({ key, value }) => {
+                const def = defs.find(d => d.key === key);
+                return [key, { ...(def ? { name: def.name, workAttributeId: def.id } : {}), value }];
+            })),
+        };
+    }
+    return { method: "POST", url, body: payload };
+}
+
+/**
+ * Low-level: create a Tempo worklog using seconds + date.
+ */
+export async function logTempoWorklog({
+    tempoApiBase = TEMPO_CLOUD_BASE,
+    tempoApiToken,
+    issueKey,                 // e.g., "PEB-4"
+    issueId,                  // numeric Jira id (string/number)
+    description,              // human text
+    startDate,                // yyyy-mm-dd
+    startTime = "09:00:00",   // hh:mm:ss
+    timeSpentSeconds,         // integer seconds
+    billableSeconds = null,   // optional: billable part of timeSpentSeconds (Tempo's default when null)
+    authorAccountId,          // required for your tenant
+    attributes = {},          // optional: { "_Category_": "Development", ... }
+    deployment = "cloud",     // "datacenter": Tempo Timesheets Server under the Jira base URL
+    dryRun = false            // [fix] honor dry-run to match index.js
+}) {
+    const server = deployment === "datacenter";
+    const { url, body: payload } = await tempoWorklogRequest({
+        tempoApiBase, tempoApiToken, issueKey, issueId, description, startDate, startTime,
+        timeSpentSeconds, billableSeconds, authorAccountId, attributes, deployment
+    });
+    const headers = {
+        "Authorization": `Bearer ${tempoApiToken}`,
+        "Content-Type": "application/json",
+        "Accept": "application/json"
+    };
+
     // [fix] DRY RUN early exit
     if (dryRun) {
+        const billable = payload.billableSeconds ?? payload.timeSpentSeconds;
         console.log(`[Tempo][DRY_RUN] Would create worklog:`, {
             issue: issueKey ?? issueId,
-            startDate: payload.startDate,
-            startTime: payload.startTime,
+            startDate,
+            startTime,
             timeSpentSeconds: payload.timeSpentSeconds,
-            authorAccountId: payload.authorAccountId,
-            attributes: attributesArray || []
+            billableSeconds: billable,
+            nonBillableSeconds: payload.timeSpentSeconds - billable,
+            authorAccountId: payload.authorAccountId ?? payload.worker,
+            attributes: payload.attributes ?? []
         });
         return { dryRun: true };
     }
@@ -128,9 +268,11 @@ export async function logTempoWorklog({
             const res = await fetch(url, { method: "POST", headers, body: JSON.stringify(payload) });
 
             if (res.ok) {
-                const json = await res.json().catch(() => ({}));
+                let json = await res.json().catch(() => ({}));
+                // Server answers with the list of created worklogs
+                if (server) json = Array.isArray(json) ? fromServerWorklog(json[0] ?? {}) : json;
                 console.log(
-                    `[Tempo] Worklog created: id=${json?.id ?? "unknown"} issue=${issueKey ?? issueId} secs=${payload.timeSpentSeconds} date=${payload.startDate}`
+                    `[Tempo] Worklog created: id=${json?.tempoWorklogId ?? json?.id ?? "unknown"} issue=${issueKey ?? issueId} secs=${payload.timeSpentSeconds} date=${startDate}`
                 );
                 return json;
             }
@@ -146,16 +288,16 @@ export async function logTempoWorklog({
                     console.warn(`[Tempo] 400 Duplicate detected. Treating as success.`);
                     return { duplicate: true };
                 }
-                // Special advice for Category mismatch errors; do not retry 400s.
-                if (/Category/i.test(text)) {
-                    await adviseCategory(tempoApiBase, tempoApiToken);
+                // Special advice for work attribute errors; do not retry 400s.
+                if (/attribute|Category/i.test(text)) {
+                    await adviseAttributes(tempoApiBase, tempoApiToken, text, deployment);
                 }
                 const e = new Error(`[Tempo] 400 Bad Request. Body: ${text}`);
                 e.noRetry = true;
                 throw e;
             }
 
-            if (res.status === 429 || res.status >= 500) {
+            if ((res.status === 429 || res.status >= 500) && attempt < maxRetries) {
                 // [fix] Retry-After (seconds) → ms, fallback to exponential backoff
                 const ra = res.headers.get("retry-after");
                 const raNum = Number(ra);
@@ -166,9 +308,10 @@ export async function logTempoWorklog({
             }
 
             const bodyTxt = await res.text().catch(() => "");
-            const e = new Error(`[Tempo] ${res.status} ${res.statusText}. Body: ${bodyTxt}`);
-            // treat other 4xx as non-retriable
-            if (res.status >= 400 && res.status < 500) e.noRetry = true;
+            const retried = res.status === 429 || res.status >= 500 ? ` after ${maxRetries} attempts` : "";
+            const e = new Error(`[Tempo] ${res.status} ${res.statusText}${retried}. Body: ${bodyTxt}`);
+            // other 4xx are not worth retrying, and 429/5xx have used up their attempts
+            if ((res.status >= 400 && res.status < 500) || retried) e.noRetry = true;
             throw e;
         } catch (err) {
             if (err?.noRetry) {
@@ -187,12 +330,106 @@ export async function logTempoWorklog({
 }
 
 /**
- * High-level convenience wrapper used by index.js.
- * Accepts both the legacy and the new calling shapes.
+ * The author's worklogs between two dates (yyyy-mm-dd, inclusive), following Tempo's paging.
  */
-export async function logTempo(args = {}) {
-    const tempoApiBase = args.tempoApiBase || "https://api.tempo.io/4";
+export async function listTempoWorklogs({
+    tempoApiBase = TEMPO_CLOUD_BASE,
+    tempoApiToken,
+    authorAccountId,
+    from,
+    to = from,
+    deployment = "cloud"
+}) {
+    if (!tempoApiToken) throw new Error("Tempo token missing.");
+    if (!authorAccountId) throw new Error("Listing worklogs requires authorAccountId.");
+
+    const headers = { "Authorization": `Bearer ${tempoApiToken}`, "Accept": "application/json" };
+    if (deployment === "datacenter") {
+        // Server: one POST search, answered with a plain array
+        const res = await fetch(`${tempoApiBase.replace(/\/+$/, "")}${SERVER_PATHS.worklogs}/search`, {
+            method: "POST",
+            headers: { ...headers, "Content-Type": "application/json" },
+            body: JSON.stringify({ from, to, worker: [authorAccountId] })
+        });
+        if (!res.ok) throw new Error(`[Tempo] ${res.status} ${res.statusText} listing worklogs. Body: ${await res.text().catch(() => "")}`);
+        const json = await res.json();
+        return (Array.isArray(json) ? json : []).map(fromServerWorklog);
+    }
+    const results = [];
+    let url = `${tempoApiBase.replace(/\/+$/, "")}/worklogs/user/${encodeURIComponent(authorAccountId)}?` +
+        new URLSearchParams({ from, to, limit: "1000" });
+    while (url) {
+        const res = await fetch(url, { headers });
+        if (!res.ok) throw new Error(`[Tempo] ${res.status} ${res.statusText} listing worklogs. Body: ${await res.text().catch(() => "")}`);
+        const json = await res.json();
+        results.push(...(json?.results ?? []));
+        url = json?.metadata?.next || null;
+    }
+    return results;
+}
+
+/** URL of one worklog (what deleteTempoWorklog() sends its DELETE to). */
+export function tempoWorklogUrl({ tempoApiBase = TEMPO_CLOUD_BASE, deployment = "cloud" }, worklogId) {
+    return `${tempoApiBase.replace(/\/+$/, "")}${pathsFor(deployment).worklogs}/${encodeURIComponent(worklogId)}`;
+}
+
+/**
+ * Delete a Tempo worklog (used when a Super Commit is reverted).
+ * Resolves to { deleted: true }, { notFound: true } when it is already gone, or { dryRun: true }.
+ */
+export async function deleteTempoWorklog({
+    tempoApiBase = TEMPO_CLOUD_BASE,
+    tempoApiToken,
+    worklogId,
+    deployment = "cloud",
+    dryRun = false
+}) {
+    if (!tempoApiToken) throw new Error("Tempo token missing.");
+    if (!worklogId) throw new Error("Tempo worklog id missing.");
+
+    const url = tempoWorklogUrl({ tempoApiBase, deployment }, worklogId);
+    if (dryRun) {
+        console.log(`[Tempo][DRY_RUN] Would delete worklog id=${worklogId}`);
+        return { dryRun: true };
+    }
+
+    const maxRetries = 3;
+    for (let attempt = 1; ; attempt++) {
+        const res = await fetch(url, {
+            method: "DELETE",
+            headers: { "Authorization": `Bearer ${tempoApiToken}`, "Accept": "application/json" }
+        });
+        if (res.ok) {
+            console.log(`[Tempo] Worklog deleted: id=${worklogId}`);
+            return { deleted: true };
+        }
+        if (res.status === 404) {
+            console.warn(`[Tempo] Worklog id=${worklogId} not found; already deleted.`);
+            return { notFound: true };
+        }
+        // DELETE is idempotent, so 429/5xx are safe to retry
+        if ((res.status === 429 || res.status >= 500) && attempt < maxRetries) {
+            const raNum = Number(res.headers.get("retry-after"));
+            const retryAfterMs = Number.isFinite(raNum) && raNum > 0 ? raNum * 1000 : 500 * Math.pow(2, attempt - 1);
+            console.warn(`[Tempo] ${res.status} → retrying delete in ${retryAfterMs} ms (attempt ${attempt}/${maxRetries})`);
+            await sleep(retryAfterMs);
+            continue;
+        }
+        const bodyTxt = await res.text().catch(() => "");
+        throw new Error(`[Tempo] DELETE worklog ${worklogId} → ${res.status} ${res.statusText}. Body: ${bodyTxt}`);
+    }
+}
+
+/**
+ * Everything logTempo() decides before it writes: the day, the hours, the start time against
+ * the day's worklogs, the attributes. Resolves to { backend: "tempo" | "jira", worklog }, where
+ * worklog is what logTempoWorklog() (or logJiraWorklog()) takes, without dryRun.
+ */
+export async function planTempoWorklog(args = {}) {
+    const tempoApiBase = args.tempoApiBase || TEMPO_CLOUD_BASE;
     const tempoApiToken = args.tempoApiToken || process.env.TEMPO_API_TOKEN || process.env.TEMPO_TOKEN;
+    const deployment = args.deployment || "cloud";
+    const toJira = args.backend === "jira";
 
     // identify issue reference
     const issueKey = args.issue ?? undefined;
@@ -204,17 +441,62 @@ export async function logTempo(args = {}) {
     const timeSpentSeconds = toSeconds(hours);
 
     // support both date fields
-    const startDate = toYMD(args.when ?? args.logDate);
+    const startDate = toYMD(args.when ?? args.logDate, args.timeZone || "UTC");
 
     const description = args.comment ?? "";
 
     // author
     let authorAccountId = args.authorAccountId || process.env.TEMPO_AUTHOR_ACCOUNT_ID || process.env.JIRA_ACCOUNT_ID;
 
+    // start time: explicit, else dayStart, checked against the day's existing worklogs
+    const overlap = args.overlap || "warn";
+    let existing = args.existingWorklogs ?? [];
+    if (overlap !== "off" && !args.existingWorklogs && (toJira || (tempoApiToken && authorAccountId))) {
+        try {
+            existing = toJira
+                ? await listJiraWorklogs({ jira: args.jira, from: startDate })
+                : await listTempoWorklogs({ tempoApiBase, tempoApiToken, authorAccountId, from: startDate, deployment });
+        } catch (e) {
+            console.warn(`[${toJira ? "Jira" : "Tempo"}][WARN] Could not read existing worklogs for ${startDate}; overlaps are not checked. ${e.message}`);
+        }
+    }
+    const slot = placeWorklog(existing, {
+        seconds: timeSpentSeconds,
+        startTime: args.startTime || null,
+        dayStart: args.dayStart || "09:00",
+        policy: overlap
+    });
+    if (slot.shifted) {
+        console.log(`[${toJira ? "Jira" : "Tempo"}] ${startDate} is busy at ${args.dayStart || "09:00"}; starting the worklog at ${slot.startTime} (next free slot).`);
+    }
+    for (const o of slot.overlaps) {
+        console.warn(
+            `[${toJira ? "Jira" : "Tempo"}][WARN] Worklog ${startDate} ${slot.startTime} (+${timeSpentSeconds / 3600}h) overlaps worklog ` +
+            `id=${o.id || "?"}${o.issueId ? ` on issue ${o.issueId}` : ""} (${timeOfDay(o.start).slice(0, 5)}–${timeOfDay(o.end).slice(0, 5)}).`
+        );
+    }
+
+    if (toJira) {
+        return {
+            backend: "jira",
+            worklog: {
+                jira: args.jira,
+                issueKey: args.issueKey ?? issueKey,
+                startDate,
+                startTime: slot.startTime,
+                utcOffset: args.utcOffset || "+00:00",
+                timeSpentSeconds,
+                comment: description,
+                adjustEstimate: args.adjustEstimate || "auto"
+            }
+        };
+    }
+
     // attributes:
     // - If explicit key/value provided, include only if value is non-empty.
     // - Else, legacy 'phase' maps to a category-like attribute, included only if non-empty.
-    const attributes = {};
+    // - `attributes` ({ key: value }, already validated by the caller) are sent as given.
+    const attributes = { ...(args.attributes ?? {}) };
     const attrKeyRaw = args.attributeKey;
     const attrValRaw = args.attributeValue;
 
@@ -227,16 +509,31 @@ export async function logTempo(args = {}) {
         attributes[legacyKey] = String(args.phase).trim();
     }
 
-    return logTempoWorklog({
-        tempoApiBase,
-        tempoApiToken,
-        issueKey,
-        issueId,
-        description,
-        startDate,
-        timeSpentSeconds,
-        authorAccountId,
-        attributes,
-        dryRun: !!args.dryRun // [fix] pass through dryRun
-    });
+    return {
+        backend: "tempo",
+        worklog: {
+            tempoApiBase,
+            tempoApiToken,
+            issueKey,
+            issueId,
+            description,
+            startDate,
+            timeSpentSeconds,
+            billableSeconds: args.billableSeconds ?? null,
+            deployment,
+            authorAccountId,
+            attributes,
+            startTime: slot.startTime
+        }
+    };
+}
+
+/**
+ * High-level convenience wrapper used by index.js.
+ * Accepts both the legacy and the new calling shapes.
+ */
+export async function logTempo(args = {}) {
+    const { backend, worklog } = await planTempoWorklog(args);
+    const dryRun = !!args.dryRun; // [fix] pass through dryRun
+    return backend === "jira" ? logJiraWorklog({ ...worklog, dryRun }) : logTempoWorklog({ ...worklog, dryRun });
 }
\ No newline at end of file
@@ -0,0 +1,40 @@
+// scripts/supercommit/logTempo.test.js
+// Node 20+, ESM using node:test
+import test from "node:test";
+import assert from "node:assert/strict";
+import { logTempoWorklog } from "./logTempo.js";
+
+// globalThis.fetch answering from `responses` in turn; records the requests
+function stubFetch(t, responses) {
+    const sent = [];
+    const realFetch = globalThis.fetch;
+    globalThis.fetch = async (url, init = {}) => {
+        sent.push(`${init.method ?? "GET"} ${url}`);
+        const [status, body, headers = {}] = responses[Math.min(sent.length, responses.length) - 1];
+        return new Response(body == null ? null : JSON.stringify(body), { status, headers: { "content-type": "application/json", ...headers } });
+    };
+    t.after(() => { globalThis.fetch = realFetch; });
+    return sent;
+}
+
+const worklog = {
+    tempoApiToken: "tempo-token",
+    issueId: "10001",
+    description: "fix rounding",
+    startDate: "2026-10-19",
+    startTime: "09:00:00",
+    timeSpentSeconds: 3600,
+    authorAccountId: "557058:asha",
+};
+
+test("a worklog still refused with 503 after the last attempt is an error, not a success", async (t) => {
+    const sent = stubFetch(t, [[503, { message: "busy" }, { "retry-after": "0" }]]);
+    await assert.rejects(logTempoWorklog(worklog), /\[Tempo\] 503 .*after 3 attempts/);
+    assert.deepEqual(sent, Array(3).fill("POST https://api.tempo.io/4/worklogs"));
+});
+
+test("a 503 followed by a created worklog returns it", async (t) => {
+    const sent = stubFetch(t, [[503, null, { "retry-after": "0" }], [200, { tempoWorklogId: 77 }]]);
+    assert.equal((await logTempoWorklog(worklog)).tempoWorklogId, 77);
+    assert.equal(sent.length, 2);
+});
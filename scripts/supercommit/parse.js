@@ -1,5 +1,21 @@
 ﻿// Node 20+, ESM
-// <ISSUE-KEY> [STATUS:<new-status>] [LOG:<time>[@<yyyy-mm-dd>]] [DATE:<yyyy-mm-dd>] [COMMENT:<free text>] [PHASE:<phase>] [CAT:<phase>] [READY:<Yes|No|True|False|1|0|Y|N>]
+// <ISSUE-KEY>[,<ISSUE-KEY>...] [STATUS:<new-status>] [LOG:<time>[@<date>]] [DATE:<date>] [COMMENT:<free text>] [PHASE:<phase>] [CAT:<phase>] [READY:<Yes|No|True|False|1|0|Y|N>]
+//     [RESOLUTION:<name>] [FIXVERSION:<version>[,<version>...]]   (transition screen fields; need STATUS)
+//     [ATTR:<key>=<value>]...   (Tempo work attributes; the only repeatable token)
+//     [BILL:<time>|0]           (billable part of LOG; 0 = non-billable)
+//
+// The same values may instead come from git trailers in the last paragraph of the body
+// (see TRAILER_TOKENS), e.g. "Jira-Status: Validate Test", "Time-Spent: 1h30m". A value given
+// both on the first line and as a trailer must agree (CONFLICTING_VALUE otherwise).
+//
+// Modes (opts.mode): "strict" (default) needs the key at column 0. "conventional" also accepts
+// Conventional Commits subjects such as "feat(PAY-101)!: add refund flow", taking the key from
+// the scope, then a Refs: footer, then anywhere in the subject; the result then carries
+// conventional: { type, scope, breaking, description } (null otherwise).
+//
+// Dates are yyyy-mm-dd or relative (today, yesterday, -2d, mon, last-fri; see dates.js),
+// resolved against opts.today (yyyy-mm-dd; the caller passes the commit's work day,
+// defaulting to the current UTC date). logDateRelative keeps the expression as written.
 //
 // LOG supported:
 //   - 2h@2025-10-06   (decimal hours + date)
@@ -7,13 +23,89 @@
 //   - 1:30@2025-10-06 (h:mm + date)
 //   - 90m@2025-10-06  (minutes + date)
 //   - 90m             (minutes)
+//   - 1h30m           (hours + minutes)
+//   - 09:30-11:45     (time range: duration and start time)
+//   - 2h@2025-10-06T14:00, 2h@yesterdayT14:00, 2h@14:00   (start time; the last on the commit's day)
+//   - PAY-101=1h,PAY-102=30m@2025-10-06 (per-issue split when several keys lead the line)
+//
+// Returns: { issue, issueKey, issues, status, logHours, logDate, logDateRelative, logStartTime, logAllocations, billHours, comment, phase, ready, resolution, fixVersion, attributes, conventional, firstLine }
 //
-// Returns: { issue, issueKey, status, logHours, logDate, comment, phase, ready, firstLine }
+// analyzeCommitMessage() never throws. It returns { result, diagnostics } with every problem found;
+// a diagnostic is { code, token, line, start, end, severity, message }, where line is the 1-based
+// message line (1 = the sanitized first line), start/end are 0-based, end-exclusive columns into
+// that line and token is the token name (or null).
+// parseCommitMessage() keeps the throwing contract: SuperCommitFormatError for the first error.
 
-const TOKEN_NAMES = ["STATUS", "LOG", "COMMENT", "PHASE", "DATE", "CAT", "READY"];
+import { resolveRelativeDate } from "./dates.js";
+
+export const TOKEN_NAMES = ["STATUS", "LOG", "COMMENT", "PHASE", "DATE", "CAT", "READY", "RESOLUTION", "FIXVERSION", "ATTR", "BILL"];
+// tokens that may appear several times (one per attribute key)
+const REPEATABLE = new Set(["ATTR"]);
 const TOKEN_ALT = TOKEN_NAMES.join("|"); // STATUS|LOG|COMMENT|...
 
-function sanitizeFirstLine(message) {
+const KEY_RE_SRC = String.raw`[A-Z][A-Z0-9]{1,9}-\d+`;
+export const PARSER_MODES = ["strict", "conventional"];
+
+// type(scope)!: description
+const CONVENTIONAL_RE = /^([A-Za-z]+)(?:\(([^)]*)\))?(!)?:\s*(.*)$/;
+
+/** Git trailer (lower-cased) -> token it stands for. "ISSUE" is the issue key list. */
+export const TRAILER_TOKENS = Object.freeze({
+    "jira-issue": "ISSUE",
+    "jira-status": "STATUS",
+    "time-spent": "LOG",
+    "work-date": "DATE",
+    "jira-comment": "COMMENT",
+    "work-phase": "PHASE",
+    "jira-ready": "READY",
+    "jira-resolution": "RESOLUTION",
+    "jira-fix-version": "FIXVERSION",
+    "work-attribute": "ATTR",
+    "billable-time": "BILL",
+});
+
+/** Stable diagnostic codes; tooling matches on these, never on message text. */
+export const DIAGNOSTIC_CODES = Object.freeze({
+    EMPTY_MESSAGE: "EMPTY_MESSAGE",
+    MISSING_ISSUE_KEY: "MISSING_ISSUE_KEY",
+    DUPLICATE_ISSUE_KEY: "DUPLICATE_ISSUE_KEY",
+    DUPLICATE_TOKEN: "DUPLICATE_TOKEN",
+    CONFLICTING_VALUE: "CONFLICTING_VALUE",
+    EMPTY_VALUE: "EMPTY_VALUE",
+    LOG_FORMAT: "LOG_FORMAT",
+    LOG_MINUTES_RANGE: "LOG_MINUTES_RANGE",
+    LOG_NOT_POSITIVE: "LOG_NOT_POSITIVE",
+    LOG_SPLIT_FORMAT: "LOG_SPLIT_FORMAT",
+    LOG_SPLIT_UNKNOWN_ISSUE: "LOG_SPLIT_UNKNOWN_ISSUE",
+    LOG_SPLIT_DUPLICATE: "LOG_SPLIT_DUPLICATE",
+    LOG_RANGE: "LOG_RANGE",
+    DATE_FORMAT: "DATE_FORMAT",
+    DATE_INVALID: "DATE_INVALID",
+    TIME_INVALID: "TIME_INVALID",
+    READY_VALUE: "READY_VALUE",
+    ATTR_FORMAT: "ATTR_FORMAT",
+    BILL_FORMAT: "BILL_FORMAT",
+    BILL_EXCEEDS_LOG: "BILL_EXCEEDS_LOG",
+    BILL_WITHOUT_LOG: "BILL_WITHOUT_LOG",
+    FIELD_WITHOUT_STATUS: "FIELD_WITHOUT_STATUS",
+    UNKNOWN_TOKEN: "UNKNOWN_TOKEN",
+    STRAY_TEXT: "STRAY_TEXT",
+    TRAILERS_IGNORED: "TRAILERS_IGNORED",
+});
+const C = DIAGNOSTIC_CODES;
+
+/** Thrown by parseCommitMessage; carries the first error and the full diagnostic list. */
+export class SuperCommitFormatError extends Error {
+    constructor(diagnostic, diagnostics = [diagnostic]) {
+        super(`Super Commit format: ${diagnostic.message}`);
+        this.name = "SuperCommitFormatError";
+        this.code = diagnostic.code;
+        this.diagnostic = diagnostic;
+        this.diagnostics = diagnostics;
+    }
+}
+
+export function sanitizeFirstLine(message) {
     const rawFirst = String(message ?? "").split(/\r?\n/)[0] ?? "";
     // strip BOM + zero-width chars, then left-trim spaces/tabs; keep trailing spacing intact
     return rawFirst
@@ -31,73 +123,408 @@ function parseReady(val) {
     return null;
 }
 
-export function parseCommitMessage(message) {
+/**
+ * Known tokens on the line, in order: { name, start, valueStart, end, value }.
+ * A token starts at line start or after whitespace (so "HTTP:500" inside a COMMENT is not one)
+ * and its value runs up to the next known token or the end of the line.
+ */
+export function findTokens(line) {
+    const re = new RegExp(String.raw`(?:^|\s)(${TOKEN_ALT}):`, "g");
+    const hits = [];
+    let m;
+    while ((m = re.exec(line))) {
+        const start = m.index + m[0].length - m[1].length - 1;
+        hits.push({ name: m[1], start, valueStart: start + m[1].length + 1 });
+    }
+    hits.forEach((t, i) => {
+        let end = hits[i + 1] ? hits[i + 1].start : line.length;
+        while (end > t.valueStart && /\s/.test(line[end - 1])) end--;
+        while (t.valueStart < end && /\s/.test(line[t.valueStart])) t.valueStart++;
+        t.end = end;
+        t.value = line.slice(t.valueStart, end);
+    });
+    return hits;
+}
+
+// Lines git itself appends (commit -s, cherry-pick -x); a block holding one may mix in other lines
+const GIT_GENERATED = [/^Signed-off-by: /, /^\(cherry picked from commit /];
+
+/**
+ * The last paragraph of the body (never the subject) split into its "Key: value" lines and the
+ * rest. Like git interpret-trailers, it is a trailer block when every line is a trailer (or an
+ * indented continuation), or when it holds a git-generated line (Signed-off-by:, "(cherry picked
+ * from commit ...)") and at least a quarter of its lines are trailers; other lines are then skipped.
+ * Returns { trailers, ignored }: ignored holds the "Key: value" lines of a paragraph that is not
+ * a trailer block.
+ */
+function trailerBlock(message) {
+    const lines = String(message ?? "").replace(/\r/g, "").split("\n");
+    let end = lines.length;
+    while (end > 1 && !lines[end - 1].trim()) end--;
+    let start = end;
+    while (start > 1 && lines[start - 1].trim()) start--;
+    if (start <= 1 || start >= end) return { trailers: [], ignored: [] }; // no body paragraph after the subject
+
+    const trailers = [];
+    let trailerLines = 0;
+    let otherLines = 0;
+    let generated = false;
+    let last = null; // the line a continuation belongs to: a trailer, or "other"
+    for (let i = start; i < end; i++) {
+        const text = lines[i];
+        if (/^\s/.test(text) && last) {
+            if (last === "other") otherLines++;
+            else {
+                trailerLines++;
+                last.value += `\n${text.trim()}`;
+            }
+            continue;
+        }
+        if (GIT_GENERATED.some(re => re.test(text))) generated = true;
+        const m = /^(BREAKING CHANGE|[A-Za-z0-9][A-Za-z0-9-]*):\s*(.*)$/.exec(text);
+        if (!m) {
+            // "(cherry picked from commit ...)" counts as a trailer line, as in git, but carries no value
+            if (/^\(cherry picked from commit /.test(text)) trailerLines++;
+            else otherLines++;
+            last = "other";
+            continue;
+        }
+        const valueStart = text.length - m[2].length;
+        last = { key: m[1], value: m[2].trimEnd(), line: i + 1, start: 0, valueStart, end: text.trimEnd().length };
+        trailers.push(last);
+        trailerLines++;
+    }
+    const isBlock = trailerLines > 0 && (otherLines === 0 || (generated && trailerLines * 3 >= otherLines));
+    return isBlock ? { trailers, ignored: [] } : { trailers: [], ignored: trailers };
+}
+
+/**
+ * Git trailers of the message body (see trailerBlock): [{ key, value, line, start, valueStart, end }]
+ * with 1-based message line numbers; continuation lines are joined with "\n".
+ */
+export function parseTrailers(message) {
+    return trailerBlock(message).trailers;
+}
+
+const trailerToken = (t) => TRAILER_TOKENS[t.key.toLowerCase()];
+
+/** Conventional header of a subject: { type, scope, breaking, description, descriptionStart } or null. */
+export function parseConventionalHeader(line) {
+    const m = CONVENTIONAL_RE.exec(line);
+    if (!m || TOKEN_NAMES.includes(m[1])) return null; // "LOG:1h" is a token, not a type
+    return {
+        type: m[1].toLowerCase(),
+        scope: m[2]?.trim() || null,
+        breaking: m[3] === "!",
+        description: m[4],
+        descriptionStart: line.length - m[4].length,
+    };
+}
+
+const keysIn = (text) => [...new Set(String(text ?? "").match(new RegExp(String.raw`(?<![A-Za-z0-9-])${KEY_RE_SRC}\b`, "g")) ?? [])];
+
+/** Issue keys of a conventional commit: scope first, then Refs: footers, then the subject text. */
+function conventionalKeys(header, trailers, subjectText) {
+    const fromScope = keysIn(header.scope);
+    if (fromScope.length) return fromScope;
+    const fromRefs = keysIn(trailers.filter(t => t.key.toLowerCase() === "refs").map(t => t.value).join(" "));
+    if (fromRefs.length) return fromRefs;
+    return keysIn(subjectText);
+}
+
+/** Cheap pre-check used to skip ordinary commits in a push range before full parsing. */
+export function looksLikeSuperCommit(message, { mode = "strict" } = {}) {
+    const line = sanitizeFirstLine(message);
+    if (new RegExp(String.raw`^${KEY_RE_SRC}\b`).test(line)) return true;
+    const trailers = parseTrailers(message);
+    if (trailers.some(t => trailerToken(t) === "ISSUE")) return true;
+    const header = mode === "conventional" ? parseConventionalHeader(line) : null;
+    return !!header && conventionalKeys(header, trailers, header.description).length > 0;
+}
+
+const isValidISODate = (s) => {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(s || "");
+    if (!m) return false;
+    const y = +m[1], mo = +m[2], d = +m[3];
+    const dt = new Date(Date.UTC(y, mo - 1, d));
+    return dt.getUTCFullYear() === y && dt.getUTCMonth() === mo - 1 && dt.getUTCDate() === d;
+};
+
+export function analyzeCommitMessage(message, { mode = "strict", today = new Date().toISOString().slice(0, 10) } = {}) {
+    const diagnostics = [];
+    const report = (code, msg, { token = null, line = 1, start = 0, end = start, severity = "error" } = {}) => {
+        diagnostics.push({ code, token, line, start, end, severity, message: msg });
+    };
+
     if (typeof message !== "string" || !message.trim()) {
-        throw new Error("Super Commit format: commit message is empty.");
+        report(C.EMPTY_MESSAGE, "commit message is empty.");
+        return { result: null, diagnostics };
     }
 
     const firstLine = sanitizeFirstLine(message);
+    const tokens = findTokens(firstLine).map(t => ({ ...t, line: 1 }));
+    const { trailers: rawTrailers, ignored } = trailerBlock(message);
+    const trailers = rawTrailers.filter(trailerToken);
+    const ignoredToken = ignored.find(trailerToken);
+    if (ignoredToken) {
+        report(C.TRAILERS_IGNORED, `${ignoredToken.key} is ignored: the last paragraph mixes trailers with other lines, so git does not read it as trailers.`, {
+            token: trailerToken(ignoredToken) === "ISSUE" ? null : trailerToken(ignoredToken),
+            line: ignoredToken.line, start: ignoredToken.start, end: ignoredToken.end, severity: "warning",
+        });
+    }
+    const trailerTokens = trailers
+        .filter(t => trailerToken(t) !== "ISSUE")
+        .map(t => ({ name: trailerToken(t), trailer: t.key, line: t.line, start: t.start, valueStart: t.valueStart, end: t.end, value: t.value }));
+    const allTokens = [...tokens, ...trailerTokens];
+    // the first line wins when both sources carry a token (they must agree anyway)
+    const firstOf = (name) => allTokens.find(t => t.name === name) ?? null;
+    const valueOf = (name) => firstOf(name)?.value || null;
+    const where = (t) => t.trailer ?? t.name;
 
     // ---- helpers ------------------------------------------------------------
-    const failFormat = (msg) => { throw new Error(`Super Commit format: ${msg}`); };
 
-    // Count occurrences using the same token boundary as getToken (prevents counting HTTP:, etc.)
-    const onlyOne = (name) => {
-        const re = new RegExp(
-            String.raw`(?:^|\s)${name}:\s*([^\s].*?)\s*(?=(?:\s(?:${TOKEN_ALT}):|$))`,
-            "g"
-        );
-        const hits = firstLine.match(re) || [];
-        if (hits.length > 1) failFormat(`only one ${name} token is allowed.`);
+    // Accepts 2h / 1.5h, h:mm, 1h30m and 90m; returns hours, or null after reporting at [start, end)
+    const parseDuration = (timePart, start, line = 1) => {
+        const span = { token: "LOG", line, start, end: start + timePart.length };
+
+        // 1) decimal hours
+        let m = timePart.match(/^(\d+(?:\.\d+)?)h$/i);
+        if (m) return parseFloat(m[1]);
+
+        // 2) h:mm and 1h30m
+        m = timePart.match(/^(\d+):(\d{1,2})$/) || timePart.match(/^(\d+)h\s*(\d{1,2})m$/i);
+        if (m) {
+            const h = parseInt(m[1], 10);
+            const mins = parseInt(m[2], 10);
+            if (mins >= 60) {
+                report(C.LOG_MINUTES_RANGE, "LOG minutes must be < 60 for h:mm and 1h30m.", span);
+                return null;
+            }
+            return h + mins / 60;
+        }
+
+        // 3) minutes
+        m = timePart.match(/^(\d+)m$/i);
+        if (m) return parseInt(m[1], 10) / 60;
+
+        report(C.LOG_FORMAT, "LOG must be 2h@YYYY-MM-DD, 1.5h, 1:30, 1h30m, 90m or a range such as 09:30-11:45.", span);
+        return null;
     };
 
-    // Capture up to next known token or end of line (not any ALL-CAPS-with-colon)
-    const getToken = (name) => {
-        const re = new RegExp(
-            String.raw`(?:^|\s)${name}:\s*([^\s].*?)\s*(?=(?:\s(?:${TOKEN_ALT}):|$))`
-        );
-        const m = firstLine.match(re);
-        return m ? m[1].trim() : null;
+    // date validation: format vs calendar validity; returns the date (relative ones resolved) or null
+    let logDateRelative = null;
+    const checkDate = (value, tok, start, line = 1) => {
+        const span = { token: tok.name, line, start, end: start + value.length };
+        const relative = resolveRelativeDate(value, today);
+        if (relative) {
+            logDateRelative = value;
+            return relative;
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            report(C.DATE_FORMAT, "date must be yyyy-mm-dd or relative (today, yesterday, -2d, mon, last-fri).", span);
+            return null;
+        }
+        if (!isValidISODate(value)) {
+            report(C.DATE_INVALID, `${where(tok)} date must be a valid calendar date (yyyy-mm-dd).`, span);
+            return null;
+        }
+        return value;
     };
 
-    const tidy = (v) => (typeof v === "string" && v.trim().length ? v.trim() : null);
+    // hh:mm within a day, zero-padded; null after reporting
+    const checkTime = (value, token, start, line = 1) => {
+        const m = /^(\d{1,2}):(\d{2})$/.exec(value);
+        if (!m || +m[1] > 23 || +m[2] > 59) {
+            report(C.TIME_INVALID, "time must be hh:mm between 00:00 and 23:59.", { token, line, start, end: start + value.length });
+            return null;
+        }
+        return `${m[1].padStart(2, "0")}:${m[2]}`;
+    };
 
-    const isValidISODate = (s) => {
-        const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(s || "");
-        if (!m) return false;
-        const y = +m[1], mo = +m[2], d = +m[3];
-        const dt = new Date(Date.UTC(y, mo - 1, d));
-        return dt.getUTCFullYear() === y && dt.getUTCMonth() === mo - 1 && dt.getUTCDate() === d;
+    // "<date>", "<date>T<hh:mm>" or "<hh:mm>" (on the commit's day): { date, time }, each null when absent or invalid
+    const checkWhen = (value, tok, start, line = 1) => {
+        const m = /^(?:(.+)T)?(\d{1,2}:\d{2})$/.exec(value);
+        if (!m) return { date: checkDate(value, tok, start, line), time: null };
+        const date = m[1] != null ? checkDate(m[1], tok, start, line) : null;
+        return { date, time: checkTime(m[2], tok.name, start + value.length - m[2].length, line) };
     };
 
-    // ---- issue key ----------------------------------------------------------
-    const keyMatch = firstLine.match(/^([A-Z][A-Z0-9]{1,9}-\d+)\b/);
-    if (!keyMatch) {
-        failFormat("missing or invalid JIRA issue key at start (e.g., ABC-123).");
+    // ---- issue key(s) -------------------------------------------------------
+    const keyMatch = firstLine.match(new RegExp(String.raw`^(${KEY_RE_SRC}(?:,${KEY_RE_SRC})*)\b`));
+    const header = mode === "conventional" && !keyMatch ? parseConventionalHeader(firstLine) : null;
+    const conventional = header
+        ? {
+            type: header.type,
+            scope: header.scope,
+            breaking: header.breaking || rawTrailers.some(t => /^BREAKING[ -]CHANGE$/.test(t.key)),
+            description: header.description.slice(0, (tokens[0]?.start ?? firstLine.length) - header.descriptionStart).trim(),
+        }
+        : null;
+    const convKeys = header ? conventionalKeys(header, rawTrailers, conventional.description) : [];
+
+    // Jira-Issue trailer: keys separated by commas and/or spaces
+    const issueTrailers = trailers.filter(t => trailerToken(t) === "ISSUE");
+    issueTrailers.slice(1).forEach(t =>
+        report(C.DUPLICATE_TOKEN, `only one ${t.key} trailer is allowed.`, { token: "ISSUE", line: t.line, start: t.start, end: t.end })
+    );
+    let trailerKeys = null;
+    if (issueTrailers[0]) {
+        const t = issueTrailers[0];
+        const keys = t.value.split(/[\s,]+/).filter(Boolean);
+        const bad = keys.filter(k => !new RegExp(String.raw`^${KEY_RE_SRC}$`).test(k));
+        if (!keys.length || bad.length) {
+            report(C.MISSING_ISSUE_KEY, `${t.key} must list issue keys such as ABC-123${bad.length ? ` (got ${bad.join(", ")})` : ""}.`, {
+                token: "ISSUE", line: t.line, start: t.valueStart, end: t.end
+            });
+        } else {
+            trailerKeys = [...new Set(keys)];
+        }
     }
-    const issue = keyMatch[1];
+
+    const checkTrailerKeys = (keys, where) => {
+        if (trailerKeys && (trailerKeys.length !== keys.length || trailerKeys.some(k => !keys.includes(k)))) {
+            const t = issueTrailers[0];
+            report(C.CONFLICTING_VALUE, `${t.key}: ${t.value} does not match the issue keys ${where} (${keys.join(",")}).`, {
+                token: "ISSUE", line: t.line, start: t.valueStart, end: t.end
+            });
+        }
+    };
+
+    let issues = [];
+    if (!keyMatch && convKeys.length) {
+        issues = convKeys;
+        checkTrailerKeys(issues, "of the conventional subject");
+    } else if (!keyMatch && issueTrailers.length) {
+        issues = trailerKeys ?? [];
+    } else if (!keyMatch) {
+        const ws = firstLine.search(/\s/);
+        const msg = header
+            ? "no JIRA issue key in the scope, a Refs: footer or the subject (e.g., feat(ABC-123): ...)."
+            : "missing or invalid JIRA issue key at start (e.g., ABC-123).";
+        report(C.MISSING_ISSUE_KEY, msg, {
+            start: 0, end: header ? header.descriptionStart - 1 : ws < 0 ? firstLine.length : ws
+        });
+    } else {
+        issues = keyMatch[1].split(",");
+        let col = 0;
+        issues.forEach((k, i) => {
+            if (issues.indexOf(k) !== i) {
+                report(C.DUPLICATE_ISSUE_KEY, `issue key ${k} is listed more than once.`, { start: col, end: col + k.length });
+            }
+            col += k.length + 1;
+        });
+        issues = [...new Set(issues)];
+        checkTrailerKeys(issues, "on the first line");
+    }
+    const issue = issues[0] ?? null;
     const issueKey = issue; // alias for callers that expect issueKey
 
-    // ---- uniqueness ---------------------------------------------------------
-    TOKEN_NAMES.forEach(onlyOne);
+    // ---- uniqueness and agreement between first line and trailers -----------
+    const same = (a, b) => a.replace(/\s+/g, " ").trim().toLowerCase() === b.replace(/\s+/g, " ").trim().toLowerCase();
+    for (const name of TOKEN_NAMES.filter(n => !REPEATABLE.has(n))) {
+        const inLine = tokens.filter(t => t.name === name);
+        const inTrailers = trailerTokens.filter(t => t.name === name);
+        [...inLine.slice(1), ...inTrailers.slice(1)].forEach(t =>
+            report(C.DUPLICATE_TOKEN, `only one ${where(t)} ${t.trailer ? "trailer" : "token"} is allowed.`, {
+                token: name, line: t.line, start: t.start, end: t.end
+            })
+        );
+        const [a, b] = [inLine[0], inTrailers[0]];
+        if (a?.value && b?.value && !same(a.value, b.value)) {
+            report(C.CONFLICTING_VALUE, `${name}:${a.value} on the first line conflicts with ${b.trailer}: ${b.value}.`, {
+                token: name, line: b.line, start: b.start, end: b.end
+            });
+        }
+    }
+
+    // ---- empty values -------------------------------------------------------
+    for (const t of allTokens) {
+        if (!t.value) report(C.EMPTY_VALUE, `${where(t)} value cannot be empty.`, { token: t.name, line: t.line, start: t.start, end: t.end });
+    }
+
+    // ---- text the tokens do not account for (warnings) ---------------------
+    const unknownIn = (from, to) => {
+        const re = /(?:^|\s)([A-Z][A-Z0-9_]{1,}):/g;
+        const text = firstLine.slice(from, to);
+        let found = 0;
+        let m;
+        while ((m = re.exec(text))) {
+            if (TOKEN_NAMES.includes(m[1])) continue;
+            const start = from + m.index + m[0].length - m[1].length - 1;
+            report(C.UNKNOWN_TOKEN, `unknown token ${m[1]}:`, { token: m[1], start, end: start + m[1].length + 1, severity: "warning" });
+            found++;
+        }
+        return found;
+    };
+    if (keyMatch) {
+        // between the issue key(s) and the first token
+        const gapStart = keyMatch[0].length;
+        const gapEnd = tokens[0]?.start ?? firstLine.length;
+        const gap = firstLine.slice(gapStart, gapEnd);
+        if (gap.trim() && !unknownIn(gapStart, gapEnd)) {
+            const start = gapStart + (gap.length - gap.trimStart().length);
+            report(C.STRAY_TEXT, "text before the first token is ignored", {
+                start, end: start + gap.trim().length, severity: "warning"
+            });
+        }
+    }
+    // inside values: anything but COMMENT should not contain FOO: (COMMENT may, e.g. "HTTP:500")
+    for (const t of tokens) {
+        if (t.name !== "COMMENT") unknownIn(t.valueStart, t.end);
+    }
 
     // ---- tokens -------------------------------------------------------------
-    const status = tidy(getToken("STATUS"));
-    const comment = tidy(getToken("COMMENT"));
-    let phase = tidy(getToken("PHASE"));
-    const catAlias = tidy(getToken("CAT"));
+    const status = valueOf("STATUS");
+    const comment = valueOf("COMMENT");
+    let phase = valueOf("PHASE");
+    const catAlias = valueOf("CAT");
     if (!phase && catAlias) phase = catAlias;
 
-    const dateToken = tidy(getToken("DATE"));
-
     // READY: Yes/No/True/False/1/0/Y/N
-    const readyToken = tidy(getToken("READY"));
-    const ready = parseReady(readyToken);
+    const readyTok = firstOf("READY");
+    const ready = parseReady(readyTok?.value || null);
+    if (readyTok?.value && ready === null) {
+        report(C.READY_VALUE, `${where(readyTok)} must be Yes/No, True/False, 1/0 or Y/N; the value is ignored.`, {
+            token: "READY", line: readyTok.line, start: readyTok.valueStart, end: readyTok.end, severity: "warning"
+        });
+    }
+
+    // RESOLUTION / FIXVERSION fill the transition screen, so they mean nothing without STATUS
+    const resolution = valueOf("RESOLUTION");
+    const fixVersion = valueOf("FIXVERSION");
+    for (const name of ["RESOLUTION", "FIXVERSION"]) {
+        const t = firstOf(name);
+        if (t?.value && !status) {
+            report(C.FIELD_WITHOUT_STATUS, `${where(t)} is only used with STATUS; the value is ignored.`, {
+                token: name, line: t.line, start: t.start, end: t.end, severity: "warning"
+            });
+        }
+    }
+
+    // ATTR:_Billable_=true (repeatable); the same key twice must agree
+    const attributes = [];
+    for (const t of allTokens.filter(t => t.name === "ATTR" && t.value)) {
+        const span = { token: "ATTR", line: t.line, start: t.valueStart, end: t.end };
+        const m = /^([^=\s]+)\s*=\s*(.+)$/.exec(t.value);
+        if (!m) {
+            report(C.ATTR_FORMAT, `${where(t)} must look like ${t.trailer ? `${t.trailer}: _Billable_=true` : "ATTR:_Billable_=true"}.`, span);
+            continue;
+        }
+        const prev = attributes.find(a => a.key.toLowerCase() === m[1].toLowerCase());
+        if (prev && !same(prev.value, m[2])) {
+            report(C.CONFLICTING_VALUE, `${where(t)} sets ${m[1]} again (${prev.value} vs ${m[2].trim()}).`, span);
+        } else if (!prev) {
+            attributes.push({ key: m[1], value: m[2].trim() });
+        }
+    }
 
     // ---- LOG parsing --------------------------------------------------------
-    const rawLog = tidy(getToken("LOG"));
+    const logTok = firstOf("LOG");
+    const rawLog = logTok?.value || null;
     let logHours = null;
     let logDate = null;
+    let logStartTime = null;
+    let logAllocations = null;
 
     if (rawLog) {
         // optional @date split
@@ -108,75 +535,123 @@ export function parseCommitMessage(message) {
             timePart = rawLog.slice(0, atIdx);
             datePart = rawLog.slice(atIdx + 1).trim();
         }
+        const timeStart = logTok.valueStart;
+        const logLine = logTok.line;
 
-        // 1) decimal hours
-        let m = timePart.match(/^(\d+(?:\.\d+)?)h$/i);
-        if (m) {
-            logHours = parseFloat(m[1]);
-        } else {
-            // 2) h:mm
-            m = timePart.match(/^(\d+):(\d{1,2})$/);
-            if (m) {
-                const h = parseInt(m[1], 10);
-                const mins = parseInt(m[2], 10);
-                if (mins >= 60) failFormat("LOG minutes must be < 60 for h:mm.");
-                logHours = h + mins / 60;
-            } else {
-                // 3) minutes
-                m = timePart.match(/^(\d+)m$/i);
-                if (m) {
-                    const minutes = parseInt(m[1], 10);
-                    logHours = minutes / 60;
+        if (timePart.includes("=")) {
+            // per-issue split: PAY-101=1h,PAY-102=30m
+            let ok = true;
+            let col = timeStart;
+            logAllocations = [];
+            for (const part of timePart.split(",")) {
+                const span = { token: "LOG", line: logLine, start: col, end: col + part.length };
+                col += part.length + 1;
+                const m = part.trim().match(new RegExp(String.raw`^(${KEY_RE_SRC})=(.+)$`));
+                if (!m) {
+                    report(C.LOG_SPLIT_FORMAT, "LOG split must look like PAY-101=1h,PAY-102=30m.", span);
+                    ok = false;
+                    continue;
+                }
+                if (issues.length && !issues.includes(m[1])) {
+                    report(C.LOG_SPLIT_UNKNOWN_ISSUE, `LOG split names ${m[1]}, which is not one of the commit's issue keys.`, span);
+                    ok = false;
+                }
+                if (logAllocations.some(a => a.issueKey === m[1])) {
+                    report(C.LOG_SPLIT_DUPLICATE, `LOG split lists ${m[1]} more than once.`, span);
+                    ok = false;
+                }
+                const hours = parseDuration(m[2].trim(), span.end - m[2].length, logLine);
+                if (hours === null) {
+                    ok = false;
+                } else if (!(hours > 0)) {
+                    report(C.LOG_NOT_POSITIVE, "LOG hours must be a positive number.", span);
+                    ok = false;
                 } else {
-                    failFormat("LOG must be 2h@YYYY-MM-DD, 1.5h, 1:30, or 90m.");
+                    logAllocations.push({ issueKey: m[1], hours });
                 }
             }
-        }
-
-        if (!(logHours > 0)) {
-            failFormat("LOG hours must be a positive number.");
-        }
-
-        // date validation: format vs calendar validity
-        if (datePart) {
-            if (!/^\d{4}-\d{2}-\d{2}$/.test(datePart)) {
-                failFormat("date must be yyyy-mm-dd.");
-            }
-            if (!isValidISODate(datePart)) {
-                throw new Error("LOG date must be a valid calendar date (yyyy-mm-dd).");
-            }
-            logDate = datePart;
-        } else if (dateToken) {
-            if (!/^\d{4}-\d{2}-\d{2}$/.test(dateToken)) {
-                failFormat("date must be yyyy-mm-dd.");
-            }
-            if (!isValidISODate(dateToken)) {
-                throw new Error("LOG date must be a valid calendar date (yyyy-mm-dd).");
+            if (ok) logHours = logAllocations.reduce((sum, a) => sum + a.hours, 0);
+            else logAllocations = null;
+        } else if (/^\d{1,2}:\d{2}-\d{1,2}:\d{2}$/.test(timePart)) {
+            // time range: 09:30-11:45
+            const [from, to] = timePart.split("-");
+            const start = checkTime(from, "LOG", timeStart, logLine);
+            const end = checkTime(to, "LOG", timeStart + from.length + 1, logLine);
+            const mins = (t) => Number(t.slice(0, 2)) * 60 + Number(t.slice(3));
+            if (start && end && mins(end) <= mins(start)) {
+                report(C.LOG_RANGE, "LOG range must end after it starts (and within the day).", {
+                    token: "LOG", line: logLine, start: timeStart, end: timeStart + timePart.length
+                });
+            } else if (start && end) {
+                logHours = (mins(end) - mins(start)) / 60;
+                logStartTime = start;
             }
-            logDate = dateToken;
         } else {
-            logDate = null;
-        }
-    } else {
-        // No LOG; still validate DATE if present
-        if (dateToken) {
-            if (!/^\d{4}-\d{2}-\d{2}$/.test(dateToken)) {
-                failFormat("date must be yyyy-mm-dd.");
+            const hours = parseDuration(timePart, timeStart, logLine);
+            if (hours !== null && !(hours > 0)) {
+                report(C.LOG_NOT_POSITIVE, "LOG hours must be a positive number.", {
+                    token: "LOG", line: logLine, start: timeStart, end: timeStart + timePart.length
+                });
+            } else {
+                logHours = hours;
             }
-            if (!isValidISODate(dateToken)) {
-                throw new Error("LOG date must be a valid calendar date (yyyy-mm-dd).");
+        }
+
+        if (datePart) {
+            const when = checkWhen(datePart, logTok, timeStart + atIdx + 1, logLine);
+            logDate = when.date;
+            if (when.time && logStartTime) {
+                report(C.LOG_FORMAT, "a LOG range already gives the start time; drop the time after @.", {
+                    token: "LOG", line: logLine, start: timeStart + atIdx + 1, end: timeStart + rawLog.length
+                });
+            } else if (when.time) {
+                logStartTime = when.time;
             }
-            logDate = dateToken;
-        } else {
-            logDate = null;
         }
     }
 
-    if (status !== null && !status.trim()) {
-        failFormat("STATUS value cannot be empty.");
+    // DATE applies when LOG carries no @date (or there is no LOG at all)
+    const dateTok = firstOf("DATE");
+    if (dateTok?.value && !logDate && !(rawLog && rawLog.includes("@"))) {
+        const when = checkWhen(dateTok.value, dateTok, dateTok.valueStart, dateTok.line);
+        logDate = when.date;
+        logStartTime ??= when.time;
     }
 
-    return { issue, issueKey, status, logHours, logDate, comment, phase, ready, firstLine };
+    // ---- BILL parsing -------------------------------------------------------
+    // BILL:1.5h / 1h30m / 1:30 / 45m is the billable part of LOG; BILL:0 books it all non-billable
+    const billTok = firstOf("BILL");
+    let billHours = null;
+    if (billTok?.value) {
+        const value = billTok.value.trim();
+        const span = { token: "BILL", line: billTok.line, start: billTok.valueStart, end: billTok.end };
+        let m;
+        if (/^0+(?:\.0+)?[hm]?$/i.test(value)) billHours = 0;
+        else if ((m = /^(\d+(?:\.\d+)?)h$/i.exec(value))) billHours = parseFloat(m[1]);
+        else if ((m = /^(\d+):(\d{2})$/.exec(value) || /^(\d+)h\s*(\d{1,2})m$/i.exec(value)) && +m[2] < 60) billHours = +m[1] + m[2] / 60;
+        else if ((m = /^(\d+)m$/i.exec(value))) billHours = +m[1] / 60;
+        else report(C.BILL_FORMAT, `${where(billTok)} must be 0 (non-billable), 1.5h, 1:30, 1h30m or 45m.`, span);
+
+        if (billHours !== null && rawLog == null) {
+            report(C.BILL_WITHOUT_LOG, `${where(billTok)} splits the LOG time; without LOG the value is ignored.`, { ...span, severity: "warning" });
+            billHours = null;
+        } else if (billHours !== null && logHours !== null && billHours > logHours + 1e-9) {
+            report(C.BILL_EXCEEDS_LOG, `${where(billTok)} (${billHours}h) is more than the logged ${logHours}h.`, span);
+            billHours = null;
+        }
+    }
+
+    return {
+        result: { issue, issueKey, issues, status, logHours, logDate, logDateRelative, logStartTime, logAllocations, billHours, comment, phase, ready, resolution, fixVersion, attributes, conventional, firstLine },
+        diagnostics,
+    };
+}
+
+export function parseCommitMessage(message, opts = {}) {
+    const { result, diagnostics } = analyzeCommitMessage(message, opts);
+    const firstError = diagnostics.find(d => d.severity === "error");
+    if (firstError) throw new SuperCommitFormatError(firstError, diagnostics);
+    return result;
 }
 
-export default { parseCommitMessage };
\ No newline at end of file
+export default { parseCommitMessage, analyzeCommitMessage, looksLikeSuperCommit, sanitizeFirstLine, findTokens, parseTrailers, parseConventionalHeader, TOKEN_NAMES, PARSER_MODES, TRAILER_TOKENS, DIAGNOSTIC_CODES };
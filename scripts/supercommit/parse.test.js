@@ -2,7 +2,7 @@
 // Node 20+, ESM using node:test
 import test from "node:test";
 import assert from "node:assert/strict";
-import { parseCommitMessage } from "./parse.js";
+import { parseCommitMessage, analyzeCommitMessage, looksLikeSuperCommit, SuperCommitFormatError } from "./parse.js";
 
 test("all tokens present, any order", () => {
     const msg = "PAY-101 COMMENT:Refactor LOG:2.5h@2025-10-01 STATUS:In Progress PHASE:Development";
@@ -153,4 +153,229 @@ test("COMMENT containing 'HTTP:' does not break token parsing", () => {
     assert.equal(r.comment, "Fix HTTP:500 retry handler");
     assert.equal(r.logHours, 1);
     assert.equal(r.logDate, "2025-10-13");
-});
\ No newline at end of file
+});
+
+// ---- Multiple issue keys ---------------------------------------------------
+
+test("several leading issue keys", () => {
+    const r = parseCommitMessage("PAY-101,PAY-102 STATUS:Build LOG:2h");
+    assert.deepEqual(r.issues, ["PAY-101", "PAY-102"]);
+    assert.equal(r.issueKey, "PAY-101");
+    assert.equal(r.status, "Build");
+    assert.equal(r.logHours, 2);
+    assert.equal(r.logAllocations, null);
+});
+
+test("LOG split per issue", () => {
+    const r = parseCommitMessage("PAY-101,PAY-102 LOG:PAY-101=1h,PAY-102=30m@2025-10-01");
+    assert.deepEqual(r.logAllocations, [
+        { issueKey: "PAY-101", hours: 1 },
+        { issueKey: "PAY-102", hours: 0.5 },
+    ]);
+    assert.equal(r.logHours, 1.5);
+    assert.equal(r.logDate, "2025-10-01");
+});
+
+test("LOG split naming an unknown issue -> error", () => {
+    assert.throws(
+        () => parseCommitMessage("PAY-101,PAY-102 LOG:PAY-101=1h,PAY-999=1h"),
+        /not one of the commit's issue keys/i
+    );
+});
+
+test("duplicate issue key -> error", () => {
+    assert.throws(
+        () => parseCommitMessage("PAY-101,PAY-101 LOG:1h"),
+        /listed more than once/i
+    );
+});
+
+test("looksLikeSuperCommit pre-check", () => {
+    assert.equal(looksLikeSuperCommit("PAY-101 LOG:2h"), true);
+    assert.equal(looksLikeSuperCommit("PAY-101,PAY-102 STATUS:Build"), true);
+    assert.equal(looksLikeSuperCommit("fix typo in README"), false);
+    assert.equal(looksLikeSuperCommit("Merge branch 'main'"), false);
+});
+
+// ---- Structured diagnostics ------------------------------------------------
+
+const codes = (msg, opts) => analyzeCommitMessage(msg, opts).diagnostics.map(d => d.code);
+
+test("analyze never throws and reports every problem", () => {
+    const { result, diagnostics } = analyzeCommitMessage("ABC-1 LOG:2@2025/01/01 STATUS:A STATUS:B");
+    assert.deepEqual(diagnostics.map(d => d.code), ["DUPLICATE_TOKEN", "LOG_FORMAT", "DATE_FORMAT"]);
+    assert.equal(result.issue, "ABC-1");
+    assert.ok(diagnostics.every(d => d.severity === "error"));
+});
+
+test("diagnostics carry token and columns", () => {
+    const [d] = analyzeCommitMessage("ABC-1 LOG:1h@2025-02-30").diagnostics;
+    assert.equal(d.code, "DATE_INVALID");
+    assert.equal(d.token, "LOG");
+    assert.deepEqual([d.start, d.end], [13, 23]);
+    assert.match(d.message, /^LOG date/);
+
+    // the message names the token the bad date came from
+    const [fromDate] = analyzeCommitMessage("ABC-1 LOG:1h DATE:2025-02-30").diagnostics;
+    assert.equal(fromDate.code, "DATE_INVALID");
+    assert.equal(fromDate.token, "DATE");
+    assert.match(fromDate.message, /^DATE date must be a valid calendar date/);
+    const [fromTrailer] = analyzeCommitMessage("ABC-1 COMMENT:fix rounding\n\nWork-Date: 2025-02-30").diagnostics;
+    assert.equal(fromTrailer.code, "DATE_INVALID");
+    assert.match(fromTrailer.message, /^Work-Date date must be a valid calendar date/);
+});
+
+test("parseCommitMessage throws SuperCommitFormatError with code", () => {
+    assert.throws(
+        () => parseCommitMessage("ABC-1 LOG:1h@2025-02-30"),
+        (e) => e instanceof SuperCommitFormatError &&
+            e.code === "DATE_INVALID" &&
+            /^Super Commit format: /.test(e.message) &&
+            e.diagnostics.length === 1
+    );
+    assert.throws(() => parseCommitMessage(""), { code: "EMPTY_MESSAGE" });
+    assert.throws(() => parseCommitMessage("OPS55 LOG:1h"), { code: "MISSING_ISSUE_KEY" });
+    assert.throws(() => parseCommitMessage("ABC-1 LOG:0h"), { code: "LOG_NOT_POSITIVE" });
+    assert.throws(() => parseCommitMessage("ABC-1 LOG:1:75"), { code: "LOG_MINUTES_RANGE" });
+    assert.throws(() => parseCommitMessage("ABC-1 STATUS: LOG:1h"), { code: "EMPTY_VALUE" });
+});
+
+test("warnings do not make parseCommitMessage throw", () => {
+    assert.deepEqual(codes("ABC-1 FOO:bar"), ["UNKNOWN_TOKEN"]);
+    assert.deepEqual(codes("ABC-1 did stuff LOG:1h"), ["STRAY_TEXT"]);
+    assert.deepEqual(codes("ABC-1 READY:maybe"), ["READY_VALUE"]);
+    assert.equal(parseCommitMessage("ABC-1 READY:maybe").ready, null);
+    assert.deepEqual(codes("ABC-1 COMMENT:Fix HTTP:500"), []);
+});
+test("RESOLUTION and FIXVERSION go with STATUS", () => {
+    const r = parseCommitMessage("PAY-101 STATUS:Done RESOLUTION:Won't Do FIXVERSION:1.4.0,1.5.0");
+    assert.equal(r.status, "Done");
+    assert.equal(r.resolution, "Won't Do");
+    assert.equal(r.fixVersion, "1.4.0,1.5.0");
+    assert.deepEqual(codes("PAY-101 RESOLUTION:Fixed"), ["FIELD_WITHOUT_STATUS"]);
+});
+
+// ---- Git trailers ------------------------------------------------------------
+
+test("trailers in the body drive a conventional subject", () => {
+    const msg = [
+        "fix(pay): retry on gateway timeout",
+        "",
+        "The gateway drops idle sockets after 30s.",
+        "",
+        "Jira-Issue: PAY-101, PAY-102",
+        "Jira-Status: Validate Test",
+        "Time-Spent: 1h30m",
+        "Work-Date: 2025-10-01",
+        "Jira-Comment: Retry with backoff",
+        "  covers both gateways",
+        "Signed-off-by: Ana <ana@example.com>",
+    ].join("\n");
+    const r = parseCommitMessage(msg);
+    assert.deepEqual(r.issues, ["PAY-101", "PAY-102"]);
+    assert.equal(r.status, "Validate Test");
+    assert.equal(r.logHours, 1.5);
+    assert.equal(r.logDate, "2025-10-01");
+    assert.equal(r.comment, "Retry with backoff\ncovers both gateways");
+    assert.equal(looksLikeSuperCommit(msg), true);
+});
+
+test("trailers merge with first-line tokens; disagreement is reported on the trailer line", () => {
+    const merged = parseCommitMessage("PAY-101 STATUS:Build\n\nTime-Spent: 2h\nJira-Status: build");
+    assert.deepEqual([merged.status, merged.logHours], ["Build", 2]);
+
+    const [d] = analyzeCommitMessage("PAY-101 STATUS:Build\n\nJira-Status: Validate Test").diagnostics;
+    assert.deepEqual([d.code, d.token, d.line], ["CONFLICTING_VALUE", "STATUS", 3]);
+    assert.deepEqual(codes("PAY-101 LOG:1h\n\nJira-Issue: PAY-102"), ["CONFLICTING_VALUE"]);
+});
+
+test("only the last paragraph counts as trailers", () => {
+    assert.deepEqual(codes("PAY-101 LOG:1h\n\nJira-Status: Build\nnot a trailer"), ["TRAILERS_IGNORED"]);
+    assert.deepEqual(codes("PAY-101 LOG:1h\n\nJira-Status: Build\n\nnot a trailer"), []);
+    assert.equal(parseCommitMessage("PAY-101 LOG:1h\n\nJira-Status: Build\nnot a trailer").status, null);
+    assert.equal(looksLikeSuperCommit("Jira-Issue: PAY-1"), false);
+});
+
+test("a cherry-pick -x line does not hide the trailers", () => {
+    const msg = [
+        "PAY-101 COMMENT:fix rounding",
+        "",
+        "Time-Spent: 1h",
+        "Jira-Status: Validate Test",
+        "(cherry picked from commit 1f2e3d4c5b6a7980f1e2d3c4b5a6978012345678)",
+    ].join("\n");
+    const r = parseCommitMessage(msg);
+    assert.deepEqual([r.status, r.logHours], ["Validate Test", 1]);
+    assert.deepEqual(codes(msg), []);
+    // a git-generated line tolerates a few other lines, as long as a quarter are trailers
+    assert.equal(parseCommitMessage("PAY-101 x\n\nJira-Status: Done\nreviewed on the call\nSigned-off-by: Ana <ana@example.com>").status, "Done");
+    assert.equal(parseCommitMessage("PAY-101 x\n\nJira-Status: Done\na\nb\nc\nd\ne\nf\ng\n(cherry picked from commit 1f2e3d4)").status, null);
+});
+
+test("conventional mode finds the key in the scope, a Refs: footer or the subject", () => {
+    const conv = { mode: "conventional" };
+    const r = parseCommitMessage("feat(PAY-101)!: add refund flow LOG:1h@2025-10-01", conv);
+    assert.deepEqual(r.issues, ["PAY-101"]);
+    assert.equal(r.logHours, 1);
+    assert.deepEqual(r.conventional, { type: "feat", scope: "PAY-101", breaking: true, description: "add refund flow" });
+
+    assert.deepEqual(parseCommitMessage("fix(api): retry\n\nRefs: PAY-7, PAY-8", conv).issues, ["PAY-7", "PAY-8"]);
+    assert.deepEqual(parseCommitMessage("chore: bump deps for PAY-9", conv).issues, ["PAY-9"]);
+    assert.equal(parseCommitMessage("fix(PAY-1): x\n\nBREAKING CHANGE: drops v1", conv).conventional.breaking, true);
+    assert.equal(looksLikeSuperCommit("docs: typo", conv), false);
+    assert.deepEqual(codes("fix(PAY-1): x\n\nJira-Issue: PAY-2", conv), ["CONFLICTING_VALUE"]);
+});
+
+test("strict mode still needs the key at the start", () => {
+    assert.deepEqual(codes("feat(PAY-101): add refund flow"), ["MISSING_ISSUE_KEY"]);
+    assert.equal(looksLikeSuperCommit("feat(PAY-101): add refund flow"), false);
+    assert.equal(parseCommitMessage("PAY-101 LOG:1h", { mode: "conventional" }).conventional, null);
+});
+
+test("relative dates resolve against the commit's day", () => {
+    const opts = { today: "2025-10-01" };
+    const r = parseCommitMessage("PAY-101 LOG:2h@yesterday", opts);
+    assert.deepEqual([r.logDate, r.logDateRelative], ["2025-09-30", "yesterday"]);
+    assert.equal(parseCommitMessage("PAY-101 LOG:1h DATE:last-fri", opts).logDate, "2025-09-26");
+    assert.equal(parseCommitMessage("PAY-101 LOG:1h@-2d", opts).logDate, "2025-09-29");
+    assert.equal(parseCommitMessage("PAY-101 LOG:1h@2025-09-01", opts).logDateRelative, null);
+    assert.deepEqual(codes("PAY-101 LOG:1h@someday", opts), ["DATE_FORMAT"]);
+});
+
+test("LOG start times and ranges", () => {
+    const opts = { today: "2025-10-01" };
+    const at = parseCommitMessage("PAY-101 LOG:2h@2025-09-30T14:00", opts);
+    assert.deepEqual([at.logHours, at.logDate, at.logStartTime], [2, "2025-09-30", "14:00"]);
+    assert.deepEqual([parseCommitMessage("PAY-101 LOG:1h@9:15", opts).logDate, parseCommitMessage("PAY-101 LOG:1h@9:15", opts).logStartTime], [null, "09:15"]);
+    assert.equal(parseCommitMessage("PAY-101 LOG:1h@yesterdayT08:00", opts).logDate, "2025-09-30");
+
+    const range = parseCommitMessage("PAY-101 LOG:09:30-11:45@2025-10-01", opts);
+    assert.deepEqual([range.logHours, range.logStartTime, range.logDate], [2.25, "09:30", "2025-10-01"]);
+    assert.equal(parseCommitMessage("PAY-101 LOG:1:30").logStartTime, null); // h:mm is still a duration
+
+    assert.deepEqual(codes("PAY-101 LOG:11:00-09:00"), ["LOG_RANGE"]);
+    assert.deepEqual(codes("PAY-101 LOG:2h@2025-10-01T25:00"), ["TIME_INVALID"]);
+    assert.deepEqual(codes("PAY-101 LOG:09:00-10:00@11:00"), ["LOG_FORMAT"]);
+});
+
+test("ATTR is repeatable, also as Work-Attribute trailers", () => {
+    const r = parseCommitMessage("PAY-101 LOG:1h ATTR:_Billable_=true ATTR:Account=ACME-01\n\nWork-Attribute: Activity=Code review");
+    assert.deepEqual(r.attributes, [
+        { key: "_Billable_", value: "true" },
+        { key: "Account", value: "ACME-01" },
+        { key: "Activity", value: "Code review" },
+    ]);
+    assert.deepEqual(parseCommitMessage("PAY-101 LOG:1h").attributes, []);
+    assert.deepEqual(codes("PAY-101 ATTR:billable"), ["ATTR_FORMAT"]);
+    assert.deepEqual(codes("PAY-101 ATTR:_Billable_=true ATTR:_Billable_=false"), ["CONFLICTING_VALUE"]);
+});
+
+test("BILL is the billable part of LOG", () => {
+    assert.equal(parseCommitMessage("PAY-101 LOG:2h BILL:1h30m").billHours, 1.5);
+    assert.equal(parseCommitMessage("PAY-101 LOG:2h BILL:0").billHours, 0);
+    assert.equal(parseCommitMessage("PAY-101 LOG:2h\n\nBillable-Time: 45m").billHours, 0.75);
+    assert.equal(parseCommitMessage("PAY-101 LOG:2h").billHours, null);
+    assert.deepEqual(codes("PAY-101 LOG:2h BILL:lots"), ["BILL_FORMAT"]);
+    assert.deepEqual(codes("PAY-101 LOG:1h BILL:2h"), ["BILL_EXCEEDS_LOG"]);
+    assert.deepEqual(codes("PAY-101 BILL:1h"), ["BILL_WITHOUT_LOG"]);
+});
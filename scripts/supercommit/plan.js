@@ -0,0 +1,74 @@
+﻿// scripts/supercommit/plan.js
+// Node 20+, ESM.
+// Plan / apply. index.js first plans each commit: it reads what it needs (the issue's status
+// and transitions, its edit screen, the author's day, work attributes, accounts) and turns
+// every write into a step carrying the exact request it will send,
+//   { issueKey, action, title, request: { method, url, body? }, run }
+// run() sends that request when the plan is applied; nothing else writes. The plan is printed
+// first and a dry run stops there. readOnlyFetch() backs that up: installed over fetch on dry
+// runs, it turns a write that still got through into an error instead of a change.
+//
+// One kind of write cannot be planned ahead: Jira lists only the transitions available from
+// the issue's current status, so a move with no direct transition plans its first hop only.
+// Its step then carries `unplanned` ({ method, url, count, after, target }): up to `count` more
+// requests chosen once the issue is in `after`. The plan names them; they are sent only with
+// workflow.unplannedHops "apply".
+
+export const WRITE_METHODS = new Set(["POST", "PUT", "PATCH", "DELETE"]);
+
+// POSTs that only read: Tempo Server's worklog search
+const READ_ONLY_POSTS = [/\/rest\/tempo-timesheets\/4\/worklogs\/search$/];
+
+/** A write attempted while writes are off (a dry run). */
+export class DryRunWriteError extends Error {
+    constructor(method, url) {
+        super(`Dry run: refused ${method} ${url}; a dry run never writes.`);
+        this.name = "DryRunWriteError";
+        this.method = method;
+        this.url = url;
+    }
+}
+
+/** True when a request only reads: GET/HEAD, or a search sent as POST. */
+export function isReadOnly(method, url) {
+    const m = String(method || "GET").toUpperCase();
+    if (!WRITE_METHODS.has(m)) return true;
+    const path = String(url).split("?")[0];
+    return m === "POST" && READ_ONLY_POSTS.some(re => re.test(path));
+}
+
+/** fetch that passes reads on to `realFetch` and throws DryRunWriteError for writes. */
+export function readOnlyFetch(realFetch = globalThis.fetch) {
+    return async (input, init = {}) => {
+        const method = String(init.method || input?.method || "GET").toUpperCase();
+        const url = String(input?.url ?? input);
+        if (!isReadOnly(method, url)) {
+            console.error(`[SuperCommit][ERROR] Dry run: blocked ${method} ${url}.`);
+            throw new DryRunWriteError(method, url);
+        }
+        return realFetch(input, init);
+    };
+}
+
+/** A step as the report keeps it (without run). */
+export function describeStep({ issueKey, action, title, request, unplanned }) {
+    return { issueKey, action, title, request, ...(unplanned ? { unplanned } : {}) };
+}
+
+/** What the plan cannot show of a step: "then up to 3 more POST <url> ...". */
+export function describeUnplanned({ method, url, count, after, target }) {
+    return `then up to ${count} more ${method} ${url}, not shown: the transitions after "${after}" ` +
+        `towards "${target}" are only offered once the issue is there`;
+}
+
+/** The plan as log lines: each step numbered, its request below it, then the JSON body and what it cannot show. */
+export function formatPlan(steps) {
+    return (steps ?? []).map((s, i) => [
+        `  ${i + 1}. ${s.issueKey} ${s.action}: ${s.title}`,
+        `     ${s.request.method} ${s.request.url}`,
+        ...(s.request.body !== undefined ? [`     ${JSON.stringify(s.request.body)}`] : []),
+        ...(s.unplanned ? [`     ${describeUnplanned(s.unplanned)}`] : []),
+    ].join("\n")).join("\n");
+}
+
+export default { readOnlyFetch, isReadOnly, describeStep, describeUnplanned, formatPlan, DryRunWriteError, WRITE_METHODS };
@@ -0,0 +1,106 @@
+// scripts/supercommit/plan.test.js
+// Node 20+, ESM using node:test
+import test from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { readOnlyFetch, formatPlan, describeStep, isReadOnly, DryRunWriteError } from "./plan.js";
+import { DEFAULT_CONFIG } from "./config.js";
+
+test("a dry run's fetch lets reads through and refuses every write", async () => {
+    const sent = [];
+    const guarded = readOnlyFetch(async (url, init) => {
+        sent.push(`${init?.method ?? "GET"} ${url}`);
+        return new Response("{}", { status: 200 });
+    });
+
+    await guarded("https://x.atlassian.net/rest/api/3/issue/PAY-1");
+    await guarded("https://jira.acme.io/rest/tempo-timesheets/4/worklogs/search", { method: "POST", body: "{}" });
+    for (const method of ["POST", "PUT", "DELETE", "patch"]) {
+        await assert.rejects(guarded("https://x.atlassian.net/rest/api/3/issue/PAY-1", { method }), DryRunWriteError);
+    }
+    assert.deepEqual(sent, [
+        "GET https://x.atlassian.net/rest/api/3/issue/PAY-1",
+        "POST https://jira.acme.io/rest/tempo-timesheets/4/worklogs/search",
+    ]);
+    assert.equal(isReadOnly("POST", "https://api.tempo.io/4/worklogs"), false);
+});
+
+test("the plan lists each write with its request and body", () => {
+    const steps = [
+        {
+            issueKey: "PAY-1", action: "transition", title: "\"Build\" → \"Validate Test\" via \"Send to QA\"",
+            request: { method: "POST", url: "https://x.atlassian.net/rest/api/3/issue/PAY-1/transitions", body: { transition: { id: "21" } } },
+            run: async () => ({}),
+        },
+        {
+            issueKey: "PAY-1", action: "revert", title: "delete Jira comment 200 of abc1234",
+            request: { method: "DELETE", url: "https://x.atlassian.net/rest/api/3/issue/PAY-1/comment/200" },
+            run: async () => ({}),
+        },
+    ];
+    assert.equal(formatPlan(steps), [
+        "  1. PAY-1 transition: \"Build\" → \"Validate Test\" via \"Send to QA\"",
+        "     POST https://x.atlassian.net/rest/api/3/issue/PAY-1/transitions",
+        "     {\"transition\":{\"id\":\"21\"}}",
+        "  2. PAY-1 revert: delete Jira comment 200 of abc1234",
+        "     DELETE https://x.atlassian.net/rest/api/3/issue/PAY-1/comment/200",
+    ].join("\n"));
+    assert.deepEqual(Object.keys(describeStep(steps[0])), ["issueKey", "action", "title", "request"]);
+});
+
+// A dry run of index.js replaying `interactions` (see cassette.js); returns its log and run report
+function dryRun(commits, interactions, overrides = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "supercommit-plan-"));
+    try {
+        const config = {
+            ...structuredClone(DEFAULT_CONFIG),
+            dryRun: true,
+            jira: { ...DEFAULT_CONFIG.jira, maxRetries: 0 },
+            ledger: { ...DEFAULT_CONFIG.ledger, store: "file", file: path.join(dir, "ledger.json") },
+            report: { file: path.join(dir, "report.json"), summary: false },
+            ...overrides,
+        };
+        const cassette = path.join(dir, "run.json");
+        fs.writeFileSync(cassette, JSON.stringify({
+            version: 1, recordedAt: "2026-10-19T09:00:00Z",
+            env: { jiraBaseUrl: "https://x.atlassian.net", jiraEmail: true, jiraToken: true },
+            config, commits, interactions,
+        }));
+        const index = fileURLToPath(new URL("./index.js", import.meta.url));
+        const run = spawnSync(process.execPath, [index, "--replay", cassette], {
+            cwd: dir, encoding: "utf8", timeout: 30000, env: { PATH: process.env.PATH },
+        });
+        return { log: run.stdout + run.stderr, report: JSON.parse(fs.readFileSync(config.report.file, "utf8")) };
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test("a two-step move plans its first hop and names the POSTs it cannot show", () => {
+    // Analyze and Size → Build → Validate Test: only "Start build" is offered where the issue is
+    const url = "https://x.atlassian.net/rest/api/3/issue/PAY-1/transitions";
+    const commits = [{ sha: "a".repeat(40), message: "PAY-1 STATUS:Validate Test", author: { name: "Asha Rao", email: "asha@acme.io" } }];
+    const interactions = [
+        { request: { method: "GET", url: "https://x.atlassian.net/rest/api/3/issue/PAY-1?fields=status" }, response: { status: 200, body: { id: "10001", key: "PAY-1", fields: { status: { name: "Analyze and Size" } } } } },
+        { request: { method: "GET", url: `${url}?expand=transitions.fields` }, response: { status: 200, body: { transitions: [{ id: "11", name: "Start build", to: { name: "Build" } }] } } },
+    ];
+
+    const applied = dryRun(commits, interactions);
+    assert.deepEqual(applied.report.plan.map(({ request, unplanned }) => ({ request, unplanned })), [{
+        request: { method: "POST", url, body: { transition: { id: "11" } } },
+        unplanned: { method: "POST", url, count: 3, after: "Build", target: "Validate Test" },
+    }]);
+    assert.match(applied.log, /then up to 3 more POST \S+\/issue\/PAY-1\/transitions, not shown: the transitions after "Build" towards "Validate Test"/);
+    assert.deepEqual(applied.report.actions.map(a => [a.action, a.status]), [["transition", "skipped"]]);
+
+    const refused = dryRun(commits, interactions, { workflow: { ...DEFAULT_CONFIG.workflow, unplannedHops: "refuse" } });
+    assert.deepEqual(refused.report.plan, []);
+    assert.equal(refused.report.actions.length, 1);
+    assert.equal(refused.report.actions[0].status, "failed");
+    assert.match(refused.report.actions[0].reason, /^stopped at "Analyze and Size" short of "Validate Test": no direct transition .* workflow\.unplannedHops/);
+    assert.equal(refused.report.exitCode, 1);
+});
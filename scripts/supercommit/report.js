@@ -0,0 +1,82 @@
+﻿// scripts/supercommit/report.js
+// Node 20+, ESM. Pure: no network, no env.
+// Run report: one entry per action and issue,
+//   { sha, issueKey, action, status: "ok" | "skipped" | "failed", reason, id? }
+// where id is the transition, worklog or comment id the action created, plus the planned
+// writes with their requests (see plan.js). index.js writes it as JSON (report.file) and
+// renders it into the GitHub step summary (report.summary).
+//
+// failurePolicy in the config decides per action what a failure does to the run:
+//   "fail"    the commit fails and the run exits with 1
+//   "warn"    a warning (annotation in Actions); the run stays green
+//   "ignore"  only the report shows it
+
+export const REPORT_ACTIONS = ["ready", "transition", "tempo", "comment", "revert"];
+export const FAILURE_POLICIES = ["fail", "warn", "ignore"];
+
+/** Failed actions by what failurePolicy does with them ({ fail, warn }; ignored ones are left out). */
+export function applyFailurePolicy(actions, policy = {}) {
+    const failed = (actions ?? []).filter(a => a.status === "failed");
+    return {
+        fail: failed.filter(a => (policy[a.action] ?? "fail") === "fail"),
+        warn: failed.filter(a => policy[a.action] === "warn"),
+    };
+}
+
+/**
+ * The JSON report of a run.
+ * @param {object} run  { commits: [{ sha, subject, status, reason, issues, actions, plan }], policy, dryRun, startedAt, finishedAt }
+ */
+export function buildReport({ commits = [], policy = {}, dryRun = false, startedAt = "", finishedAt = "" } = {}) {
+    const actions = commits.flatMap(c => c.actions ?? []);
+    const count = (list) => Object.fromEntries(
+        ["ok", "applied", "skipped", "failed"]
+            .map(s => [s, list.filter(x => x.status === s).length])
+            .filter(([, n]) => n)
+    );
+    return {
+        version: 1,
+        startedAt,
+        finishedAt,
+        dryRun,
+        exitCode: commits.some(c => c.status === "failed") ? 1 : 0,
+        totals: { commits: count(commits), actions: count(actions) },
+        failurePolicy: policy,
+        commits: commits.map(({ sha, subject, status, reason, issues }) => ({ sha, subject, status, reason, issues: issues ?? [] })),
+        actions: actions.map(a => (a.status === "failed" ? { ...a, policy: policy[a.action] ?? "fail" } : a)),
+        plan: commits.flatMap(c => (c.plan ?? []).map(step => ({ sha: c.sha, ...step }))),
+    };
+}
+
+const cell = (s) => String(s ?? "").replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+const ICONS = { ok: "✅", applied: "✅", skipped: "⏭️", failed: "❌" };
+
+/** Markdown for GITHUB_STEP_SUMMARY: totals, then one row per action (or per commit without actions). */
+export function renderSummary(report) {
+    const { commits, actions } = report;
+    const failed = commits.filter(c => c.status === "failed").length;
+    const lines = [
+        `### Super Commit${report.dryRun ? " (dry run)" : ""}`,
+        "",
+        `${commits.length} commit${commits.length === 1 ? "" : "s"}, ${failed ? `❌ ${failed} failed` : "✅ none failed"}.`,
+        "",
+        "| Commit | Issue | Action | Status | Details |",
+        "|---|---|---|---|---|",
+    ];
+    for (const c of commits) {
+        const sha = c.sha ? `\`${c.sha.slice(0, 7)}\`` : "—";
+        const own = actions.filter(a => a.sha === c.sha);
+        if (!own.length) {
+            lines.push(`| ${sha} | ${cell(c.issues.join(", ")) || "—"} | — | ${ICONS[c.status] ?? ""} ${c.status} | ${cell(c.reason || c.subject)} |`);
+            continue;
+        }
+        for (const a of own) {
+            const status = `${ICONS[a.status]} ${a.status}${a.policy && a.policy !== "fail" ? ` (${a.policy})` : ""}`;
+            const details = [a.reason, a.id ? `id ${a.id}` : ""].filter(Boolean).join("; ");
+            lines.push(`| ${sha} | ${cell(a.issueKey)} | ${a.action} | ${status} | ${cell(details)} |`);
+        }
+    }
+    return lines.join("\n") + "\n";
+}
+
+export default { applyFailurePolicy, buildReport, renderSummary, REPORT_ACTIONS, FAILURE_POLICIES };
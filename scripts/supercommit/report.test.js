@@ -0,0 +1,46 @@
+// scripts/supercommit/report.test.js
+// Node 20+, ESM using node:test
+import test from "node:test";
+import assert from "node:assert/strict";
+import { applyFailurePolicy, buildReport, renderSummary } from "./report.js";
+
+const policy = { ready: "warn", transition: "fail", tempo: "fail", comment: "ignore" };
+const actions = [
+    { sha: "abc1234def", issueKey: "PAY-1", action: "transition", status: "ok", reason: "\"Build\" → \"Validate Test\"", id: "31" },
+    { sha: "abc1234def", issueKey: "PAY-1", action: "ready", status: "failed", reason: "option \"Yes\" | missing" },
+    { sha: "abc1234def", issueKey: "PAY-1", action: "comment", status: "failed", reason: "403" },
+    { sha: "abc1234def", issueKey: "PAY-1", action: "tempo", status: "skipped", reason: "already applied (ledger)" },
+];
+
+test("failurePolicy sorts failed actions into fail and warn", () => {
+    const { fail, warn } = applyFailurePolicy(actions, policy);
+    assert.deepEqual([fail.length, warn.map(a => a.action)], [0, ["ready"]]);
+    // actions missing from the policy fail
+    assert.equal(applyFailurePolicy([{ action: "revert", status: "failed" }], policy).fail.length, 1);
+});
+
+test("report totals, exit code and step summary table", () => {
+    const report = buildReport({
+        commits: [
+            {
+                sha: "abc1234def", subject: "PAY-1 STATUS:ValidateTest", status: "applied", reason: "", issues: ["PAY-1"], actions,
+                plan: [{ issueKey: "PAY-1", action: "transition", title: "via \"Send to QA\"", request: { method: "POST", url: "/transitions", body: { transition: { id: "31" } } } }],
+            },
+            { sha: "fff0000aaa", subject: "chore: tidy", status: "skipped", reason: "not a super commit", issues: [] },
+        ],
+        policy,
+    });
+    assert.equal(report.exitCode, 0);
+    assert.deepEqual(report.totals, { commits: { applied: 1, skipped: 1 }, actions: { ok: 1, skipped: 1, failed: 2 } });
+    assert.equal(report.actions[1].policy, "warn");
+    assert.equal(report.commits[0].actions, undefined);
+    assert.deepEqual([report.plan.length, report.plan[0].sha, report.plan[0].request.method], [1, "abc1234def", "POST"]);
+
+    const md = renderSummary(report);
+    assert.match(md, /^### Super Commit\n\n2 commits, ✅ none failed\./);
+    assert.match(md, /\| `abc1234` \| PAY-1 \| transition \| ✅ ok \| "Build" → "Validate Test"; id 31 \|/);
+    assert.match(md, /\| ready \| ❌ failed \(warn\) \| option "Yes" \\\| missing \|/);
+    assert.match(md, /\| `fff0000` \| — \| — \| ⏭️ skipped \| not a super commit \|/);
+
+    assert.equal(buildReport({ commits: [{ sha: "", status: "failed", reason: "x" }] }).exitCode, 1);
+});
@@ -0,0 +1,115 @@
+﻿// scripts/supercommit/rules.js
+// Node 20+, ESM. Pure: no network, no env.
+// Automation rules (automation.rules in the config): what follows an applied transition.
+//   { name, from, to, branch, project,  pr, labels, reviewers, outputs, dispatch }
+// A rule fires when one hop of the move goes from `from` to `to` (status names, case-insensitive)
+// on a branch matching `branch` (a glob: * stays within one path segment, ** does not) for an
+// issue of `project` (its key prefix). Conditions left out match anything.
+//
+// What fired rules ask for is collected for the run and written as step outputs at its end
+// (see followUpOutputs): create_pr with pr_labels, pr_reviewers, pr_issue and pr_transition for
+// the Auto PR workflow, `dispatch` (repository_dispatch events to send), `rules` (what fired)
+// and each rule's own outputs. prTriggers ({ from, to }) are rules with only pr: true.
+
+// Step outputs Super Commit sets itself; rule outputs may not use these names
+export const RESERVED_OUTPUTS = [
+    "create_pr", "pr_labels", "pr_reviewers", "pr_issue", "pr_transition",
+    "dispatch", "rules", "results", "report", "cassette",
+];
+export const OUTPUT_NAME = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+
+const norm = (s) => String(s ?? "").trim().toLowerCase();
+
+/** RegExp for a branch glob: `*` matches within a path segment, `**` across segments. */
+export function globToRegExp(glob) {
+    const body = String(glob).split("**")
+        .map(part => part.split("*").map(s => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join("[^/]*"))
+        .join(".*");
+    return new RegExp(`^${body}$`);
+}
+
+/** Every rule of the config: prTriggers first (as pr rules), then automation.rules, each with a name. */
+export function rulesOf(config) {
+    return [
+        ...(config.prTriggers ?? []).map(t => ({ name: `prTriggers: ${t.from} → ${t.to}`, from: t.from, to: t.to, pr: true })),
+        ...(config.automation?.rules ?? []).map((r, i) => ({ ...r, name: r.name || `automation.rules[${i}]` })),
+    ];
+}
+
+/**
+ * Rules that fire for a move: [{ rule, hop }] with the first hop each rule matches.
+ * @param {object} move  { hops: [{ from, to }], branch, project }
+ */
+export function matchRules(rules, { hops = [], branch = "", project = "" } = {}) {
+    const fired = [];
+    for (const rule of rules ?? []) {
+        if (rule.branch && !globToRegExp(rule.branch).test(branch)) continue;
+        if (rule.project && norm(rule.project) !== norm(project)) continue;
+        const hop = hops.find(h => (!rule.from || norm(h.from) === norm(rule.from)) && (!rule.to || norm(h.to) === norm(rule.to)));
+        if (hop) fired.push({ rule, hop });
+    }
+    return fired;
+}
+
+/** What a rule does, for logs: "pull request; labels qa; dispatch qa-ready". */
+export function describeActions(rule) {
+    const parts = [];
+    if (rule.pr) parts.push("pull request");
+    if (rule.labels?.length) parts.push(`labels ${rule.labels.join(", ")}`);
+    if (rule.reviewers?.length) parts.push(`reviewers ${rule.reviewers.join(", ")}`);
+    const outputs = Object.entries(rule.outputs ?? {});
+    if (outputs.length) parts.push(`outputs ${outputs.map(([k, v]) => `${k}=${v}`).join(", ")}`);
+    if (rule.dispatch?.length) parts.push(`dispatch ${rule.dispatch.join(", ")}`);
+    return parts.join("; ") || "nothing";
+}
+
+/** Follow-ups of a run before any rule fired. */
+export function createFollowUps() {
+    return { pr: null, labels: [], reviewers: [], outputs: {}, dispatch: [], fired: [] };
+}
+
+/**
+ * Add what a fired rule asks for to `followUps`. Labels and reviewers add up; a later rule
+ * setting an output again wins. Returns warnings (outputs overwritten with another value).
+ */
+export function addFollowUps(followUps, { rule, hop }, { issueKey = "", sha = "" } = {}) {
+    const warnings = [];
+    const transition = `${hop.from} → ${hop.to}`;
+    if (rule.pr && !followUps.pr) followUps.pr = { issueKey, transition };
+    for (const l of rule.labels ?? []) if (!followUps.labels.includes(l)) followUps.labels.push(l);
+    for (const r of rule.reviewers ?? []) if (!followUps.reviewers.includes(r)) followUps.reviewers.push(r);
+    for (const [name, value] of Object.entries(rule.outputs ?? {})) {
+        const v = String(value);
+        if (name in followUps.outputs && followUps.outputs[name] !== v) {
+            warnings.push(`Rule "${rule.name}" sets output ${name} to "${v}", replacing "${followUps.outputs[name]}".`);
+        }
+        followUps.outputs[name] = v;
+    }
+    for (const event of rule.dispatch ?? []) {
+        followUps.dispatch.push({ event, rule: rule.name, issueKey, from: hop.from, to: hop.to, sha, outputs: rule.outputs ?? {} });
+    }
+    followUps.fired.push({ rule: rule.name, issueKey, from: hop.from, to: hop.to });
+    return warnings;
+}
+
+// one line per output: GITHUB_OUTPUT is line based
+const oneLine = (s) => String(s).replace(/\r?\n/g, " ");
+
+/** Step outputs (name → value) for the run's follow-ups. */
+export function followUpOutputs(followUps) {
+    return {
+        create_pr: followUps.pr ? "yes" : "no",
+        pr_labels: followUps.labels.join(","),
+        pr_reviewers: followUps.reviewers.join(","),
+        pr_issue: followUps.pr?.issueKey ?? "",
+        pr_transition: followUps.pr?.transition ?? "",
+        dispatch: JSON.stringify(followUps.dispatch),
+        rules: JSON.stringify(followUps.fired),
+        ...Object.fromEntries(Object.entries(followUps.outputs).map(([k, v]) => [k, oneLine(v)])),
+    };
+}
+
+export default {
+    rulesOf, matchRules, describeActions, createFollowUps, addFollowUps, followUpOutputs, globToRegExp,
+    RESERVED_OUTPUTS, OUTPUT_NAME,
+};
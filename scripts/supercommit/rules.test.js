@@ -0,0 +1,52 @@
+// scripts/supercommit/rules.test.js
+// Node 20+, ESM using node:test
+import test from "node:test";
+import assert from "node:assert/strict";
+import { rulesOf, matchRules, createFollowUps, addFollowUps, followUpOutputs, globToRegExp } from "./rules.js";
+
+const config = {
+    prTriggers: [{ from: "Build", to: "Validate Test" }],
+    automation: {
+        rules: [
+            { name: "QA handoff", to: "validate test", branch: "feature/*", labels: ["qa"], reviewers: ["qa-lead"], outputs: { qa_env: "staging" } },
+            { project: "OPS", to: "Done", dispatch: ["ops-release"] },
+        ],
+    },
+};
+
+test("rules match on hop, branch glob and project; conditions left out match anything", () => {
+    const rules = rulesOf(config);
+    assert.deepEqual(rules.map(r => r.name), ["prTriggers: Build → Validate Test", "QA handoff", "automation.rules[1]"]);
+
+    const hops = [{ from: "In Progress", to: "Build" }, { from: "Build", to: "Validate Test" }];
+    const fired = matchRules(rules, { hops, branch: "feature/PAY-1-login", project: "PAY" });
+    assert.deepEqual(fired.map(f => [f.rule.name, f.hop.to]), [["prTriggers: Build → Validate Test", "Validate Test"], ["QA handoff", "Validate Test"]]);
+
+    assert.deepEqual(matchRules(rules, { hops, branch: "feature/team/PAY-1", project: "PAY" }).map(f => f.rule.name), ["prTriggers: Build → Validate Test"]);
+    assert.deepEqual(matchRules(rules, { hops: [{ from: "Build", to: "Done" }], branch: "main", project: "ops" }).map(f => f.rule.name), ["automation.rules[1]"]);
+    assert.equal(globToRegExp("release/**").test("release/2026/10"), true);
+    assert.equal(globToRegExp("v1.*").test("v12"), false);
+});
+
+test("fired rules add up to the run's step outputs", () => {
+    const followUps = createFollowUps();
+    const hops = [{ from: "Build", to: "Validate Test" }];
+    for (const fired of matchRules(rulesOf(config), { hops, branch: "feature/PAY-1", project: "PAY" })) {
+        addFollowUps(followUps, fired, { issueKey: "PAY-1", sha: "abc1234" });
+    }
+    const warnings = addFollowUps(followUps, { rule: { name: "late", outputs: { qa_env: "prod\nline" }, dispatch: ["qa-ready"] }, hop: hops[0] }, { issueKey: "PAY-2" });
+    assert.deepEqual(warnings, ["Rule \"late\" sets output qa_env to \"prod\nline\", replacing \"staging\"."]);
+
+    const outputs = followUpOutputs(followUps);
+    assert.equal(outputs.create_pr, "yes");
+    assert.equal(outputs.pr_issue, "PAY-1");
+    assert.equal(outputs.pr_transition, "Build → Validate Test");
+    assert.equal(outputs.pr_labels, "qa");
+    assert.equal(outputs.pr_reviewers, "qa-lead");
+    assert.equal(outputs.qa_env, "prod line");
+    assert.deepEqual(JSON.parse(outputs.dispatch), [
+        { event: "qa-ready", rule: "late", issueKey: "PAY-2", from: "Build", to: "Validate Test", sha: "", outputs: { qa_env: "prod\nline" } },
+    ]);
+    assert.equal(JSON.parse(outputs.rules).length, 3);
+    assert.equal(followUpOutputs(createFollowUps()).create_pr, "no");
+});
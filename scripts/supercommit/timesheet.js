@@ -0,0 +1,67 @@
+﻿// scripts/supercommit/timesheet.js
+// Node 20+, ESM. Pure: no network, no env.
+// Where a new worklog goes in the author's day: overlaps with the worklogs already booked
+// that day, and the next free slot when the commit does not give a start time.
+//
+// Policies (log.overlap in the config):
+//   "warn"  keep the start time, warn about overlaps (default)
+//   "shift" without an explicit start time, move to the first free slot from log.dayStart;
+//           an explicit start time (LOG:…@…T14:00, LOG:09:30-11:45) is never moved
+//   "off"   do not look at existing worklogs
+
+export const OVERLAP_POLICIES = ["warn", "shift", "off"];
+const DAY_SECONDS = 24 * 3600;
+
+/** Seconds since midnight for "hh:mm" or "hh:mm:ss", or null. */
+export function secondsOfDay(time) {
+    const m = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(time ?? "").trim());
+    return m ? Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3] ?? 0) : null;
+}
+
+/** "hh:mm:ss" for seconds since midnight. */
+export function timeOfDay(seconds) {
+    const s = Math.max(0, Math.round(seconds));
+    return [Math.floor(s / 3600), Math.floor(s / 60) % 60, s % 60].map(n => String(n).padStart(2, "0")).join(":");
+}
+
+/** Busy intervals [{ id, start, end, issueId }] from Tempo worklogs (startTime, timeSpentSeconds). */
+export function busySlots(worklogs) {
+    return (worklogs ?? []).map(w => {
+        const start = secondsOfDay(w.startTime) ?? 0;
+        return {
+            id: String(w.tempoWorklogId ?? w.id ?? ""),
+            issueId: String(w.issue?.id ?? ""),
+            start,
+            end: start + Number(w.timeSpentSeconds || 0),
+        };
+    });
+}
+
+/** Busy intervals that [start, start + seconds) overlaps. */
+export function overlaps(busy, start, seconds) {
+    return busy.filter(b => b.start < start + seconds && start < b.end);
+}
+
+/** Earliest start >= `from` where `seconds` fit before midnight without overlapping; null if none. */
+export function nextFreeSlot(busy, seconds, from) {
+    const candidates = [from, ...busy.map(b => b.end).filter(e => e > from)].sort((a, b) => a - b);
+    return candidates.find(c => c + seconds <= DAY_SECONDS && !overlaps(busy, c, seconds).length) ?? null;
+}
+
+/**
+ * Start time for a new worklog of `seconds` among the day's `worklogs`.
+ * Returns { startTime: "hh:mm:ss", overlaps: [busy slot], shifted }.
+ */
+export function placeWorklog(worklogs, { seconds, startTime = null, dayStart = "09:00", policy = "warn" } = {}) {
+    const busy = policy === "off" ? [] : busySlots(worklogs);
+    const start = secondsOfDay(startTime ?? dayStart) ?? 9 * 3600;
+    const clashes = overlaps(busy, start, seconds);
+
+    if (clashes.length && policy === "shift" && startTime == null) {
+        const free = nextFreeSlot(busy, seconds, start);
+        if (free != null) return { startTime: timeOfDay(free), overlaps: [], shifted: true };
+    }
+    return { startTime: timeOfDay(start), overlaps: clashes, shifted: false };
+}
+
+export default { placeWorklog, nextFreeSlot, overlaps, busySlots, secondsOfDay, timeOfDay, OVERLAP_POLICIES };
@@ -0,0 +1,35 @@
+﻿// scripts/supercommit/timesheet.test.js
+// Node 20+, ESM using node:test
+import test from "node:test";
+import assert from "node:assert/strict";
+import { placeWorklog, nextFreeSlot, busySlots, timeOfDay } from "./timesheet.js";
+
+const day = [
+    { tempoWorklogId: 1, startTime: "09:00:00", timeSpentSeconds: 2 * 3600, issue: { id: 10 } },
+    { tempoWorklogId: 2, startTime: "11:30:00", timeSpentSeconds: 3600, issue: { id: 11 } },
+];
+
+test("warn keeps the start and reports overlaps", () => {
+    const r = placeWorklog(day, { seconds: 3600, policy: "warn" });
+    assert.equal(r.startTime, "09:00:00");
+    assert.deepEqual(r.overlaps.map(o => o.id), ["1"]);
+    assert.equal(r.shifted, false);
+});
+
+test("shift moves to the first gap that fits", () => {
+    assert.deepEqual(placeWorklog(day, { seconds: 1800, policy: "shift" }), { startTime: "11:00:00", overlaps: [], shifted: true });
+    assert.equal(placeWorklog(day, { seconds: 3600, policy: "shift" }).startTime, "12:30:00");
+    assert.equal(nextFreeSlot(busySlots(day), 23 * 3600, 9 * 3600), null);
+});
+
+test("an explicit start time is never moved", () => {
+    const r = placeWorklog(day, { seconds: 3600, startTime: "10:30", policy: "shift" });
+    assert.equal(r.startTime, "10:30:00");
+    assert.deepEqual(r.overlaps.map(o => o.id), ["1"]);
+    assert.deepEqual(placeWorklog(day, { seconds: 3600, startTime: "14:00" }).overlaps, []);
+});
+
+test("off ignores existing worklogs", () => {
+    assert.deepEqual(placeWorklog(day, { seconds: 3600, policy: "off" }), { startTime: "09:00:00", overlaps: [], shifted: false });
+    assert.equal(timeOfDay(37800), "10:30:00");
+});
@@ -0,0 +1,219 @@
+﻿// scripts/supercommit/transitions.js
+// Node 20+, ESM.
+// Moves an issue to a target status, hopping through intermediate statuses when the
+// workflow has no direct transition. Jira only exposes the transitions available *now*,
+// so the path is discovered one hop at a time, guided by workflow.order in the config.
+// Each hop's screen fields (resolution, fix versions, comment, custom fields) are filled
+// from commit tokens and config.transitionFields before the POST; a screen comment is ADF on
+// Cloud and wiki markup on Data Center (the client's deployment).
+
+import { matchTransition } from "./jira.js";
+import { buildCommentDoc } from "./adf.js";
+import { buildCommentWiki } from "./wiki.js";
+
+const norm = (s) => String(s ?? "").trim().toLowerCase();
+
+/** Position of a status in workflow.order (case-insensitive), or -1. */
+export function statusRank(order, status) {
+    return (order ?? []).findIndex(s => norm(s) === norm(status));
+}
+
+/** True when `target` comes before `current` in workflow.order (both must be known). */
+export function isBackward(order, current, target) {
+    const rc = statusRank(order, current);
+    const rt = statusRank(order, target);
+    return rc >= 0 && rt >= 0 && rt < rc;
+}
+
+/**
+ * Next intermediate transition towards `target`: the available transition that gets
+ * furthest along workflow.order without overshooting, skipping statuses already visited.
+ * Returns null when no available transition makes progress.
+ */
+export function chooseStep(transitions, { current, target, order, visited = new Set() }) {
+    const rc = statusRank(order, current);
+    const rt = statusRank(order, target);
+    if (rc < 0 || rt < 0 || rc === rt) return null;
+    const dir = Math.sign(rt - rc);
+
+    let best = null;
+    for (const t of transitions) {
+        const r = statusRank(order, t?.to?.name);
+        if (r < 0 || visited.has(norm(t.to.name))) continue;
+        if ((r - rc) * dir <= 0 || (rt - r) * dir < 0) continue;
+        if (!best || Math.abs(r - rc) > Math.abs(best.r - rc)) best = { t, r };
+    }
+    return best ? best.t : null;
+}
+
+/** Value for a screen field in the shape Jira expects, matched against allowedValues. Throws when not allowed. */
+function fieldValue(field, raw, label) {
+    const schema = field.schema ?? {};
+    const allowed = field.allowedValues ?? [];
+    const pick = (v) => {
+        if (!allowed.length) return null;
+        const hit = allowed.find(a => [a.name, a.value, a.id].some(x => x != null && norm(x) === norm(v)));
+        if (!hit) {
+            const names = allowed.map(a => a.name ?? a.value).filter(Boolean).join(", ");
+            throw new Error(`${label} "${v}" is not allowed; choose one of ${names}`);
+        }
+        return { id: String(hit.id) };
+    };
+
+    if (schema.type === "array") {
+        return String(raw).split(",").map(s => s.trim()).filter(Boolean)
+            .map(v => pick(v) ?? (schema.items === "string" ? v : { name: v }));
+    }
+    if (schema.type === "string") return String(raw);
+    if (schema.type === "number") return Number(raw);
+    return pick(raw) ?? { name: String(raw) };
+}
+
+/**
+ * Screen payload for one transition.
+ * `values` maps field ids (or field names, case-insensitive) to raw strings; only fields
+ * present on this transition's screen are sent. The comment body is ADF, or wiki markup with
+ * deployment "datacenter" (REST v2).
+ * Returns { fields, update, used: [valueKeys], missing: ["Name (id)"], problems: [messages] }.
+ */
+export function buildTransitionInput(transition, values = {}, { deployment = "cloud" } = {}) {
+    const fields = {};
+    const update = {};
+    const used = [];
+    const missing = [];
+    const problems = [];
+
+    for (const [id, field] of Object.entries(transition?.fields ?? {})) {
+        const label = `${field.name ?? id} (${id})`;
+        const key = Object.keys(values).find(k => k === id) ??
+            Object.keys(values).find(k => norm(k) === norm(field.name));
+        const raw = key != null ? values[key] : null;
+
+        if (raw == null || String(raw).trim() === "") {
+            if (field.required && !field.hasDefaultValue) missing.push(label);
+            continue;
+        }
+        used.push(key);
+        try {
+            if (id === "comment" || field.schema?.system === "comment") {
+                const body = deployment === "datacenter" ? buildCommentWiki(raw) : buildCommentDoc(raw);
+                update.comment = [{ add: { body } }];
+            } else {
+                const value = fieldValue(field, raw, label);
+                if (Array.isArray(value) && (field.operations ?? []).includes("add")) {
+                    update[id] = value.map(v => ({ add: v }));
+                } else {
+                    fields[id] = value;
+                }
+            }
+        } catch (e) {
+            problems.push(e.message);
+        }
+    }
+    return { fields, update, used, missing, problems };
+}
+
+/**
+ * Transition `issueKey` until it reaches `target` (a status or transition name).
+ * Returns { from, to, reached, hops: [{ id, name, from, to }], reason }.
+ * With dryRun nothing is posted: the one hop returned is the first, with the `fields` /
+ * `update` its screen would get, and `reached` tells whether it is the direct one.
+ *
+ * @param {object} client  jira.js client (getIssue, getTransitions, transition; its deployment)
+ * @param {object} opts    { order, maxHops, allowBackward, dryRun, fieldValues, fieldDefaults }
+ *                         screen values by field id/name (see buildTransitionInput): fieldValues
+ *                         from commit tokens win over fieldDefaults from config.transitionFields
+ */
+export async function moveToStatus(client, issueKey, target, {
+    order = [], maxHops = 4, allowBackward = false, dryRun = false, fieldValues = {}, fieldDefaults = {},
+} = {}) {
+    const values = { ...fieldDefaults, ...fieldValues };
+    const start = (await client.getIssue(issueKey)).status;
+    const hops = [];
+    const visited = new Set([norm(start)]);
+    const usedValues = new Set();
+    let current = start;
+    const done = (reached, reason = "") => ({ from: start, to: current, reached, hops, reason });
+
+    console.log(`[SuperCommit] ${issueKey} current status: ${start}`);
+    if (norm(current) === norm(target)) {
+        console.log(`[SuperCommit] ${issueKey} is already in "${target}"; no transition needed.`);
+        return done(true, "already there");
+    }
+    if (!allowBackward && isBackward(order, current, target)) {
+        console.warn(
+            `[SuperCommit][WARN] Refusing to move ${issueKey} backwards from "${current}" to "${target}" ` +
+            `(set workflow.allowBackward in .supercommit.json to allow).`
+        );
+        return done(false, "backward");
+    }
+
+    while (hops.length < maxHops) {
+        const transitions = await client.getTransitions(issueKey);
+        console.log(
+            `[SuperCommit] Available transitions: ${transitions
+                .map(t => `"${t.name}"(id=${t.id}, to="${t?.to?.name}")`)
+                .join(", ")}`
+        );
+
+        const direct = matchTransition(transitions, target);
+        const step = direct ?? chooseStep(transitions, { current, target, order, visited });
+        if (!step) {
+            const reason = hops.length ? `no transition from "${current}" leads towards "${target}"` : "no matching transition";
+            console.warn(`[SuperCommit][WARN] ${issueKey}: ${reason}. Stopping at "${current}".`);
+            return done(false, reason);
+        }
+        if (!allowBackward && isBackward(order, current, step?.to?.name)) {
+            console.warn(
+                `[SuperCommit][WARN] Refusing transition "${step.name}" on ${issueKey}: it moves backwards to "${step?.to?.name}" ` +
+                `(set workflow.allowBackward in .supercommit.json to allow).`
+            );
+            return done(false, "backward");
+        }
+
+        const hop = { id: String(step.id), name: step.name, from: current, to: step?.to?.name ?? "" };
+        const label = `hop ${hops.length + 1}/${maxHops}: "${hop.from}" → "${hop.to}" via "${hop.name}" (id=${hop.id})`;
+
+        const input = buildTransitionInput(step, values, { deployment: client.deployment });
+        if (input.missing.length || input.problems.length) {
+            const reason = [
+                input.missing.length ? `transition "${step.name}" requires ${input.missing.join(", ")}` : "",
+                ...input.problems,
+            ].filter(Boolean).join("; ");
+            console.warn(
+                `[SuperCommit][WARN] ${issueKey}: ${reason}. Add RESOLUTION:/FIXVERSION: to the commit or set ` +
+                `transitionFields in .supercommit.json. Stopping at "${current}".`
+            );
+            return done(false, reason);
+        }
+        input.used.forEach(k => usedValues.add(k));
+        const sent = [...Object.keys(input.fields), ...Object.keys(input.update)];
+        if (sent.length) console.log(`[SuperCommit] ${issueKey} transition screen: ${sent.join(", ")}`);
+        if (dryRun) {
+            // later hops depend on what Jira offers after this one, so a dry run can only show the first
+            console.log(`[SuperCommit] ${issueKey} next ${label}${direct ? "" : "; the further hops cannot be planned"}.`);
+            hops.push({ ...hop, fields: input.fields, update: input.update });
+            return done(!!direct, direct ? "" : "dry run");
+        }
+
+        await client.transition(issueKey, hop.id, { fields: input.fields, update: input.update });
+        console.log(`[SuperCommit] ${issueKey} ${label}`);
+        hops.push(hop);
+        current = hop.to;
+        visited.add(norm(current));
+
+        if (direct) {
+            for (const k of Object.keys(fieldValues)) {
+                if (!usedValues.has(k)) {
+                    console.warn(`[SuperCommit][WARN] ${issueKey}: ${k} was not on any transition screen; value ignored.`);
+                }
+            }
+            return done(true);
+        }
+    }
+
+    console.warn(`[SuperCommit][WARN] ${issueKey}: gave up after ${maxHops} hops at "${current}" (workflow.maxHops).`);
+    return done(false, "max hops");
+}
+
+export default { moveToStatus, chooseStep, statusRank, isBackward };
@@ -0,0 +1,145 @@
+﻿// scripts/supercommit/transitions.test.js
+// Node 20+, ESM using node:test
+import test from "node:test";
+import assert from "node:assert/strict";
+import { moveToStatus, chooseStep, buildTransitionInput } from "./transitions.js";
+
+const ORDER = ["Analyze and Size", "Build", "Validate Test", "End to End Testing"];
+
+// Jira stand-in: a workflow graph { status: [[transitionName, toStatus], ...] }
+function fakeJira(graph, status) {
+    const applied = [];
+    const ids = new Map();
+    const idOf = (name, to) => {
+        const k = `${name}->${to}`;
+        if (!ids.has(k)) ids.set(k, String(11 + ids.size * 10));
+        return ids.get(k);
+    };
+    return {
+        applied,
+        async getIssue() { return { id: "1", status }; },
+        async getTransitions() {
+            return (graph[status] ?? []).map(([name, to]) => ({ id: idOf(name, to), name, to: { name: to } }));
+        },
+        async transition(key, id) {
+            const [, to] = (graph[status] ?? []).find(([name, to]) => idOf(name, to) === id);
+            applied.push(`${status} -> ${to}`);
+            status = to;
+        },
+    };
+}
+
+const GRAPH = {
+    "Analyze and Size": [["Start build", "Build"]],
+    "Build": [["Back to analysis", "Analyze and Size"], ["Send to QA", "Validate Test"]],
+    "Validate Test": [["Rework", "Build"], ["Promote", "End to End Testing"]],
+};
+
+test("hops through intermediate statuses to reach the target", async () => {
+    const jira = fakeJira(GRAPH, "Analyze and Size");
+    const r = await moveToStatus(jira, "PAY-1", "Validate Test", { order: ORDER });
+    assert.equal(r.reached, true);
+    assert.deepEqual(jira.applied, ["Analyze and Size -> Build", "Build -> Validate Test"]);
+    assert.deepEqual(r.hops.map(h => h.name), ["Start build", "Send to QA"]);
+    assert.equal(r.to, "Validate Test");
+});
+
+test("stops at maxHops", async () => {
+    const jira = fakeJira(GRAPH, "Analyze and Size");
+    const r = await moveToStatus(jira, "PAY-1", "End to End Testing", { order: ORDER, maxHops: 2 });
+    assert.equal(r.reached, false);
+    assert.equal(r.reason, "max hops");
+    assert.equal(r.to, "Validate Test");
+});
+
+test("refuses to move backwards unless allowed", async () => {
+    const refused = await moveToStatus(fakeJira(GRAPH, "Validate Test"), "PAY-1", "Build", { order: ORDER });
+    assert.deepEqual([refused.reached, refused.reason, refused.hops.length], [false, "backward", 0]);
+
+    const jira = fakeJira(GRAPH, "Validate Test");
+    const allowed = await moveToStatus(jira, "PAY-1", "Analyze and Size", { order: ORDER, allowBackward: true });
+    assert.equal(allowed.reached, true);
+    assert.deepEqual(jira.applied, ["Validate Test -> Build", "Build -> Analyze and Size"]);
+});
+
+test("a backward transition picked by name is refused too", async () => {
+    const r = await moveToStatus(fakeJira(GRAPH, "Validate Test"), "PAY-1", "Rework", { order: ORDER });
+    assert.equal(r.reason, "backward");
+});
+
+test("dry run only shows the first hop", async () => {
+    const jira = fakeJira(GRAPH, "Analyze and Size");
+    const r = await moveToStatus(jira, "PAY-1", "Validate Test", { order: ORDER, dryRun: true });
+    assert.deepEqual(jira.applied, []);
+    assert.deepEqual([r.reached, r.hops.length, r.hops[0].to], [false, 1, "Build"]);
+    // what applying the hop would send on its screen
+    assert.deepEqual([r.hops[0].fields, r.hops[0].update], [{}, {}]);
+});
+
+test("already in the target status -> no transition", async () => {
+    const jira = fakeJira(GRAPH, "Build");
+    const r = await moveToStatus(jira, "PAY-1", "build", { order: ORDER });
+    assert.deepEqual([r.reached, jira.applied.length], [true, 0]);
+});
+
+test("chooseStep prefers the furthest status that does not overshoot", () => {
+    const ts = [
+        { id: "1", name: "a", to: { name: "Build" } },
+        { id: "2", name: "b", to: { name: "Validate Test" } },
+        { id: "3", name: "c", to: { name: "End to End Testing" } },
+    ];
+    assert.equal(chooseStep(ts, { current: "Analyze and Size", target: "Validate Test", order: ORDER }).id, "2");
+    assert.equal(chooseStep(ts, { current: "Analyze and Size", target: "Done", order: ORDER }), null);
+});
+
+const DONE = {
+    id: "31",
+    name: "Done",
+    to: { name: "Done" },
+    fields: {
+        resolution: {
+            required: true,
+            name: "Resolution",
+            schema: { type: "resolution", system: "resolution" },
+            allowedValues: [{ id: "1", name: "Fixed" }, { id: "2", name: "Won't Do" }],
+        },
+        fixVersions: {
+            required: false,
+            name: "Fix Version/s",
+            schema: { type: "array", items: "version", system: "fixVersions" },
+            operations: ["set", "add", "remove"],
+            allowedValues: [{ id: "100", name: "1.4.0" }, { id: "101", name: "1.5.0" }],
+        },
+    },
+};
+
+test("screen fields: values mapped by allowedValues into fields/update", () => {
+    const input = buildTransitionInput(DONE, { resolution: "fixed", fixVersions: "1.4.0,1.5.0" });
+    assert.deepEqual(input.fields, { resolution: { id: "1" } });
+    assert.deepEqual(input.update, { fixVersions: [{ add: { id: "100" } }, { add: { id: "101" } }] });
+    assert.deepEqual(input.missing, []);
+});
+
+test("screen fields: missing required field and disallowed value are named", () => {
+    assert.deepEqual(buildTransitionInput(DONE, {}).missing, ["Resolution (resolution)"]);
+    assert.deepEqual(buildTransitionInput(DONE, { Resolution: "Fixd" }).problems, [
+        "Resolution (resolution) \"Fixd\" is not allowed; choose one of Fixed, Won't Do",
+    ]);
+});
+
+test("moveToStatus sends screen fields and stops when a required one is missing", async () => {
+    const posted = [];
+    const jira = {
+        async getIssue() { return { status: "Validate Test" }; },
+        async getTransitions() { return [DONE]; },
+        async transition(key, id, input) { posted.push({ id, ...input }); },
+    };
+    const stopped = await moveToStatus(jira, "PAY-1", "Done", {});
+    assert.equal(stopped.reached, false);
+    assert.match(stopped.reason, /requires Resolution \(resolution\)/);
+    assert.equal(posted.length, 0);
+
+    const r = await moveToStatus(jira, "PAY-1", "Done", { fieldDefaults: { resolution: "Won't Do" }, fieldValues: { resolution: "Fixed" } });
+    assert.equal(r.reached, true);
+    assert.deepEqual(posted[0], { id: "31", fields: { resolution: { id: "1" } }, update: {} });
+});
@@ -0,0 +1,65 @@
+﻿// scripts/supercommit/wiki.js
+// Node 20+, ESM. Pure: no network, no env.
+// The COMMENT markup of adf.js rendered as Jira wiki markup, for Jira Data Center/Server,
+// whose REST v2 takes comment bodies as wiki text rather than ADF.
+//
+//   **bold**            *bold*
+//   `code`              {{code}}
+//   [label](https://…)  [label|https://…];  bare URLs are left as they are (Jira links them)
+//   @<accountId>        [~accountId]
+//   ABC-123             left as is (Jira links issue keys itself)
+// Other text is escaped so that characters such as * _ { [ are shown literally.
+
+import { INLINE_PATTERN } from "./adf.js";
+
+const escapeWiki = (s) => String(s).replace(/[*_{}[\]|~^+\-\\]/g, "\\$&");
+
+/** Wiki markup for one line of COMMENT markup. */
+export function markupToWiki(source) {
+    const src = String(source ?? "");
+    const re = new RegExp(INLINE_PATTERN, "g");
+    let out = "";
+    let last = 0;
+    let m;
+    while ((m = re.exec(src))) {
+        out += escapeWiki(src.slice(last, m.index));
+        const [, code, bold, label, href, url, accountId, issueKey] = m;
+        if (code != null) out += `{{${code.replace(/}}/g, "} }")}}}`;
+        else if (bold != null) out += `*${markupToWiki(bold)}*`;
+        else if (href != null) out += `[${escapeWiki(label)}|${href}]`;
+        else if (url != null) out += url;
+        else if (accountId != null) out += `[~${accountId}]`;
+        else out += issueKey;
+        last = m.index + m[0].length;
+    }
+    return out + escapeWiki(src.slice(last));
+}
+
+/**
+ * Footer line: "Commit <sha> on <branch> by <author>", like commitFooter() in adf.js.
+ * Returns "" when there is nothing to show.
+ */
+export function commitFooterWiki({ sha = "", url = "", branch = "", author = "" } = {}) {
+    const parts = [];
+    const muted = (t) => `_${escapeWiki(t)}_`;
+    if (sha) {
+        const short = sha.slice(0, 7);
+        parts.push(muted("Commit"), url ? `[{{${short}}}|${url}]` : `{{${short}}}`);
+    }
+    if (branch) parts.push(muted(parts.length ? "on" : "On"), `{{${branch}}}`);
+    if (author) parts.push(muted(`${parts.length ? "by" : "By"} ${author}`));
+    return parts.join(" ");
+}
+
+/** Full comment: one paragraph per line of markup, then a rule and the commit footer. */
+export function buildCommentWiki(markup, { commit = null } = {}) {
+    const paragraphs = String(markup ?? "")
+        .split(/\r?\n/)
+        .filter(line => line.trim())
+        .map(markupToWiki);
+    const footer = commit ? commitFooterWiki(commit) : "";
+    if (footer) paragraphs.push("----", footer);
+    return paragraphs.join("\n\n");
+}
+
+export default { buildCommentWiki, markupToWiki, commitFooterWiki };
@@ -0,0 +1,22 @@
+﻿// scripts/supercommit/wiki.test.js
+// Node 20+, ESM using node:test
+import test from "node:test";
+import assert from "node:assert/strict";
+import { markupToWiki, buildCommentWiki } from "./wiki.js";
+
+test("COMMENT markup becomes wiki markup; other text is escaped", () => {
+    assert.equal(
+        markupToWiki("**Fixed** `a*b` see [docs](https://x.io/d) and PAY-102 via https://ci.io/1"),
+        "*Fixed* {{a*b}} see [docs|https://x.io/d] and PAY-102 via https://ci.io/1"
+    );
+    assert.equal(markupToWiki("snake_case {x} [y] 1-2"), "snake\\_case \\{x\\} \\[y\\] 1\\-2");
+    assert.equal(markupToWiki("thanks @5b10ac8d82e05b22cc7d4ef5"), "thanks [~5b10ac8d82e05b22cc7d4ef5]");
+});
+
+test("comment gets a rule and a commit footer", () => {
+    const body = buildCommentWiki("Done\n\nship it", {
+        commit: { sha: "0123456789abcdef", url: "https://github.com/o/r/commit/0123456789abcdef", branch: "feature/pay", author: "Ana" },
+    });
+    assert.equal(body, "Done\n\nship it\n\n----\n\n_Commit_ [{{0123456}}|https://github.com/o/r/commit/0123456789abcdef] _on_ {{feature/pay}} _by Ana_");
+    assert.equal(buildCommentWiki("Done", { commit: {} }), "Done");
+});